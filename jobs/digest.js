@@ -0,0 +1,30 @@
+// jobs/digest.js
+const cron = require('node-cron');
+const digestReport = require('../services/digestReport');
+const logger = require('../utils/logger');
+
+function sendDigests(period) {
+  return async () => {
+    try {
+      logger.info(`Sending ${period} digests...`);
+      const result = await digestReport.sendScheduled(period);
+      logger.info(`${period} digests sent: ${result.sent} sent, ${result.skipped} skipped, ${result.failed.length} failed`);
+    } catch (error) {
+      logger.error(`Scheduled ${period} digest failed: ${error.message}`);
+    }
+  };
+}
+
+// Monday morning, covering the week before
+const weeklyDigestJob = cron.schedule(process.env.DIGEST_WEEKLY_CRON || '0 7 * * 1', sendDigests('weekly'), {
+  scheduled: false,
+  timezone: 'America/Toronto'
+});
+
+// First of the month, covering the month before
+const monthlyDigestJob = cron.schedule(process.env.DIGEST_MONTHLY_CRON || '0 7 1 * *', sendDigests('monthly'), {
+  scheduled: false,
+  timezone: 'America/Toronto'
+});
+
+module.exports = { weeklyDigestJob, monthlyDigestJob };
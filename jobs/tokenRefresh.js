@@ -1,14 +1,17 @@
 // jobs/tokenRefresh.js
 const cron = require('node-cron');
-const questradeApi = require('../services/questradeApi');
+const tokenKeeper = require('../services/tokenKeeper');
 const logger = require('../utils/logger');
 
-// Refresh token every 6 days (tokens expire in 7 days)
-const tokenRefreshJob = cron.schedule('0 0 */6 * *', async () => {
+// Refresh every active person's tokens every 6 hours by default, well inside
+// the 7 day window after which Questrade expires unused refresh tokens
+const schedule = process.env.TOKEN_KEEPER_CRON || '0 */6 * * *';
+
+const tokenRefreshJob = cron.schedule(schedule, async () => {
   try {
     logger.info('Starting scheduled token refresh...');
-    await questradeApi.refreshAccessToken();
-    logger.info('Token refresh completed successfully');
+    const result = await tokenKeeper.run();
+    logger.info(`Token refresh completed: ${result.refreshed}/${result.total} persons refreshed`);
   } catch (error) {
     logger.error('Scheduled token refresh failed:', error);
   }
@@ -16,4 +19,4 @@ const tokenRefreshJob = cron.schedule('0 0 */6 * *', async () => {
   scheduled: false
 });
 
-module.exports = tokenRefreshJob;
\ No newline at end of file
+module.exports = tokenRefreshJob;
@@ -0,0 +1,211 @@
+// middleware/auth.js - API user authentication and per-person authorization
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const { asyncHandler, createError, AUTH_ERRORS } = require('./errorHandler');
+
+// API user roles, each one includes the permissions of the roles before it
+const ROLES = {
+  VIEWER: 'viewer',
+  OWNER: 'owner',
+  ADMIN: 'admin'
+};
+
+const ROLE_LEVELS = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.OWNER]: 2,
+  [ROLES.ADMIN]: 3
+};
+
+// Get JWT secret with proper validation
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET environment variable is not set');
+  }
+
+  return secret;
+}
+
+// Issue a signed session token for a user
+function issueToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), username: user.username },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+  );
+}
+
+// Require a valid "Authorization: Bearer <jwt>" header and load req.user
+const authenticate = asyncHandler(async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, credentials] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !credentials) {
+    throw createError(401, 'Authentication required', AUTH_ERRORS.AUTH_REQUIRED);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(credentials, getJwtSecret());
+  } catch (error) {
+    throw createError(401, 'Session is invalid or has expired. Please log in again.', AUTH_ERRORS.AUTH_INVALID);
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.isActive) {
+    throw createError(401, 'User account is disabled or no longer exists', AUTH_ERRORS.AUTH_INVALID);
+  }
+
+  // Tokens issued before a password change are no longer accepted
+  if (user.passwordChangedAt && payload.iat * 1000 < user.passwordChangedAt.getTime() - 1000) {
+    throw createError(401, 'Session is invalid or has expired. Please log in again.', AUTH_ERRORS.AUTH_INVALID);
+  }
+
+  req.user = user;
+  next();
+});
+
+// Throw 403 unless the current user is granted the person
+function assertPersonAccess(req, personName) {
+  if (!personName || !req.user) {
+    return;
+  }
+  if (!req.user.canAccessPerson(personName)) {
+    throw createError(403, `Access denied for person: ${personName}`, AUTH_ERRORS.ACCESS_DENIED);
+  }
+}
+
+// Throw 403 unless the account belongs to a person the current user is granted.
+// Returns the account's person, or null when the account is unknown to a user granted every person.
+async function assertAccountAccess(req, accountId) {
+  if (!accountId || !req.user) {
+    return null;
+  }
+  if (typeof accountId !== 'string') {
+    throw createError(400, 'accountId must be a string');
+  }
+
+  const account = await Account.findOne({ accountId }).select('personName');
+
+  if (!account) {
+    // Unknown accounts are left to the route, which answers with 404, unless the user is restricted
+    if (!req.user.hasAllPersons()) {
+      throw createError(404, `Account not found: ${accountId}`);
+    }
+    return null;
+  }
+  if (!req.user.canAccessPerson(account.personName)) {
+    throw createError(403, `Access denied for account: ${accountId}`, AUTH_ERRORS.ACCESS_DENIED);
+  }
+  return account.personName;
+}
+
+// Check personName/accountId passed in the query string or request body. Operators such as
+// ?accountId[$ne]=x arrive as objects, so anything but a string is rejected. req.scopedPersons
+// lists the persons the request was narrowed to.
+const enforcePersonScope = asyncHandler(async (req, res, next) => {
+  const body = req.body || {};
+  const scopedPersons = new Set();
+
+  for (const source of [req.query, body]) {
+    for (const field of ['personName', 'accountId']) {
+      if (source[field] !== undefined && source[field] !== null && typeof source[field] !== 'string') {
+        throw createError(400, `${field} must be a string`);
+      }
+    }
+
+    if (source.personName) {
+      assertPersonAccess(req, source.personName);
+      scopedPersons.add(source.personName);
+    }
+    const accountPerson = await assertAccountAccess(req, source.accountId);
+    if (accountPerson) {
+      scopedPersons.add(accountPerson);
+    }
+  }
+
+  req.scopedPersons = Array.from(scopedPersons);
+  next();
+});
+
+// router.param handler for :personName
+const authorizePersonParam = (req, res, next, personName) => {
+  try {
+    assertPersonAccess(req, personName);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// router.param handler for :accountId
+const authorizeAccountParam = (req, res, next, accountId) => {
+  assertAccountAccess(req, accountId).then(() => next(), next);
+};
+
+// Reject requests that do not name a person or account for restricted users,
+// so "all" views never aggregate data from persons they were not granted.
+// Only names that enforcePersonScope checked and resolved count.
+const requireScopedRequest = (req, res, next) => {
+  const hasScope = (req.scopedPersons || []).length > 0;
+
+  if (req.user && !req.user.hasAllPersons() && !hasScope) {
+    return next(createError(403, 'personName or accountId is required for this user', AUTH_ERRORS.ACCESS_DENIED));
+  }
+  next();
+};
+
+// Only users granted every person may continue
+const requireAllPersons = (req, res, next) => {
+  if (!req.user || !req.user.hasAllPersons()) {
+    return next(createError(403, 'This action requires access to all persons', AUTH_ERRORS.ACCESS_DENIED));
+  }
+  next();
+};
+
+// Whether the user's role is at least the given role
+function hasRole(user, role) {
+  return !!user && (ROLE_LEVELS[user.role] || 0) >= ROLE_LEVELS[role];
+}
+
+// Throw 403 unless the current user has at least the given role
+function assertRole(req, role) {
+  if (!hasRole(req.user, role)) {
+    throw createError(403, `This action requires the ${role} role`, AUTH_ERRORS.INSUFFICIENT_ROLE);
+  }
+}
+
+// Only users with at least the given role may continue
+const requireRole = (role) => (req, res, next) => {
+  try {
+    assertRole(req, role);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mongo filter restricting a query to the current user's persons
+function personScopeFilter(req, field = 'personName') {
+  const allowed = req.user ? req.user.getAllowedPersons() : null;
+  return allowed ? { [field]: { $in: allowed } } : {};
+}
+
+module.exports = {
+  authenticate,
+  enforcePersonScope,
+  authorizePersonParam,
+  authorizeAccountParam,
+  requireScopedRequest,
+  requireAllPersons,
+  requireRole,
+  assertRole,
+  hasRole,
+  personScopeFilter,
+  assertPersonAccess,
+  assertAccountAccess,
+  issueToken,
+  ROLES
+};
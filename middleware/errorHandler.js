@@ -12,6 +12,14 @@ const TOKEN_ERRORS = {
   QUESTRADE_API_ERROR: 'QUESTRADE_API_ERROR'
 };
 
+// API user authentication/authorization error codes
+const AUTH_ERRORS = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_INVALID: 'AUTH_INVALID',
+  ACCESS_DENIED: 'ACCESS_DENIED',
+  INSUFFICIENT_ROLE: 'INSUFFICIENT_ROLE'
+};
+
 // Map common error patterns to token error codes
 function mapToTokenError(error) {
   const message = error.message.toLowerCase();
@@ -114,8 +122,8 @@ const errorHandler = (err, req, res, next) => {
     timestamp: new Date()
   });
 
-  // Map to token error if applicable
-  const tokenErrorCode = mapToTokenError(err);
+  // Map to token error if applicable (errors that carry their own code are left alone)
+  const tokenErrorCode = err.errorCode ? null : mapToTokenError(err);
   
   // Default error response
   let statusCode = err.statusCode || 500;
@@ -125,6 +133,10 @@ const errorHandler = (err, req, res, next) => {
     timestamp: new Date()
   };
 
+  if (err.errorCode) {
+    errorResponse.errorCode = err.errorCode;
+  }
+
   // Enhanced response for token-related errors
   if (tokenErrorCode) {
     errorResponse = {
@@ -196,6 +208,16 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Create an error that the handler above turns into the given status code
+const createError = (statusCode, message, errorCode = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (errorCode) {
+    error.errorCode = errorCode;
+  }
+  return error;
+};
+
 // Not found middleware
 const notFound = (req, res, next) => {
   const error = new Error(`Not Found - ${req.originalUrl}`);
@@ -207,5 +229,7 @@ module.exports = {
   errorHandler,
   asyncHandler,
   notFound,
-  TOKEN_ERRORS
+  createError,
+  TOKEN_ERRORS,
+  AUTH_ERRORS
 };
\ No newline at end of file
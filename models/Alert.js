@@ -0,0 +1,99 @@
+// models/Alert.js - Price and portfolio conditions to watch for each person
+const mongoose = require('mongoose');
+
+// What each alert type compares against its threshold
+const ALERT_TYPES = {
+  price: 'Latest price of the symbol',
+  portfolio_change: 'Percent change in portfolio value since the previous day\'s snapshot',
+  position_weight: 'Percent of the portfolio held in the symbol (any symbol when none is set)',
+  yield_on_cost: 'Annual dividends as a percent of cost (any symbol when none is set)'
+};
+
+const alertSchema = new mongoose.Schema({
+  personName: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(ALERT_TYPES),
+    index: true
+  },
+  symbol: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    required: function() {
+      return this.type === 'price';
+    }
+  },
+  operator: {
+    type: String,
+    required: true,
+    enum: ['above', 'below']
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  // A condition that stays true fires once; it can fire again after clearing and this long passing
+  cooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Per symbol (or "portfolio") state used to de-duplicate firing
+  triggers: [{
+    _id: false,
+    key: String,
+    active: Boolean,
+    lastFiredAt: Date
+  }],
+  lastEvaluatedAt: Date,
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+
+  // API user who created the alert
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+alertSchema.index({ personName: 1, isActive: 1, type: 1 });
+
+// Update the updatedAt field before saving
+alertSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+alertSchema.statics.TYPES = ALERT_TYPES;
+
+module.exports = mongoose.model('Alert', alertSchema);
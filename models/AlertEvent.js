@@ -0,0 +1,36 @@
+// models/AlertEvent.js - History of fired alerts
+const mongoose = require('mongoose');
+
+const alertEventSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true,
+    index: true
+  },
+  personName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: String,
+  // Symbol the condition matched on, empty for portfolio-wide alerts
+  symbol: String,
+  key: String,
+
+  operator: String,
+  threshold: Number,
+  value: Number,
+  message: String,
+
+  firedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+alertEventSchema.index({ personName: 1, firedAt: -1 });
+alertEventSchema.index({ alertId: 1, firedAt: -1 });
+
+module.exports = mongoose.model('AlertEvent', alertEventSchema);
@@ -0,0 +1,64 @@
+// models/AuditEvent.js - Record of security-sensitive and destructive actions
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'token.update',
+  'person.deactivate',
+  'person.delete',
+  'person.clear_errors',
+  'person.repair',
+  'sync.person',
+  'sync.all',
+  'sync.stop'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: AUDIT_ACTIONS,
+    index: true
+  },
+  // Person the action applied to, empty for actions across all persons
+  personName: {
+    type: String,
+    index: true
+  },
+
+  // Who did it: an API user, or the script/job/system that ran it
+  actor: {
+    type: String,
+    default: 'system'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['api', 'script', 'job', 'system'],
+    default: 'system'
+  },
+  ip: String,
+
+  // Outcome
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error: String,
+  details: mongoose.Schema.Types.Mixed,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+auditEventSchema.index({ personName: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
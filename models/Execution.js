@@ -0,0 +1,105 @@
+// models/Execution.js - Individual fills from Questrade, linked to the net trade Activity
+const mongoose = require('mongoose');
+
+const executionSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  personName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  executionId: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: Number,
+    index: true
+  },
+  orderChainId: Number,
+  exchangeExecId: String,
+  parentId: Number,
+
+  symbol: {
+    type: String,
+    index: true
+  },
+  symbolId: Number,
+  side: String,
+  quantity: Number,
+  price: Number,
+  totalCost: Number,
+  venue: String,
+
+  // Fees charged on this fill
+  commission: Number,
+  orderPlacementCommission: Number,
+  executionFee: Number,
+  secFee: Number,
+  canadianExecutionFee: Number,
+  totalFees: Number,
+
+  notes: String,
+  timestamp: {
+    type: Date,
+    index: true
+  },
+
+  // Net trade row in Activity that this fill belongs to, set once activities are synced
+  activityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    default: null,
+    index: true
+  },
+
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+executionSchema.index({ accountId: 1, executionId: 1 }, { unique: true });
+executionSchema.index({ personName: 1, timestamp: -1 });
+
+// Map a Questrade execution to the fields stored here
+executionSchema.statics.fromQuestrade = function(executionData, accountId, personName) {
+  const fees = ['commission', 'orderPlacementCommission', 'executionFee', 'secFee', 'canadianExecutionFee']
+    .reduce((sum, field) => sum + (executionData[field] || 0), 0);
+
+  return {
+    accountId,
+    personName,
+    executionId: executionData.id,
+    orderId: executionData.orderId,
+    orderChainId: executionData.orderChainId,
+    exchangeExecId: executionData.exchangeExecId,
+    parentId: executionData.parentId,
+    symbol: executionData.symbol,
+    symbolId: executionData.symbolId,
+    side: executionData.side,
+    quantity: executionData.quantity,
+    price: executionData.price,
+    totalCost: executionData.totalCost,
+    venue: executionData.venue,
+    commission: executionData.commission,
+    orderPlacementCommission: executionData.orderPlacementCommission,
+    executionFee: executionData.executionFee,
+    secFee: executionData.secFee,
+    canadianExecutionFee: executionData.canadianExecutionFee,
+    totalFees: Math.round(fees * 100) / 100,
+    notes: executionData.notes,
+    timestamp: executionData.timestamp,
+    syncedAt: new Date()
+  };
+};
+
+module.exports = mongoose.model('Execution', executionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Daily exchange rates to CAD, for converting foreign-currency amounts in tax reports
+const fxRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  // Day the rate was published, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+
+  // CAD per unit of currency
+  rate: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    default: 'BankOfCanada'
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fxRateSchema.index({ currency: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
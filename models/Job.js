@@ -0,0 +1,104 @@
+// models/Job.js - Background jobs run by the queue worker
+const mongoose = require('mongoose');
+
+const JOB_TYPES = [
+  'portfolio.sync',
+  'portfolio.refresh',
+  'snapshot.create',
+  'dividends.recalculate',
+  'notification.deliver'
+];
+
+// queued -> running -> completed, or back to queued for a retry, or dead once out of attempts
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: JOB_TYPES,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Person the job works on, empty for jobs across all persons
+  personName: {
+    type: String,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the worker may pick the job up, pushed back on each retry
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker holding the job while it runs
+  lockedBy: String,
+  lockedAt: Date,
+
+  startedAt: Date,
+  completedAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  // One entry per failed attempt
+  failures: [{
+    attempt: Number,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Who queued it, same shape as AuditEvent
+  actor: {
+    type: String,
+    default: 'system'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['api', 'script', 'job', 'system'],
+    default: 'system'
+  },
+
+  // MongoDB removes finished jobs once this passes
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ personName: 1, createdAt: -1 });
+
+jobSchema.statics.TYPES = JOB_TYPES;
+jobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,84 @@
+// models/Notification.js - Notifications sent to a person, their in-app inbox and delivery attempts
+const mongoose = require('mongoose');
+
+// Which Person.preferences.notifications toggle controls each type
+const NOTIFICATION_TYPES = {
+  sync_error: 'syncErrors',
+  dividend: 'dividendAlerts',
+  token_expiry: 'tokenExpiry',
+  alert: 'priceAlerts',
+  weekly_digest: 'weeklyDigest',
+  monthly_digest: 'monthlyDigest',
+  test: null
+};
+
+// pending -> sent, or failed once the delivery job runs out of attempts
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  // Email address or webhook URL; empty for the in-app inbox
+  target: String,
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  lastAttemptAt: Date,
+  sentAt: Date,
+  error: String
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  personName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(NOTIFICATION_TYPES)
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  // Email body, when there is more to show than the plain message
+  html: String,
+  data: mongoose.Schema.Types.Mixed,
+
+  // Repeats of the same key within a window are not sent again
+  dedupeKey: String,
+
+  deliveries: [deliverySchema],
+
+  // Set when the person reads it in the in-app inbox
+  readAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+notificationSchema.index({ personName: 1, createdAt: -1 });
+notificationSchema.index({ personName: 1, dedupeKey: 1, createdAt: -1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
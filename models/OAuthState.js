@@ -0,0 +1,42 @@
+// models/OAuthState.js - Pending Questrade OAuth authorizations
+const mongoose = require('mongoose');
+
+const oauthStateSchema = new mongoose.Schema({
+  // Random value sent to Questrade as the OAuth "state" parameter
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Person whose tokens will be stored when the callback arrives
+  personName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // API user who started the authorization
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: String,
+
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  // MongoDB removes expired states automatically
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -0,0 +1,131 @@
+// models/Order.js - Questrade orders, open and historical
+const mongoose = require('mongoose');
+
+// Questrade order states that can still fill or change
+const OPEN_STATES = [
+  'Pending',
+  'Accepted',
+  'Queued',
+  'Partial',
+  'Triggered',
+  'Activated',
+  'CancelPending',
+  'ReplacePending',
+  'PendingRiskReview',
+  'ContingentOrder',
+  'Suspended'
+];
+
+const orderSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  personName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: Number,
+    required: true
+  },
+
+  symbol: {
+    type: String,
+    index: true
+  },
+  symbolId: Number,
+
+  // Quantities
+  totalQuantity: Number,
+  openQuantity: Number,
+  filledQuantity: Number,
+  canceledQuantity: Number,
+
+  // Order terms
+  side: String,
+  orderType: String,
+  limitPrice: Number,
+  stopPrice: Number,
+  timeInForce: String,
+  gtdDate: Date,
+  isAllOrNone: Boolean,
+
+  // Execution results
+  avgExecPrice: Number,
+  lastExecPrice: Number,
+  commissionCharged: Number,
+
+  state: {
+    type: String,
+    index: true
+  },
+  isOpen: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  rejectionReason: String,
+
+  // Replaced orders share a chainId with the order they replaced
+  chainId: Number,
+  notes: String,
+  source: String,
+
+  creationTime: Date,
+  updateTime: Date,
+
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+orderSchema.index({ accountId: 1, orderId: 1 }, { unique: true });
+orderSchema.index({ personName: 1, isOpen: 1, symbol: 1 });
+orderSchema.index({ personName: 1, creationTime: -1 });
+
+orderSchema.statics.OPEN_STATES = OPEN_STATES;
+
+// Map a Questrade order to the fields stored here
+orderSchema.statics.fromQuestrade = function(orderData, accountId, personName) {
+  return {
+    accountId,
+    personName,
+    orderId: orderData.id,
+    symbol: orderData.symbol,
+    symbolId: orderData.symbolId,
+    totalQuantity: orderData.totalQuantity,
+    openQuantity: orderData.openQuantity,
+    filledQuantity: orderData.filledQuantity,
+    canceledQuantity: orderData.canceledQuantity,
+    side: orderData.side,
+    orderType: orderData.orderType,
+    limitPrice: orderData.limitPrice,
+    stopPrice: orderData.stopPrice,
+    timeInForce: orderData.timeInForce,
+    gtdDate: orderData.gtdDate || null,
+    isAllOrNone: orderData.isAllOrNone,
+    avgExecPrice: orderData.avgExecPrice,
+    lastExecPrice: orderData.lastExecPrice,
+    // Questrade spells this field "comissionCharged"
+    commissionCharged: orderData.comissionCharged ?? orderData.commissionCharged,
+    state: orderData.state,
+    isOpen: OPEN_STATES.includes(orderData.state),
+    rejectionReason: orderData.rejectionReason || null,
+    chainId: orderData.chainId,
+    notes: orderData.notes,
+    source: orderData.source,
+    creationTime: orderData.creationTime,
+    updateTime: orderData.updateTime,
+    syncedAt: new Date()
+  };
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -15,6 +15,12 @@ const personSchema = new mongoose.Schema({
   },
   email: String,
   phoneNumber: String,
+
+  // Spouse or common-law partner in the household; their trades count for superficial losses
+  spouseName: {
+    type: String,
+    default: null
+  },
   
   // Settings and preferences
   preferences: {
@@ -27,6 +33,27 @@ const personSchema = new mongoose.Schema({
       type: String,
       default: 'CAD'
     },
+    // Benchmarks for performance comparison; a blend has several weighted components
+    benchmarks: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true
+      },
+      components: [{
+        _id: false,
+        symbol: {
+          type: String,
+          required: true,
+          uppercase: true
+        },
+        weight: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }]
+    }],
     notifications: {
       enabled: {
         type: Boolean,
@@ -39,6 +66,34 @@ const personSchema = new mongoose.Schema({
       syncErrors: {
         type: Boolean,
         default: true
+      },
+      tokenExpiry: {
+        type: Boolean,
+        default: true
+      },
+      priceAlerts: {
+        type: Boolean,
+        default: true
+      },
+      weeklyDigest: {
+        type: Boolean,
+        default: true
+      },
+      monthlyDigest: {
+        type: Boolean,
+        default: true
+      },
+      // Channels to deliver on; email goes to the person's email address
+      channels: {
+        type: [String],
+        default: ['email', 'webhook', 'inApp']
+      },
+      webhookUrl: String,
+      // Warn this many hours before the refresh token expires
+      tokenExpiryWarningHours: {
+        type: Number,
+        default: 48,
+        min: 1
       }
     }
   },
@@ -53,6 +108,9 @@ const personSchema = new mongoose.Schema({
     default: false
   },
   lastTokenRefresh: Date,
+  // Why the token was last marked invalid, cleared on the next successful refresh
+  tokenError: String,
+  tokenErrorAt: Date,
   lastSuccessfulSync: Date,
   lastSyncError: String,
   
@@ -21,6 +21,8 @@ const portfolioSnapshotSchema = new mongoose.Schema({
   // Portfolio metrics
   totalInvestment: Number,
   currentValue: Number,
+  // Positions plus cash, from account balances; what returns are measured on
+  totalEquity: Number,
   totalReturnValue: Number,
   totalReturnPercent: Number,
   unrealizedPnl: Number,
@@ -59,6 +61,15 @@ const portfolioSnapshotSchema = new mongoose.Schema({
     percentage: Number
   }],
   
+  // Open positions by symbol, for price moves between snapshots
+  holdings: [{
+    _id: false,
+    symbol: String,
+    quantity: Number,
+    price: Number,
+    marketValue: Number
+  }],
+  
   // Person breakdown (for "all" view)
   personBreakdown: [{
     personName: String,
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Daily candles for a symbol, kept for benchmark comparisons
+const priceHistorySchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  symbolId: {
+    type: Number,
+    required: true
+  },
+
+  // Toronto trading day, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+
+  open: Number,
+  high: Number,
+  low: Number,
+  close: {
+    type: Number,
+    required: true
+  },
+  volume: Number,
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceHistorySchema.index({ symbol: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -23,6 +23,10 @@ const tokenSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // AES-256-GCM authentication tag; missing on legacy AES-256-CBC tokens
+  authTag: String,
+  // Version of the encryption key the token was encrypted with
+  keyVersion: Number,
   apiServer: String,
   expiresAt: {
     type: Date,
@@ -52,27 +56,151 @@ const tokenSchema = new mongoose.Schema({
   }
 });
 
-// Get encryption key with proper validation
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY;
-  
-  if (!key) {
-    throw new Error('ENCRYPTION_KEY environment variable is not set');
+const GCM_ALGORITHM = 'aes-256-gcm';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const GCM_IV_LENGTH = 12;
+const LEGACY_IV_LENGTH = 16;
+
+// Turn a configured key into exactly 32 bytes. Accepts 64 hex characters,
+// base64 of 32 bytes, or a 32 character string; anything else is rejected.
+function parseKey(rawKey, version) {
+  const key = (rawKey || '').trim();
+
+  if (/^[0-9a-fA-F]{64}$/.test(key)) {
+    return Buffer.from(key, 'hex');
   }
-  
-  // Ensure key is exactly 32 bytes for AES-256
+  if (Buffer.byteLength(key, 'utf8') === 32) {
+    return Buffer.from(key, 'utf8');
+  }
+  const decoded = Buffer.from(key, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64').replace(/=+$/, '') === key.replace(/=+$/, '')) {
+    return decoded;
+  }
+
+  throw new Error(
+    `Encryption key version ${version} must be 32 bytes (64 hex characters, base64 or a 32 character string)`
+  );
+}
+
+// Key derivation used by the original AES-256-CBC tokens (pad or truncate to 32 characters).
+// Only used to read legacy tokens until they are rotated.
+function legacyKey(rawKey) {
+  const key = rawKey || '';
   if (key.length < 32) {
-    // Pad key if too short
     return Buffer.from(key.padEnd(32, '0'), 'utf8');
-  } else if (key.length > 32) {
-    // Truncate key if too long
-    return Buffer.from(key.substring(0, 32), 'utf8');
   }
-  
-  return Buffer.from(key, 'utf8');
+  return Buffer.from(key.substring(0, 32), 'utf8');
+}
+
+// Load the configured keys.
+// ENCRYPTION_KEYS="2:<new key>,1:<old key>" lists every key still needed to
+// decrypt stored tokens; the highest version encrypts new tokens.
+// A single ENCRYPTION_KEY is treated as version 1.
+function getEncryptionKeys() {
+  const keys = new Map();
+
+  if (process.env.ENCRYPTION_KEYS) {
+    for (const entry of process.env.ENCRYPTION_KEYS.split(',')) {
+      const separator = entry.indexOf(':');
+      const version = parseInt(entry.slice(0, separator), 10);
+
+      if (separator < 1 || !Number.isInteger(version) || version < 1) {
+        throw new Error('ENCRYPTION_KEYS entries must look like "<version>:<key>", e.g. "2:abc...,1:def..."');
+      }
+      if (keys.has(version)) {
+        throw new Error(`ENCRYPTION_KEYS lists version ${version} more than once`);
+      }
+      keys.set(version, entry.slice(separator + 1).trim());
+    }
+  } else if (process.env.ENCRYPTION_KEY) {
+    keys.set(1, process.env.ENCRYPTION_KEY);
+  }
+
+  if (keys.size === 0) {
+    throw new Error('ENCRYPTION_KEYS or ENCRYPTION_KEY environment variable is not set');
+  }
+
+  return keys;
+}
+
+// Version and key used to encrypt new tokens
+function getCurrentKey() {
+  const keys = getEncryptionKeys();
+  const version = Math.max(...keys.keys());
+  return { version, key: parseKey(keys.get(version), version) };
+}
+
+// Encrypt a plain text token with the current key
+function encryptToken(token) {
+  const { version, key } = getCurrentKey();
+  const iv = crypto.randomBytes(GCM_IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(GCM_ALGORITHM, key, iv);
+  let encrypted = cipher.update(token, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  return {
+    encryptedToken: encrypted,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    keyVersion: version
+  };
 }
 
-// Static method to create encrypted token - FIXED
+// Decrypt a stored token, throwing with the reason when it cannot be read
+function decryptToken(doc) {
+  const keys = getEncryptionKeys();
+  const iv = Buffer.from(doc.iv, 'hex');
+
+  if (!doc.authTag) {
+    // Legacy AES-256-CBC token, written before keys were versioned
+    if (iv.length !== LEGACY_IV_LENGTH) {
+      throw new Error(`Invalid IV length: ${iv.length}`);
+    }
+
+    // Legacy tokens were written with the original key, which stays listed as version 1. Trying other keys
+    // would sometimes pass the padding check with a wrong key and return garbage.
+    if (!keys.has(1)) {
+      throw new Error('Legacy token needs the original key, listed as version 1');
+    }
+
+    let decrypted;
+    try {
+      const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, legacyKey(keys.get(1)), iv);
+      decrypted = decipher.update(doc.encryptedToken, 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+    } catch (error) {
+      throw new Error('Legacy token could not be decrypted with the version 1 key');
+    }
+    // CBC has no authentication; a token is printable text, so anything else means the wrong key
+    if (!/^[\x21-\x7e]+$/.test(decrypted)) {
+      throw new Error('Legacy token decrypted to unexpected data - wrong version 1 key?');
+    }
+    return decrypted;
+  }
+
+  if (!keys.has(doc.keyVersion)) {
+    throw new Error(`No encryption key configured for key version ${doc.keyVersion}`);
+  }
+  if (iv.length !== GCM_IV_LENGTH) {
+    throw new Error(`Invalid IV length: ${iv.length}`);
+  }
+
+  const key = parseKey(keys.get(doc.keyVersion), doc.keyVersion);
+  const decipher = crypto.createDecipheriv(GCM_ALGORITHM, key, iv);
+  decipher.setAuthTag(Buffer.from(doc.authTag, 'hex'));
+
+  let decrypted;
+  try {
+    decrypted = decipher.update(doc.encryptedToken, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+  } catch (error) {
+    throw new Error(`Authentication failed for key version ${doc.keyVersion} - wrong key or tampered token`);
+  }
+  return decrypted;
+}
+
+// Static method to create encrypted token
 tokenSchema.statics.createWithToken = function(tokenData) {
   const { token, ...otherData } = tokenData;
   
@@ -81,20 +209,9 @@ tokenSchema.statics.createWithToken = function(tokenData) {
   }
   
   try {
-    // Use AES-256-CBC encryption
-    const algorithm = 'aes-256-cbc';
-    const key = getEncryptionKey();
-    const iv = crypto.randomBytes(16); // Generate random IV
-    
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(token, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Create the document with encrypted token and separate IV
     return new this({
       ...otherData,
-      encryptedToken: encrypted,
-      iv: iv.toString('hex')
+      ...encryptToken(token)
     });
   } catch (error) {
     console.error('Token encryption failed:', error);
@@ -102,7 +219,7 @@ tokenSchema.statics.createWithToken = function(tokenData) {
   }
 };
 
-// Method to decrypt token - FIXED
+// Method to decrypt token
 tokenSchema.methods.getDecryptedToken = function() {
   if (!this.encryptedToken || !this.iv) {
     console.error('Missing encrypted token or IV');
@@ -110,34 +227,31 @@ tokenSchema.methods.getDecryptedToken = function() {
   }
   
   try {
-    const algorithm = 'aes-256-cbc';
-    const key = getEncryptionKey();
-    const iv = Buffer.from(this.iv, 'hex');
-    
-    // Validate IV length
-    if (iv.length !== 16) {
-      console.error('Invalid IV length:', iv.length);
-      return null;
-    }
-    
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(this.encryptedToken, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return decryptToken(this);
   } catch (error) {
     console.error('Token decryption failed:', {
       error: error.message,
       personName: this.personName,
       type: this.type,
-      hasEncryptedToken: !!this.encryptedToken,
-      hasIV: !!this.iv,
-      ivLength: this.iv ? Buffer.from(this.iv, 'hex').length : 0
+      keyVersion: this.keyVersion || null,
+      legacy: !this.authTag
     });
     return null;
   }
 };
 
+// Whether the token is not yet encrypted with the current key
+tokenSchema.methods.needsRotation = function() {
+  return !this.authTag || this.keyVersion !== getCurrentKey().version;
+};
+
+// Re-encrypt the token with the current key (does not save)
+tokenSchema.methods.reencrypt = function() {
+  const token = decryptToken(this);
+  Object.assign(this, encryptToken(token));
+  return this;
+};
+
 // Method to validate token can be decrypted
 tokenSchema.methods.validateDecryption = function() {
   try {
@@ -258,6 +372,61 @@ tokenSchema.statics.cleanupInvalidTokens = async function() {
   }
 };
 
+// Check the key configuration, returning the current key version
+tokenSchema.statics.checkEncryptionKeys = function() {
+  try {
+    return getCurrentKey().version;
+  } catch (error) {
+    // A key from before versioning was padded or truncated, which only still works for reading legacy tokens
+    if (!process.env.ENCRYPTION_KEYS && process.env.ENCRYPTION_KEY) {
+      throw new Error(`${error.message}. To keep reading tokens saved with it, set ` +
+        'ENCRYPTION_KEYS="2:<new 32 byte key>,1:<current ENCRYPTION_KEY>" and run npm run tokens:rotate-key');
+    }
+    throw error;
+  }
+};
+
+// Re-encrypt every token that is legacy or uses an older key version
+tokenSchema.statics.rotateEncryption = async function({ dryRun = false } = {}) {
+  const currentVersion = getCurrentKey().version;
+  const tokens = await this.find({});
+  const result = {
+    currentVersion,
+    total: tokens.length,
+    rotated: 0,
+    upToDate: 0,
+    failed: []
+  };
+
+  for (const token of tokens) {
+    if (!token.needsRotation()) {
+      result.upToDate++;
+      continue;
+    }
+
+    try {
+      token.reencrypt();
+      if (!dryRun) {
+        // Only the encryption fields change, so skip the pre-save hook and validators
+        await this.updateOne(
+          { _id: token._id },
+          { $set: { encryptedToken: token.encryptedToken, iv: token.iv, authTag: token.authTag, keyVersion: token.keyVersion } }
+        );
+      }
+      result.rotated++;
+    } catch (error) {
+      result.failed.push({
+        id: token._id.toString(),
+        personName: token.personName,
+        type: token.type,
+        error: error.message
+      });
+    }
+  }
+
+  return result;
+};
+
 // Static method to test encryption/decryption
 tokenSchema.statics.testEncryption = function(testString = 'test-token-12345') {
   try {
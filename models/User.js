@@ -0,0 +1,125 @@
+// models/User.js - API users that log in to the portfolio backend
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  email: String,
+
+  // viewer: read only, owner: can also manage tokens and run syncs,
+  // admin: everything, including exports, repairs and permanent deletes
+  role: {
+    type: String,
+    enum: ['viewer', 'owner', 'admin'],
+    default: 'viewer'
+  },
+
+  // Person records (personName) this user is allowed to see
+  persons: [{
+    type: String,
+    trim: true
+  }],
+  // Grants access to every person, including persons added later (implied for admins)
+  allPersons: {
+    type: Boolean,
+    default: false
+  },
+
+  // Status tracking
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: Date,
+  passwordChangedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Hash and store a new password
+userSchema.methods.setPassword = async function(password) {
+  if (!password || typeof password !== 'string' || password.length < 8) {
+    throw new Error('Password must be at least 8 characters long');
+  }
+
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+  this.passwordChangedAt = new Date();
+  return this;
+};
+
+// Compare a plain text password with the stored hash
+userSchema.methods.verifyPassword = function(password) {
+  if (!password || !this.passwordHash) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Whether the user sees every person
+userSchema.methods.hasAllPersons = function() {
+  return this.allPersons || this.role === 'admin';
+};
+
+// Check whether the user has been granted a person
+userSchema.methods.canAccessPerson = function(personName) {
+  if (this.hasAllPersons()) {
+    return true;
+  }
+  return (this.persons || []).includes(personName);
+};
+
+// Person names the user is restricted to, or null when unrestricted
+userSchema.methods.getAllowedPersons = function() {
+  return this.hasAllPersons() ? null : (this.persons || []);
+};
+
+// Plain object without the password hash, safe to return from the API
+userSchema.methods.toSafeObject = function() {
+  const user = this.toObject();
+  delete user.passwordHash;
+  delete user.__v;
+  return user;
+};
+
+// Static method to create a user with a hashed password
+userSchema.statics.createWithPassword = async function(userData) {
+  const { password, ...otherData } = userData;
+
+  const user = new this(otherData);
+  await user.setPassword(password);
+  return user.save();
+};
+
+// Update the updatedAt field before saving
+userSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+userSchema.index({ persons: 1, isActive: 1 });
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,57 @@
+// models/Watchlist.js - Named lists of symbols a person is following
+const mongoose = require('mongoose');
+
+const watchlistItemSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Resolved through the Symbol model when the item is added
+  symbolId: {
+    type: Number,
+    required: true
+  },
+  notes: String,
+  targetBuyPrice: Number,
+  targetSellPrice: Number,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const watchlistSchema = new mongoose.Schema({
+  personName: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'Default'
+  },
+  items: [watchlistItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+watchlistSchema.index({ personName: 1, name: 1 }, { unique: true });
+
+// Update the updatedAt field before saving
+watchlistSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
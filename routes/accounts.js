@@ -6,12 +6,15 @@ const Person = require('../models/Person');
 const accountAggregator = require('../services/accountAggregator');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authorizeAccountParam, personScopeFilter, requireRole, ROLES } = require('../middleware/auth');
+
+router.param('accountId', authorizeAccountParam);
 
 // Get all accounts
 router.get('/', asyncHandler(async (req, res) => {
   const { personName, includeInactive = false } = req.query;
   
-  let query = {};
+  let query = { ...personScopeFilter(req) };
   if (personName) {
     query.personName = personName;
   }
@@ -30,7 +33,7 @@ router.get('/by-person', asyncHandler(async (req, res) => {
   const { includeInactive = false } = req.query;
   
   // Get all active persons
-  const persons = await Person.find({ isActive: true })
+  const persons = await Person.find({ isActive: true, ...personScopeFilter(req) })
     .sort({ personName: 1 });
   
   const result = {};
@@ -93,11 +96,13 @@ router.get('/dropdown-options', asyncHandler(async (req, res) => {
 
 // Get account summary statistics
 router.get('/summary', asyncHandler(async (req, res) => {
-  const totalAccounts = await Account.countDocuments();
-  const totalPersons = await Person.countDocuments({ isActive: true });
+  const scope = personScopeFilter(req);
+  const totalAccounts = await Account.countDocuments(scope);
+  const totalPersons = await Person.countDocuments({ isActive: true, ...scope });
   
   // Group accounts by type
   const accountsByType = await Account.aggregate([
+    { $match: scope },
     {
       $group: {
         _id: '$type',
@@ -109,6 +114,7 @@ router.get('/summary', asyncHandler(async (req, res) => {
   
   // Group accounts by person
   const accountsByPerson = await Account.aggregate([
+    { $match: scope },
     {
       $group: {
         _id: '$personName',
@@ -134,7 +140,7 @@ router.get('/summary', asyncHandler(async (req, res) => {
 }));
 
 // Create a new account
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   try {
     const account = await Account.create(req.body);
     
@@ -160,7 +166,7 @@ router.post('/', asyncHandler(async (req, res) => {
 }));
 
 // Update account information
-router.put('/:accountId', asyncHandler(async (req, res) => {
+router.put('/:accountId', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { accountId } = req.params;
   const updateData = req.body;
   
@@ -189,7 +195,7 @@ router.put('/:accountId', asyncHandler(async (req, res) => {
 }));
 
 // Delete account
-router.delete('/:accountId', asyncHandler(async (req, res) => {
+router.delete('/:accountId', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { accountId } = req.params;
   
   const account = await Account.findOne({ accountId });
@@ -0,0 +1,184 @@
+// routes/alerts.js - Price and portfolio alerts, and the history of fired alerts
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const alertEngine = require('../services/alertEngine');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { personScopeFilter, requireRole, ROLES } = require('../middleware/auth');
+
+const EDITABLE_FIELDS = ['name', 'type', 'symbol', 'operator', 'threshold', 'cooldownMinutes', 'isActive'];
+// Changing any of these makes it a different condition, so its firing state starts over
+const CONDITION_FIELDS = ['type', 'symbol', 'operator', 'threshold'];
+
+function pickEditable(body) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+// Alerts outside the user's persons look the same as missing ones
+async function findAlert(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw createError(400, 'Invalid alert id');
+  }
+
+  const alert = await Alert.findOne({ _id: req.params.id, ...personScopeFilter(req) });
+  if (!alert) {
+    throw createError(404, 'Alert not found');
+  }
+  return alert;
+}
+
+// List alerts, filtered by person, type and whether they are active
+router.get('/', asyncHandler(async (req, res) => {
+  const { personName, type, isActive } = req.query;
+
+  const query = { ...personScopeFilter(req) };
+  if (personName) query.personName = personName;
+  if (type) query.type = type;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  const alerts = await Alert.find(query).sort({ personName: 1, createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: alerts,
+    count: alerts.length,
+    types: Alert.TYPES
+  });
+}));
+
+// Fired alerts, newest first
+router.get('/history', asyncHandler(async (req, res) => {
+  const { personName, alertId, symbol, startDate, endDate, limit = 100 } = req.query;
+
+  const query = { ...personScopeFilter(req) };
+  if (personName) query.personName = personName;
+  if (symbol) query.symbol = symbol.toUpperCase();
+
+  if (alertId) {
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alertId'
+      });
+    }
+    query.alertId = alertId;
+  }
+
+  if (startDate || endDate) {
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate and endDate must be valid dates'
+      });
+    }
+
+    query.firedAt = {};
+    if (start) query.firedAt.$gte = start;
+    if (end) query.firedAt.$lte = end;
+  }
+
+  const events = await AlertEvent.find(query)
+    .sort({ firedAt: -1 })
+    .limit(Math.min(parseInt(limit) || 100, 1000));
+
+  res.json({
+    success: true,
+    data: events,
+    count: events.length
+  });
+}));
+
+// Evaluate a person's alerts now instead of waiting for the next sync or quote
+router.post('/evaluate', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const { personName } = req.body;
+
+  if (!personName) {
+    return res.status(400).json({
+      success: false,
+      error: 'personName is required'
+    });
+  }
+
+  const fired = await alertEngine.evaluatePerson(personName);
+
+  res.json({
+    success: true,
+    data: fired,
+    count: fired.length
+  });
+}));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const alert = await findAlert(req);
+
+  const recentEvents = await AlertEvent.find({ alertId: alert._id })
+    .sort({ firedAt: -1 })
+    .limit(20);
+
+  res.json({
+    success: true,
+    data: { ...alert.toObject(), recentEvents }
+  });
+}));
+
+router.post('/', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const { personName } = req.body;
+
+  if (!personName) {
+    return res.status(400).json({
+      success: false,
+      error: 'personName is required'
+    });
+  }
+
+  const alert = await Alert.create({
+    ...pickEditable(req.body),
+    personName,
+    userId: req.user?._id,
+    username: req.user?.username
+  });
+
+  res.status(201).json({
+    success: true,
+    data: alert
+  });
+}));
+
+router.put('/:id', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const alert = await findAlert(req);
+  const fields = pickEditable(req.body);
+
+  alert.set(fields);
+  if (CONDITION_FIELDS.some(field => alert.isModified(field))) {
+    alert.triggers = [];
+  }
+  await alert.save();
+
+  res.json({
+    success: true,
+    data: alert
+  });
+}));
+
+router.delete('/:id', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const alert = await findAlert(req);
+
+  // Fired events stay in the history
+  await alert.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Alert deleted'
+  });
+}));
+
+module.exports = router;
@@ -3,10 +3,131 @@ const express = require('express');
 const router = express.Router();
 const questradeApi = require('../services/questradeApi');
 const Token = require('../models/Token');
+const tokenManager = require('../services/tokenManager');
+const User = require('../models/User');
 const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, requireAllPersons, requireRole, issueToken, ROLES } = require('../middleware/auth');
+
+// Log in with username and password, returns a session token
+router.post('/login', asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Username and password are required'
+    });
+  }
+
+  const user = await User.findOne({ username: String(username).toLowerCase().trim() });
+  const isValid = user && user.isActive && await user.verifyPassword(password);
+
+  if (!isValid) {
+    logger.warn(`Failed login attempt for user: ${username}`, { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid username or password'
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  logger.info(`User logged in: ${user.username}`);
+
+  res.json({
+    success: true,
+    data: {
+      token: issueToken(user),
+      expiresIn: process.env.JWT_EXPIRES_IN || '12h',
+      user: user.toSafeObject()
+    }
+  });
+}));
+
+// Questrade OAuth redirect target. Public because the browser arrives here from
+// Questrade without our session header; the single-use state identifies the person.
+router.get('/questrade/callback', asyncHandler(async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  if (error) {
+    logger.warn(`Questrade authorization was not granted: ${error}`);
+    return res.status(400).json({
+      success: false,
+      error: `Questrade authorization failed: ${errorDescription || error}`
+    });
+  }
+
+  try {
+    const result = await tokenManager.completeAuthorization(state, code, req.ip);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Questrade connected for ${result.personName}`
+    });
+  } catch (authError) {
+    res.status(400).json({
+      success: false,
+      error: authError.message
+    });
+  }
+}));
+
+// Everything below requires a logged in user
+router.use(authenticate);
+
+// Get the current user and the persons they can access
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.toSafeObject()
+  });
+});
+
+// Change the current user's password
+router.post('/change-password', asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({
+      success: false,
+      error: 'Current password and new password are required'
+    });
+  }
+
+  if (!await req.user.verifyPassword(currentPassword)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Current password is incorrect'
+    });
+  }
+
+  try {
+    await req.user.setPassword(newPassword);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  await req.user.save();
+
+  logger.info(`Password changed for user: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    data: { token: issueToken(req.user) },
+    message: 'Password changed successfully'
+  });
+}));
+
+// Legacy Questrade token endpoints are not scoped to a person
+router.use(requireAllPersons);
 
 // Refresh token endpoint
-router.post('/refresh-token', async (req, res) => {
+router.post('/refresh-token', requireRole(ROLES.OWNER), async (req, res) => {
   try {
     const result = await questradeApi.refreshAccessToken();
     res.json({
@@ -61,7 +182,7 @@ router.get('/token-status', async (req, res) => {
 });
 
 // Get current access token
-router.get('/access-token', async (req, res) => {
+router.get('/access-token', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const tokenDoc = await Token.findOne({
       type: 'access',
@@ -91,7 +212,7 @@ router.get('/access-token', async (req, res) => {
 
 
 // Manual token update endpoint
-router.post('/update-refresh-token', async (req, res) => {
+router.post('/update-refresh-token', requireRole(ROLES.OWNER), async (req, res) => {
   try {
     const { token } = req.body;
     
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const tokenManager = require('../services/tokenManager');
+const auditLog = require('../services/auditLog');
 const questradeApi = require('../services/questradeApi');
 const dataSync = require('../services/dataSync');
 const Person = require('../models/Person');
@@ -11,6 +12,9 @@ const Position = require('../models/Position');
 const Activity = require('../models/Activity');
 const PortfolioSnapshot = require('../models/PortfolioSnapshot');
 const logger = require('../services/logger');
+const { authorizePersonParam, requireAllPersons, requireRole, personScopeFilter, ROLES } = require('../middleware/auth');
+
+router.param('personName', authorizePersonParam);
 
 /**
  * GET /api/health/tokens
@@ -18,7 +22,7 @@ const logger = require('../services/logger');
  */
 router.get('/tokens', async (req, res) => {
   try {
-    const persons = await Person.find({ isActive: true });
+    const persons = await Person.find({ isActive: true, ...personScopeFilter(req) });
     const tokenHealth = [];
 
     for (const person of persons) {
@@ -99,12 +103,12 @@ router.get('/tokens', async (req, res) => {
  */
 router.get('/connections', async (req, res) => {
   try {
-    const persons = await Person.find({ isActive: true });
+    const persons = await Person.find({ isActive: true, ...personScopeFilter(req) });
     const connectionTests = [];
 
     for (const person of persons) {
       const testResult = {
-        personName: person.name,
+        personName: person.personName,
         status: 'unknown',
         responseTime: null,
         serverTime: null,
@@ -116,7 +120,7 @@ router.get('/connections', async (req, res) => {
         const startTime = Date.now();
         
         // Test connection with server time endpoint (lightweight)
-        const serverTime = await questradeApi.getServerTime(person.name);
+        const serverTime = await questradeApi.getServerTime(person.personName);
         const endTime = Date.now();
         
         testResult.status = 'connected';
@@ -136,9 +140,14 @@ router.get('/connections', async (req, res) => {
           testResult.status = 'network_error';
         } else if (connectionError.message.includes('token')) {
           testResult.status = 'token_error';
+        } else if (connectionError.message.includes('rate limit')) {
+          testResult.status = 'rate_limited';
         }
       }
 
+      // Budget as of the latest response, including the test request above
+      testResult.rateLimit = questradeApi.getRateLimitStatus(person.personName);
+
       connectionTests.push(testResult);
     }
 
@@ -172,7 +181,7 @@ router.get('/connections', async (req, res) => {
  * GET /api/health/database
  * Database health and statistics
  */
-router.get('/database', async (req, res) => {
+router.get('/database', requireAllPersons, async (req, res) => {
   try {
     const stats = {
       collections: {},
@@ -260,7 +269,8 @@ router.get('/database', async (req, res) => {
  */
 router.get('/sync-status', async (req, res) => {
   try {
-    const syncStatuses = await dataSync.getAllSyncStatuses();
+    const syncStatuses = (await dataSync.getAllSyncStatuses())
+      .filter(status => req.user.canAccessPerson(status.personName));
     
     const overview = {
       totalPersons: syncStatuses.length,
@@ -294,12 +304,12 @@ router.get('/sync-status', async (req, res) => {
  * POST /api/health/repair/:personName
  * Attempt to repair issues for a specific person
  */
-router.post('/repair/:personName', async (req, res) => {
+router.post('/repair/:personName', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { personName } = req.params;
     const { repairType = 'all' } = req.body;
 
-    const person = await Person.findOne({ name: personName });
+    const person = await Person.findOne({ personName });
     if (!person) {
       return res.status(404).json({
         success: false,
@@ -357,6 +367,16 @@ router.post('/repair/:personName', async (req, res) => {
       }
     }
 
+    const failedSteps = Object.keys(repairResults)
+      .filter(step => repairResults[step] && !repairResults[step].success);
+
+    await auditLog.record('person.repair', {
+      personName,
+      actor: auditLog.fromRequest(req),
+      success: failedSteps.length === 0,
+      details: { repairType, failedSteps }
+    });
+
     res.json({
       success: true,
       personName,
@@ -378,7 +398,7 @@ router.post('/repair/:personName', async (req, res) => {
  * GET /api/health/system
  * Overall system health summary
  */
-router.get('/system', async (req, res) => {
+router.get('/system', requireAllPersons, async (req, res) => {
   try {
     // Get all health metrics
     const [tokenHealth, connectionHealth, dbHealth, syncHealth] = await Promise.allSettled([
@@ -401,7 +421,7 @@ router.get('/system', async (req, res) => {
         let connected = 0;
         for (const person of persons.slice(0, 3)) { // Test only first 3 to avoid timeout
           try {
-            await questradeApi.getServerTime(person.name);
+            await questradeApi.getServerTime(person.personName);
             connected++;
           } catch (error) {
             // Connection failed
@@ -485,6 +505,13 @@ router.get('/system', async (req, res) => {
       issues.push('Unable to check sync status');
     }
 
+    // Open circuits mean a Questrade API server is failing right now
+    const openCircuits = questradeApi.getCircuitStatus().filter(b => b.state !== 'closed');
+    if (openCircuits.length > 0) {
+      healthScore -= 25;
+      issues.push(`Questrade API unavailable: ${openCircuits.map(b => b.name).join(', ')}`);
+    }
+
     healthScore = Math.max(0, Math.round(healthScore));
 
     let status = 'healthy';
@@ -500,7 +527,8 @@ router.get('/system', async (req, res) => {
         tokens: tokenHealth.status === 'fulfilled' ? tokenHealth.value : { error: tokenHealth.reason?.message },
         connections: connectionHealth.status === 'fulfilled' ? connectionHealth.value : { error: connectionHealth.reason?.message },
         database: dbHealth.status === 'fulfilled' ? dbHealth.value : { error: dbHealth.reason?.message },
-        sync: syncHealth.status === 'fulfilled' ? syncHealth.value : { error: syncHealth.reason?.message }
+        sync: syncHealth.status === 'fulfilled' ? syncHealth.value : { error: syncHealth.reason?.message },
+        circuitBreakers: questradeApi.getCircuitStatus()
       },
       timestamp: new Date()
     });
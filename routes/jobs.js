@@ -0,0 +1,76 @@
+// routes/jobs.js - Status of background jobs queued by sync and refresh requests
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Job = require('../models/Job');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { personScopeFilter } = require('../middleware/auth');
+
+// List recent jobs, filtered by status, type and person
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, type, personName, limit = 50 } = req.query;
+
+  const query = { ...personScopeFilter(req) };
+
+  if (personName) {
+    query.personName = personName;
+  }
+
+  if (status) {
+    if (!Job.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status. Use one of: ${Job.STATUSES.join(', ')}`
+      });
+    }
+    query.status = status;
+  }
+
+  if (type) {
+    if (!Job.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown job type. Use one of: ${Job.TYPES.join(', ')}`
+      });
+    }
+    query.type = type;
+  }
+
+  const jobs = await Job.find(query)
+    .select('-result')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 500));
+
+  res.json({
+    success: true,
+    data: jobs,
+    count: jobs.length
+  });
+}));
+
+// Get one job with its result, for polling after POST /api/portfolio/sync
+router.get('/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid job id'
+    });
+  }
+
+  // Jobs outside the user's persons look the same as missing ones
+  const job = await Job.findOne({ _id: req.params.id, ...personScopeFilter(req) });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+module.exports = router;
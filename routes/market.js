@@ -5,12 +5,14 @@ const questradeApi = require('../services/questradeApi');
 const MarketQuote = require('../models/MarketQuote');
 const Symbol = require('../models/Symbol');
 const Person = require('../models/Person');
+const alertEngine = require('../services/alertEngine');
 const logger = require('../utils/logger');
+const { personScopeFilter } = require('../middleware/auth');
 
-// Helper function to get default person name
-async function getDefaultPersonName() {
+// Helper function to get default person name (first person the user can access)
+async function getDefaultPersonName(req) {
   try {
-    const firstActivePerson = await Person.findOne({ isActive: true }).sort({ createdAt: 1 });
+    const firstActivePerson = await Person.findOne({ isActive: true, ...personScopeFilter(req) }).sort({ createdAt: 1 });
     return firstActivePerson ? firstActivePerson.personName : null;
   } catch (error) {
     logger.error('Error getting default person:', error);
@@ -26,7 +28,7 @@ router.get('/quote/:symbols', async (req, res) => {
     
     // Auto-detect personName if not provided
     if (!personName) {
-      personName = await getDefaultPersonName();
+      personName = await getDefaultPersonName(req);
       if (!personName) {
         return res.status(400).json({
           success: false,
@@ -105,6 +107,9 @@ router.get('/quote/:symbols', async (req, res) => {
           snapQuoteTime: new Date()
         });
       }
+
+      // Price alerts on these symbols see the new quotes straight away
+      await alertEngine.evaluateQuotes(quotes.quotes);
     }
     
     res.json({
@@ -130,7 +135,7 @@ router.get('/symbols/:symbols', async (req, res) => {
     
     // Auto-detect personName if not provided
     if (!personName) {
-      personName = await getDefaultPersonName();
+      personName = await getDefaultPersonName(req);
       if (!personName) {
         return res.status(400).json({
           success: false,
@@ -190,7 +195,7 @@ router.get('/candles/:symbol', async (req, res) => {
     
     // Auto-detect personName if not provided
     if (!personName) {
-      personName = await getDefaultPersonName();
+      personName = await getDefaultPersonName(req);
       if (!personName) {
         return res.status(400).json({
           success: false,
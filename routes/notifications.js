@@ -0,0 +1,105 @@
+// routes/notifications.js - The in-app notification inbox and delivery status
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const notifications = require('../services/notifications');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { personScopeFilter, requireRole, ROLES } = require('../middleware/auth');
+
+// Notifications outside the user's persons look the same as missing ones
+async function findNotification(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw createError(400, 'Invalid notification id');
+  }
+
+  const notification = await Notification.findOne({ _id: req.params.id, ...personScopeFilter(req) });
+  if (!notification) {
+    throw createError(404, 'Notification not found');
+  }
+  return notification;
+}
+
+// The inbox, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const { personName, type, unread, limit = 50 } = req.query;
+
+  const query = { ...personScopeFilter(req), 'deliveries.channel': 'inApp' };
+  if (personName) query.personName = personName;
+  if (type) query.type = type;
+
+  const unreadCount = await Notification.countDocuments({ ...query, readAt: null });
+  if (unread === 'true') query.readAt = null;
+
+  const items = await Notification.find(query)
+    .select('-html')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 500));
+
+  res.json({
+    success: true,
+    data: items,
+    count: items.length,
+    unreadCount
+  });
+}));
+
+// Mark every unread inbox notification as read, for one person or all the user can see
+router.post('/read-all', asyncHandler(async (req, res) => {
+  const { personName } = req.body;
+
+  const query = { ...personScopeFilter(req), 'deliveries.channel': 'inApp', readAt: null };
+  if (personName) query.personName = personName;
+
+  const result = await Notification.updateMany(query, { readAt: new Date() });
+
+  res.json({
+    success: true,
+    data: { updated: result.modifiedCount }
+  });
+}));
+
+// Send a test notification now on the person's channels, or the ones listed
+router.post('/test', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const { personName, channels } = req.body;
+
+  if (!personName) {
+    return res.status(400).json({
+      success: false,
+      error: 'personName is required'
+    });
+  }
+
+  const notification = await notifications.sendTest(personName, channels ? [].concat(channels) : null);
+
+  res.json({
+    success: true,
+    data: notification
+  });
+}));
+
+// One notification with the status of each delivery
+router.get('/:id', asyncHandler(async (req, res) => {
+  const notification = await findNotification(req);
+
+  res.json({
+    success: true,
+    data: notification
+  });
+}));
+
+router.post('/:id/read', asyncHandler(async (req, res) => {
+  const notification = await findNotification(req);
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.json({
+    success: true,
+    data: notification
+  });
+}));
+
+module.exports = router;
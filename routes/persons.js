@@ -6,13 +6,19 @@ const Account = require('../models/Account');
 const Position = require('../models/Position');
 const Activity = require('../models/Activity');
 const Token = require('../models/Token');
+const User = require('../models/User');
 const tokenManager = require('../services/tokenManager');
+const benchmarkService = require('../services/benchmarkService');
+const auditLog = require('../services/auditLog');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authorizePersonParam, requireAllPersons, requireRole, assertRole, assertPersonAccess, personScopeFilter, ROLES } = require('../middleware/auth');
+
+router.param('personName', authorizePersonParam);
 
 // Get all persons
 router.get('/', asyncHandler(async (req, res) => {
-  const persons = await Person.find({ isActive: true })
+  const persons = await Person.find({ isActive: true, ...personScopeFilter(req) })
     .sort({ personName: 1 });
   
   // Enrich with account counts and token status
@@ -26,7 +32,7 @@ router.get('/', asyncHandler(async (req, res) => {
         personName: person.personName 
       });
 
-      const tokenStatus = await tokenManager.getTokenStatus(person.personName);
+      const tokenStatus = await tokenManager.getTokenStatus(person.personName, person);
       
       return {
         ...person.toObject(),
@@ -81,7 +87,7 @@ router.get('/:personName', asyncHandler(async (req, res) => {
 }));
 
 // Create new person
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requireAllPersons, requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName, refreshToken, displayName, email, phoneNumber } = req.body;
   
   if (!personName || !refreshToken) {
@@ -102,7 +108,7 @@ router.post('/', asyncHandler(async (req, res) => {
 
   // Setup token and create person
   try {
-    await tokenManager.setupPersonToken(personName, refreshToken);
+    await tokenManager.setupPersonToken(personName, refreshToken, auditLog.fromRequest(req));
     
     const person = await Person.create({
       personName,
@@ -130,9 +136,9 @@ router.post('/', asyncHandler(async (req, res) => {
 }));
 
 // Update person information
-router.put('/:personName', asyncHandler(async (req, res) => {
+router.put('/:personName', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
-  const { newPersonName, displayName, email, phoneNumber, preferences } = req.body;
+  const { newPersonName, displayName, email, phoneNumber, preferences, spouseName } = req.body;
   
   const person = await Person.findOne({ personName, isActive: true });
   
@@ -159,7 +165,9 @@ router.put('/:personName', asyncHandler(async (req, res) => {
       Token.updateMany({ personName }, { personName: newPersonName }),
       Account.updateMany({ personName }, { personName: newPersonName }),
       Position.updateMany({ personName }, { personName: newPersonName }),
-      Activity.updateMany({ personName }, { personName: newPersonName })
+      Activity.updateMany({ personName }, { personName: newPersonName }),
+      User.updateMany({ persons: personName }, { $set: { 'persons.$': newPersonName } }),
+      Person.updateMany({ spouseName: personName }, { spouseName: newPersonName })
     ]);
     
     person.personName = newPersonName;
@@ -171,6 +179,26 @@ router.put('/:personName', asyncHandler(async (req, res) => {
   if (phoneNumber) person.phoneNumber = phoneNumber;
   if (preferences) person.preferences = { ...person.preferences, ...preferences };
 
+  // The link is kept on both persons; null removes it
+  if (spouseName !== undefined && spouseName !== person.spouseName) {
+    if (spouseName) {
+      assertPersonAccess(req, spouseName);
+      const spouse = await Person.findOne({ personName: spouseName, isActive: true });
+      if (!spouse || spouseName === person.personName) {
+        return res.status(400).json({
+          success: false,
+          error: 'spouseName must be another active person'
+        });
+      }
+      await Person.updateMany({ spouseName: { $in: [person.personName, spouseName] } }, { spouseName: null });
+      spouse.spouseName = person.personName;
+      await spouse.save();
+    } else {
+      await Person.updateMany({ spouseName: person.personName }, { spouseName: null });
+    }
+    person.spouseName = spouseName || null;
+  }
+
   await person.save();
 
   logger.info(`Person updated: ${personName} -> ${person.personName}`);
@@ -183,7 +211,7 @@ router.put('/:personName', asyncHandler(async (req, res) => {
 }));
 
 // Delete person (soft delete)
-router.delete('/:personName', asyncHandler(async (req, res) => {
+router.delete('/:personName', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
   const { permanent = false } = req.query;
   
@@ -197,16 +225,29 @@ router.delete('/:personName', asyncHandler(async (req, res) => {
   }
 
   if (permanent === 'true') {
+    assertRole(req, ROLES.ADMIN);
+
     // Permanent deletion - remove all related data
-    await Promise.all([
+    const [tokens, accounts, positions, activities] = await Promise.all([
       Token.deleteMany({ personName }),
       Account.deleteMany({ personName }),
       Position.deleteMany({ personName }),
       Activity.deleteMany({ personName }),
-      Person.deleteOne({ personName })
+      Person.deleteOne({ personName }),
+      User.updateMany({ persons: personName }, { $pull: { persons: personName } })
     ]);
     
     logger.info(`Person permanently deleted: ${personName}`);
+    await auditLog.record('person.delete', {
+      personName,
+      actor: auditLog.fromRequest(req),
+      details: {
+        tokens: tokens.deletedCount,
+        accounts: accounts.deletedCount,
+        positions: positions.deletedCount,
+        activities: activities.deletedCount
+      }
+    });
     
     res.json({
       success: true,
@@ -214,7 +255,7 @@ router.delete('/:personName', asyncHandler(async (req, res) => {
     });
   } else {
     // Soft delete - deactivate person and tokens
-    await tokenManager.removePerson(personName);
+    await tokenManager.removePerson(personName, auditLog.fromRequest(req));
     
     logger.info(`Person soft deleted: ${personName}`);
     
@@ -226,7 +267,7 @@ router.delete('/:personName', asyncHandler(async (req, res) => {
 }));
 
 // Add or update refresh token for person
-router.post('/:personName/token', asyncHandler(async (req, res) => {
+router.post('/:personName/token', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
   const { refreshToken } = req.body;
   
@@ -238,7 +279,7 @@ router.post('/:personName/token', asyncHandler(async (req, res) => {
   }
 
   try {
-    const result = await tokenManager.setupPersonToken(personName, refreshToken);
+    const result = await tokenManager.setupPersonToken(personName, refreshToken, auditLog.fromRequest(req));
     
     res.json({
       success: true,
@@ -254,6 +295,36 @@ router.post('/:personName/token', asyncHandler(async (req, res) => {
   }
 }));
 
+// Start the Questrade OAuth login for a person, returns the URL to open in a browser.
+// Questrade redirects back to GET /api/auth/questrade/callback, which stores the tokens.
+router.post('/:personName/oauth/authorize', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const { personName } = req.params;
+
+  if (!tokenManager.isOAuthConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'OAuth login is not configured. Set QUESTRADE_CLIENT_ID and QUESTRADE_REDIRECT_URI.'
+    });
+  }
+
+  // Onboarding a new person is limited to users who can see every person, like POST /
+  const existingPerson = await Person.findOne({ personName });
+  if (!existingPerson && !req.user.hasAllPersons()) {
+    return res.status(404).json({
+      success: false,
+      error: 'Person not found'
+    });
+  }
+
+  const authorization = await tokenManager.createAuthorization(personName, req.user);
+
+  res.json({
+    success: true,
+    data: authorization,
+    message: 'Open authorizeUrl to log in to Questrade'
+  });
+}));
+
 // Get token status for person
 router.get('/:personName/token-status', asyncHandler(async (req, res) => {
   const { personName } = req.params;
@@ -275,7 +346,7 @@ router.get('/:personName/token-status', asyncHandler(async (req, res) => {
 }));
 
 // Test connection for person
-router.post('/:personName/test-connection', asyncHandler(async (req, res) => {
+router.post('/:personName/test-connection', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
   
   try {
@@ -356,4 +427,49 @@ router.get('/:personName/statistics', asyncHandler(async (req, res) => {
   });
 }));
 
+// Benchmarks used for performance comparison, or the default ones when none are set
+router.get('/:personName/benchmarks', asyncHandler(async (req, res) => {
+  const { personName } = req.params;
+
+  const person = await Person.findOne({ personName, isActive: true }).select('preferences.benchmarks');
+  if (!person) {
+    return res.status(404).json({
+      success: false,
+      error: 'Person not found'
+    });
+  }
+
+  const custom = person.preferences.benchmarks.length > 0;
+  res.json({
+    success: true,
+    data: {
+      benchmarks: custom ? person.preferences.benchmarks : await benchmarkService.getBenchmarksFor(),
+      isDefault: !custom
+    }
+  });
+}));
+
+// Replace the benchmarks; each is "SPY", "XEQT.TO:60,ZAG.TO:40" or { name, components }. [] restores the default.
+router.put('/:personName/benchmarks', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const { personName } = req.params;
+
+  const person = await Person.findOne({ personName, isActive: true });
+  if (!person) {
+    return res.status(404).json({
+      success: false,
+      error: 'Person not found'
+    });
+  }
+
+  person.preferences.benchmarks = benchmarkService.normalize(req.body.benchmarks);
+  await person.save();
+
+  logger.info(`Benchmarks updated for ${personName}: ${person.preferences.benchmarks.map(b => b.name).join(', ') || 'default'}`);
+
+  res.json({
+    success: true,
+    data: person.preferences.benchmarks
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -2,10 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const auditLog = require('../services/auditLog');
 const PortfolioCalculatorService = require('../services/portfolioCalculator');
 const DatabaseManager = require('../services/databaseManager');
 const QueueManager = require('../services/queueManager');
 const AccountAggregator = require('../services/accountAggregator');
+const Order = require('../models/Order');
+const Execution = require('../models/Execution');
+const { requireScopedRequest, requireRole, personScopeFilter, ROLES } = require('../middleware/auth');
 
 // Initialize services
 const dbManager = new DatabaseManager();
@@ -13,6 +17,9 @@ const queueManager = new QueueManager();
 const portfolioCalculator = new PortfolioCalculatorService(dbManager, queueManager);
 const accountAggregator = new AccountAggregator(dbManager);
 
+// Users limited to some persons must always say which person or account they want
+router.use(requireScopedRequest);
+
 /**
  * GET /api/portfolio/summary
  * Get portfolio summary with various view modes
@@ -148,6 +155,11 @@ router.get('/positions/:symbol', async (req, res, next) => {
       });
     }
 
+    // Orders that are still working against this position
+    const openOrders = await Order.find({ ...personScopeFilter(req), ...filter, isOpen: true })
+      .sort({ creationTime: -1 })
+      .lean();
+
     // If specific account/person requested, return single position
     if (accountId && positions.length === 1) {
       const position = positions[0];
@@ -175,6 +187,7 @@ router.get('/positions/:symbol', async (req, res, next) => {
         dividendYield: position.dividendYield || 0,
         annualDividend: position.annualDividend || 0,
         dividendData: position.dividendData,
+        openOrders,
         lastUpdated: position.lastUpdated
       };
 
@@ -200,6 +213,7 @@ router.get('/positions/:symbol', async (req, res, next) => {
       annualDividend: positions[0].annualDividend || 0,
       accounts: [],
       persons: new Set(),
+      openOrders,
       lastUpdated: positions[0].lastUpdated
     };
 
@@ -371,6 +385,95 @@ router.get('/performance', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/portfolio/performance/benchmark
+ * Compare cumulative returns with the person's benchmarks, or the ones given as
+ * benchmark=SPY or benchmark=XEQT.TO:60,ZAG.TO:40 (several separated by semicolons)
+ */
+router.get('/performance/benchmark', async (req, res, next) => {
+  try {
+    const {
+      accountId,
+      personName,
+      period = '1Y',
+      benchmark
+    } = req.query;
+
+    const comparison = await portfolioCalculator.getBenchmarkComparison({
+      accountId,
+      personName,
+      period,
+      benchmark
+    });
+
+    res.json({
+      success: true,
+      data: comparison,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error comparing performance to benchmarks:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/risk
+ * Volatility, drawdown, Sharpe, Sortino and beta for the household, a person or an account
+ */
+router.get('/risk', async (req, res, next) => {
+  try {
+    const {
+      viewMode = 'all',
+      accountId,
+      personName,
+      period = '1Y',
+      riskFreeRate,
+      benchmark
+    } = req.query;
+
+    // Validate required parameters based on viewMode
+    if (viewMode === 'person' && !personName) {
+      return res.status(400).json({
+        success: false,
+        error: 'personName is required when viewMode is "person"'
+      });
+    }
+
+    if (viewMode === 'account' && !accountId) {
+      return res.status(400).json({
+        success: false,
+        error: 'accountId is required when viewMode is "account"'
+      });
+    }
+
+    if (riskFreeRate !== undefined && !Number.isFinite(parseFloat(riskFreeRate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'riskFreeRate must be a number (annual, in percent)'
+      });
+    }
+
+    // Filters are passed as given, so a person-scoped user's "all" view stays scoped
+    const risk = await portfolioCalculator.getRiskMetrics({
+      accountId,
+      personName,
+      period,
+      riskFreeRate: riskFreeRate !== undefined ? parseFloat(riskFreeRate) : undefined,
+      benchmark
+    });
+
+    res.json({
+      success: true,
+      data: risk,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting risk metrics:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/portfolio/dividends
  * Get dividend information
@@ -511,7 +614,7 @@ router.get('/snapshots', async (req, res, next) => {
  * POST /api/portfolio/snapshot
  * Create a new portfolio snapshot
  */
-router.post('/snapshot', async (req, res, next) => {
+router.post('/snapshot', requireRole(ROLES.OWNER), async (req, res, next) => {
   try {
     const { accountId, personName } = req.body;
 
@@ -597,24 +700,210 @@ router.get('/transactions', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/portfolio/orders
+ * List synced orders by person, account, symbol and state
+ */
+router.get('/orders', async (req, res, next) => {
+  try {
+    const {
+      accountId,
+      personName,
+      symbol,
+      state,
+      startDate,
+      endDate,
+      limit = 100
+    } = req.query;
+
+    const query = { ...personScopeFilter(req) };
+    if (personName) query.personName = personName;
+    if (accountId) query.accountId = accountId;
+    if (symbol) query.symbol = symbol.toUpperCase();
+
+    // "open" and "closed" group Questrade's states, anything else must match exactly
+    if (state === 'open') {
+      query.isOpen = true;
+    } else if (state === 'closed') {
+      query.isOpen = false;
+    } else if (state) {
+      query.state = state;
+    }
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate and endDate must be valid dates'
+        });
+      }
+
+      query.creationTime = {};
+      if (start) query.creationTime.$gte = start;
+      if (end) query.creationTime.$lte = end;
+    }
+
+    const orders = await Order.find(query)
+      .sort({ creationTime: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 100, 1), 500))
+      .lean();
+
+    res.json({
+      success: true,
+      data: orders,
+      count: orders.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting orders:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/orders/:orderId
+ * Get a single order, including others in its replace chain
+ */
+router.get('/orders/:orderId', async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.orderId);
+    const order = Number.isFinite(orderId)
+      ? await Order.findOne({ ...personScopeFilter(req), orderId }).lean()
+      : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: `Order not found: ${req.params.orderId}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const chain = order.chainId
+      ? await Order.find({ accountId: order.accountId, chainId: order.chainId, orderId: { $ne: order.orderId } })
+        .sort({ creationTime: 1 })
+        .lean()
+      : [];
+
+    res.json({
+      success: true,
+      data: { ...order, chain },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting order:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/executions
+ * List individual fills with venue and fees, each with the trade activity it belongs to
+ */
+router.get('/executions', async (req, res, next) => {
+  try {
+    const {
+      accountId,
+      personName,
+      symbol,
+      orderId,
+      startDate,
+      endDate,
+      limit = 100
+    } = req.query;
+
+    const query = { ...personScopeFilter(req) };
+    if (personName) query.personName = personName;
+    if (accountId) query.accountId = accountId;
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (orderId) query.orderId = parseInt(orderId);
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate and endDate must be valid dates'
+        });
+      }
+
+      query.timestamp = {};
+      if (start) query.timestamp.$gte = start;
+      if (end) query.timestamp.$lte = end;
+    }
+
+    const executions = await Execution.find(query)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 100, 1), 500))
+      .populate('activityId', 'tradeDate action quantity price grossAmount commission netAmount currency')
+      .lean();
+
+    const data = executions.map(({ activityId, ...execution }) => ({
+      ...execution,
+      activity: activityId || null
+    }));
+
+    const summary = data.reduce((totals, execution) => {
+      totals.quantity += execution.quantity || 0;
+      totals.value += (execution.quantity || 0) * (execution.price || 0);
+      totals.fees += execution.totalFees || 0;
+      if (!execution.activity) totals.unlinked++;
+      return totals;
+    }, { quantity: 0, value: 0, fees: 0, unlinked: 0 });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      summary: {
+        ...summary,
+        // Only meaningful for a single symbol
+        averagePrice: symbol && summary.quantity > 0 ? summary.value / summary.quantity : null
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting executions:', error);
+    next(error);
+  }
+});
+
 /**
  * POST /api/portfolio/sync
  * Trigger portfolio data sync
  */
-router.post('/sync', async (req, res, next) => {
+router.post('/sync', requireRole(ROLES.OWNER), async (req, res, next) => {
   try {
     const { personName, accountId, fullSync = false } = req.body;
 
-    // Add sync job to queue
-    await queueManager.addJob('portfolio.sync', {
+    const actor = auditLog.fromRequest(req);
+
+    // Add sync job to queue; poll GET /api/jobs/:id for the outcome
+    const job = await queueManager.addJob('portfolio.sync', {
       personName,
       accountId,
       fullSync
+    }, { actor });
+
+    await auditLog.record(job.personName ? 'sync.person' : 'sync.all', {
+      personName: job.personName,
+      actor,
+      details: { fullSync, queued: true, jobId: job._id }
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
       message: 'Portfolio sync initiated',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -627,18 +916,23 @@ router.post('/sync', async (req, res, next) => {
  * POST /api/portfolio/refresh
  * Trigger portfolio data refresh (legacy endpoint)
  */
-router.post('/refresh', async (req, res, next) => {
+router.post('/refresh', requireRole(ROLES.OWNER), async (req, res, next) => {
   try {
     const { accountId, force = false } = req.body;
 
-    await queueManager.addJob('portfolio.refresh', {
+    const job = await queueManager.addJob('portfolio.refresh', {
       accountId,
       force
-    });
+    }, { actor: auditLog.fromRequest(req) });
 
-    res.json({
+    res.status(202).json({
       success: true,
       message: 'Portfolio refresh initiated',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -649,13 +943,16 @@ router.post('/refresh', async (req, res, next) => {
 
 /**
  * GET /api/portfolio/watchlist
- * Get watchlist
+ * Get watchlists with the latest quote and dividend data for each symbol
  */
 router.get('/watchlist', async (req, res, next) => {
   try {
-    const { personName } = req.query;
+    const { personName, name } = req.query;
 
-    const watchlist = await dbManager.getWatchlist(personName);
+    const watchlist = await dbManager.getWatchlist({
+      personName: personName || personScopeFilter(req).personName,
+      name
+    });
 
     res.json({
       success: true,
@@ -670,16 +967,35 @@ router.get('/watchlist', async (req, res, next) => {
 
 /**
  * POST /api/portfolio/watchlist
- * Add symbol to watchlist
+ * Add symbol to a watchlist, or update its notes and target prices
  */
-router.post('/watchlist', async (req, res, next) => {
+router.post('/watchlist', requireRole(ROLES.OWNER), async (req, res, next) => {
   try {
-    const { personName, symbol, notes } = req.body;
+    const { personName, name, symbol, notes, targetBuyPrice, targetSellPrice } = req.body;
+
+    if (!personName || !symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'personName and symbol are required'
+      });
+    }
+
+    for (const [field, value] of Object.entries({ targetBuyPrice, targetSellPrice })) {
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a positive number`
+        });
+      }
+    }
 
     const result = await dbManager.addToWatchlist({
       personName,
+      name,
       symbol,
-      notes
+      notes,
+      targetBuyPrice,
+      targetSellPrice
     });
 
     res.json({
@@ -698,13 +1014,21 @@ router.post('/watchlist', async (req, res, next) => {
  * DELETE /api/portfolio/watchlist/:symbol
  * Remove symbol from watchlist
  */
-router.delete('/watchlist/:symbol', async (req, res, next) => {
+router.delete('/watchlist/:symbol', requireRole(ROLES.OWNER), async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { personName } = req.query;
+    const { personName, name } = req.query;
+
+    if (!personName) {
+      return res.status(400).json({
+        success: false,
+        error: 'personName is required'
+      });
+    }
 
     await dbManager.removeFromWatchlist({
       personName,
+      name,
       symbol
     });
 
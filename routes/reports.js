@@ -0,0 +1,73 @@
+// routes/reports.js - Portfolio digest reports
+const express = require('express');
+const router = express.Router();
+const Account = require('../models/Account');
+const digestReport = require('../services/digestReport');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { requireScopedRequest, requireRole, ROLES } = require('../middleware/auth');
+
+const FORMATS = ['json', 'html', 'text'];
+
+// The person whose digest is wanted: personName, or the owner of accountId (access to both is
+// checked by enforcePersonScope). null is the household, which only users granted every person may see.
+async function getDigestPerson(req, { personName, accountId }) {
+  if (personName) {
+    return personName;
+  }
+  if (accountId) {
+    const account = await Account.findOne({ accountId }).select('personName');
+    if (!account) {
+      throw createError(404, `Account not found: ${accountId}`);
+    }
+    return account.personName;
+  }
+  if (!req.user.hasAllPersons()) {
+    throw createError(403, 'The household digest requires access to all persons');
+  }
+  return null;
+}
+
+// Preview a digest for personName or accountId's person; without either it covers the whole household
+router.get('/digest', requireScopedRequest, asyncHandler(async (req, res) => {
+  const { period = 'weekly', endDate, format = 'json' } = req.query;
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${FORMATS.join(', ')}`
+    });
+  }
+
+  const personName = await getDigestPerson(req, req.query);
+  const digest = await digestReport.build({ personName, period, endDate });
+
+  if (format === 'html') {
+    return res.type('html').send(digestReport.renderHtml(digest));
+  }
+  if (format === 'text') {
+    return res.type('text').send(digestReport.renderText(digest));
+  }
+
+  res.json({
+    success: true,
+    data: digest
+  });
+}));
+
+// Send a digest now: a person's through their notification channels, the household's by email
+router.post('/digest/send', requireRole(ROLES.OWNER), requireScopedRequest, asyncHandler(async (req, res) => {
+  const { period = 'weekly', endDate } = req.body;
+  const personName = await getDigestPerson(req, req.body);
+
+  const { digest, ...result } = await digestReport.send({ personName, period, endDate });
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      title: digestReport.getTitle(digest)
+    }
+  });
+}));
+
+module.exports = router;
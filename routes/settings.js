@@ -7,16 +7,24 @@ const Account = require('../models/Account');
 const Position = require('../models/Position');
 const Activity = require('../models/Activity');
 const tokenManager = require('../services/tokenManager');
+const tokenKeeper = require('../services/tokenKeeper');
+const auditLog = require('../services/auditLog');
+const AuditEvent = require('../models/AuditEvent');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authorizePersonParam, personScopeFilter, requireRole, ROLES } = require('../middleware/auth');
+
+router.param('personName', authorizePersonParam);
 
 // Get comprehensive settings dashboard data
 router.get('/dashboard', asyncHandler(async (req, res) => {
+  const scope = personScopeFilter(req);
+
   // Get all persons with their token status
-  const persons = await Person.find({ isActive: true });
+  const persons = await Person.find({ isActive: true, ...scope });
   const personData = await Promise.all(
     persons.map(async (person) => {
-      const tokenStatus = await tokenManager.getTokenStatus(person.personName);
+      const tokenStatus = await tokenManager.getTokenStatus(person.personName, person);
       const accountCount = await Account.countDocuments({ 
         personName: person.personName 
       });
@@ -31,18 +39,20 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
 
   // Get system statistics
   const systemStats = {
-    totalPersons: await Person.countDocuments({ isActive: true }),
-    totalAccounts: await Account.countDocuments(),
-    totalPositions: await Position.countDocuments(),
-    totalActivities: await Activity.countDocuments(),
+    totalPersons: await Person.countDocuments({ isActive: true, ...scope }),
+    totalAccounts: await Account.countDocuments(scope),
+    totalPositions: await Position.countDocuments(scope),
+    totalActivities: await Activity.countDocuments(scope),
     activeTokens: await Token.countDocuments({ 
       isActive: true, 
-      type: 'refresh' 
+      type: 'refresh',
+      ...scope
     })
   };
 
   // Get recent errors
   const recentErrors = await Token.find({
+    ...scope,
     lastError: { $exists: true, $ne: null },
     lastUsed: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
   })
@@ -61,7 +71,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
 }));
 
 // Validate refresh token without saving
-router.post('/validate-token', asyncHandler(async (req, res) => {
+router.post('/validate-token', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
   
   if (!refreshToken) {
@@ -93,6 +103,7 @@ router.get('/error-logs', asyncHandler(async (req, res) => {
   const daysInt = parseInt(days);
   
   let query = {
+    ...personScopeFilter(req),
     lastError: { $exists: true, $ne: null },
     lastUsed: { $gte: new Date(Date.now() - daysInt * 24 * 60 * 60 * 1000) }
   };
@@ -108,6 +119,7 @@ router.get('/error-logs', asyncHandler(async (req, res) => {
 
   // Get person-specific sync errors
   const personErrors = await Person.find({
+    ...personScopeFilter(req),
     lastSyncError: { $exists: true, $ne: null }
   }).select('personName lastSyncError updatedAt');
 
@@ -120,8 +132,58 @@ router.get('/error-logs', asyncHandler(async (req, res) => {
   });
 }));
 
+// Get audit events, filtered by person, action and date range
+router.get('/audit', asyncHandler(async (req, res) => {
+  const { personName, action, startDate, endDate, limit = 100 } = req.query;
+
+  const query = { ...personScopeFilter(req) };
+
+  if (personName) {
+    query.personName = personName;
+  }
+
+  if (action) {
+    if (!AuditEvent.ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown action. Use one of: ${AuditEvent.ACTIONS.join(', ')}`
+      });
+    }
+    query.action = action;
+  }
+
+  if (startDate || endDate) {
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate and endDate must be valid dates'
+      });
+    }
+
+    query.createdAt = {};
+    if (start) query.createdAt.$gte = start;
+    if (end) query.createdAt.$lte = end;
+  }
+
+  const limitInt = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+
+  const events = await AuditEvent.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limitInt)
+    .lean();
+
+  res.json({
+    success: true,
+    data: events,
+    count: events.length
+  });
+}));
+
 // Clear error states for a person
-router.post('/clear-errors/:personName', asyncHandler(async (req, res) => {
+router.post('/clear-errors/:personName', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
   
   // Clear token errors
@@ -137,11 +199,12 @@ router.post('/clear-errors/:personName', asyncHandler(async (req, res) => {
   await Person.findOneAndUpdate(
     { personName },
     { 
-      $unset: { lastSyncError: 1 }
+      $unset: { lastSyncError: 1, tokenError: 1, tokenErrorAt: 1 }
     }
   );
 
   logger.info(`Cleared errors for person: ${personName}`);
+  await auditLog.record('person.clear_errors', { personName, actor: auditLog.fromRequest(req) });
   
   res.json({
     success: true,
@@ -152,11 +215,24 @@ router.post('/clear-errors/:personName', asyncHandler(async (req, res) => {
 // Get all token statuses
 router.get('/token-status/all', asyncHandler(async (req, res) => {
   try {
-    const allTokenStatus = await tokenManager.getAllTokenStatus();
+    const allTokenStatus = (await tokenManager.getAllTokenStatus())
+      .filter(status => req.user.canAccessPerson(status.personName));
+
+    // Persons that need attention before their refresh token locks them out
+    const warnings = allTokenStatus
+      .filter(status => status.expiry.status !== 'ok')
+      .map(status => ({
+        personName: status.personName,
+        status: status.expiry.status,
+        hoursRemaining: status.expiry.hoursRemaining,
+        message: status.expiry.message
+      }));
     
     res.json({
       success: true,
-      data: allTokenStatus
+      data: allTokenStatus,
+      warnings,
+      keeper: tokenKeeper.getStatus()
     });
   } catch (error) {
     logger.error('Error getting all token status:', error);
@@ -168,8 +244,8 @@ router.get('/token-status/all', asyncHandler(async (req, res) => {
 }));
 
 // Test connections for all persons
-router.post('/test-connections/all', asyncHandler(async (req, res) => {
-  const persons = await Person.find({ isActive: true });
+router.post('/test-connections/all', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const persons = await Person.find({ isActive: true, ...personScopeFilter(req) });
   
   const results = await Promise.allSettled(
     persons.map(async (person) => {
@@ -199,8 +275,8 @@ router.post('/test-connections/all', asyncHandler(async (req, res) => {
 }));
 
 // Refresh tokens for all persons
-router.post('/refresh-tokens/all', asyncHandler(async (req, res) => {
-  const persons = await Person.find({ isActive: true });
+router.post('/refresh-tokens/all', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
+  const persons = await Person.find({ isActive: true, ...personScopeFilter(req) });
   
   const results = await Promise.allSettled(
     persons.map(async (person) => {
@@ -247,10 +323,10 @@ router.get('/health', asyncHandler(async (req, res) => {
   }
 
   // Check token health for each person
-  const persons = await Person.find({ isActive: true });
+  const persons = await Person.find({ isActive: true, ...personScopeFilter(req) });
   for (const person of persons) {
     try {
-      const tokenStatus = await tokenManager.getTokenStatus(person.personName);
+      const tokenStatus = await tokenManager.getTokenStatus(person.personName, person);
       health.tokens.push({
         personName: person.personName,
         status: tokenStatus.refreshToken.exists ? 'healthy' : 'missing',
@@ -272,7 +348,7 @@ router.get('/health', asyncHandler(async (req, res) => {
 }));
 
 // Export system configuration
-router.get('/export', asyncHandler(async (req, res) => {
+router.get('/export', requireRole(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const { includeTokens = false } = req.query;
   
   const persons = await Person.find({ isActive: true }).lean();
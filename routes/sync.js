@@ -2,12 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const dataSync = require('../services/dataSync');
+const auditLog = require('../services/auditLog');
 const Person = require('../models/Person');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authorizePersonParam, requireAllPersons, requireRole, ROLES } = require('../middleware/auth');
+
+router.param('personName', authorizePersonParam);
 
 // Sync data for specific person
-router.post('/person/:personName', asyncHandler(async (req, res) => {
+router.post('/person/:personName', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
   const { fullSync = false } = req.body;
   
@@ -15,6 +19,12 @@ router.post('/person/:personName', asyncHandler(async (req, res) => {
     const result = await dataSync.syncPersonData(personName, {
       fullSync: fullSync === true || fullSync === 'true'
     });
+
+    await auditLog.record('sync.person', {
+      personName,
+      actor: auditLog.fromRequest(req),
+      details: { fullSync }
+    });
     
     res.json({
       success: true,
@@ -23,6 +33,13 @@ router.post('/person/:personName', asyncHandler(async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error syncing data for ${personName}:`, error);
+    await auditLog.record('sync.person', {
+      personName,
+      actor: auditLog.fromRequest(req),
+      success: false,
+      error,
+      details: { fullSync }
+    });
     res.status(500).json({
       success: false,
       error: `Failed to sync data for ${personName}`,
@@ -32,13 +49,18 @@ router.post('/person/:personName', asyncHandler(async (req, res) => {
 }));
 
 // Sync data for all persons
-router.post('/all-persons', asyncHandler(async (req, res) => {
+router.post('/all-persons', requireAllPersons, requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { fullSync = false } = req.body;
   
   try {
     const result = await dataSync.syncAllPersons({
       fullSync: fullSync === true || fullSync === 'true'
     });
+
+    await auditLog.record('sync.all', {
+      actor: auditLog.fromRequest(req),
+      details: { fullSync }
+    });
     
     res.json({
       success: true,
@@ -47,6 +69,12 @@ router.post('/all-persons', asyncHandler(async (req, res) => {
     });
   } catch (error) {
     logger.error('Error syncing all persons:', error);
+    await auditLog.record('sync.all', {
+      actor: auditLog.fromRequest(req),
+      success: false,
+      error,
+      details: { fullSync }
+    });
     res.status(500).json({
       success: false,
       error: 'Failed to sync all persons',
@@ -89,7 +117,7 @@ router.get('/status', asyncHandler(async (req, res) => {
     
     res.json({
       success: true,
-      data: statuses
+      data: statuses.filter(status => req.user.canAccessPerson(status.personName))
     });
   } catch (error) {
     logger.error('Error getting all sync statuses:', error);
@@ -101,11 +129,12 @@ router.get('/status', asyncHandler(async (req, res) => {
 }));
 
 // Stop sync for specific person (emergency stop)
-router.post('/stop/:personName', asyncHandler(async (req, res) => {
+router.post('/stop/:personName', requireRole(ROLES.OWNER), asyncHandler(async (req, res) => {
   const { personName } = req.params;
   
   try {
     await dataSync.stopSync(personName);
+    await auditLog.record('sync.stop', { personName, actor: auditLog.fromRequest(req) });
     
     res.json({
       success: true,
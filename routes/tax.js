@@ -0,0 +1,159 @@
+// routes/tax.js - Canadian tax reports for a person's non-registered accounts
+const express = require('express');
+const router = express.Router();
+const acbLedger = require('../services/tax/acbLedger');
+const capitalGains = require('../services/tax/capitalGains');
+const superficialLoss = require('../services/tax/superficialLoss');
+const harvestOpportunities = require('../services/tax/harvestOpportunities');
+const investmentIncome = require('../services/tax/investmentIncome');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+// Tax figures are per person: accounts are pooled, but never across persons
+function requirePerson(req) {
+  const personName = req.query.personName || (req.body || {}).personName;
+  if (!personName) {
+    throw createError(400, 'personName is required');
+  }
+  return personName;
+}
+
+// A linked spouse's trades and accounts are only shown to users granted the spouse as well
+async function canSeeSpouse(req, personName) {
+  const spouseName = await superficialLoss.getSpouseName(personName);
+  return !spouseName || !req.user || req.user.canAccessPerson(spouseName);
+}
+
+// Tax year from the query, defaulting to the current one
+function parseYear(req) {
+  const currentYear = new Date().getFullYear();
+  if (req.query.year === undefined) {
+    return currentYear;
+  }
+
+  const year = Number(req.query.year);
+  if (!Number.isInteger(year) || year < 1972 || year > currentYear) {
+    throw createError(400, `year must be a tax year from 1972 to ${currentYear}`);
+  }
+  return year;
+}
+
+function parseFormat(req) {
+  const { format = 'json' } = req.query;
+  if (!['json', 'csv'].includes(format)) {
+    throw createError(400, 'format must be one of: json, csv');
+  }
+  return format;
+}
+
+// CSV downloads are named after the report, person and year
+function sendCsv(res, name, personName, year, csv) {
+  res.type('text/csv');
+  res.attachment(`${name}-${personName}-${year}.csv`);
+  res.send(csv);
+}
+
+// The ACB ledger for a symbol, transaction by transaction; without symbol, each symbol's current ACB
+router.get('/acb', asyncHandler(async (req, res) => {
+  const personName = requirePerson(req);
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+
+  const data = symbol
+    ? await acbLedger.getLedger(personName, symbol, { showSpouse: await canSeeSpouse(req, personName) })
+    : await acbLedger.getSummary(personName);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// Dispositions in a tax year with proceeds, ACB, outlays and gain; format=csv gives the Schedule 3 layout
+router.get('/capital-gains', asyncHandler(async (req, res) => {
+  const personName = requirePerson(req);
+  const year = parseYear(req);
+  const format = parseFormat(req);
+
+  const report = await capitalGains.build({ personName, year });
+
+  if (format === 'csv') {
+    return sendCsv(res, 'capital-gains', personName, year, capitalGains.renderCsv(report));
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+}));
+
+// Dividends, interest, tax withheld and return of capital in a tax year, by account and by symbol
+router.get('/investment-income', asyncHandler(async (req, res) => {
+  const personName = requirePerson(req);
+  const year = parseYear(req);
+  const format = parseFormat(req);
+
+  const summary = await investmentIncome.build({ personName, year });
+
+  if (format === 'csv') {
+    return sendCsv(res, 'investment-income', personName, year, investmentIncome.renderCsv(summary));
+  }
+
+  res.json({
+    success: true,
+    data: summary
+  });
+}));
+
+// Before trading: would selling now deny the loss, or would buying now deny a recent loss
+router.get('/superficial-loss-check', asyncHandler(async (req, res) => {
+  const personName = requirePerson(req);
+  if (!req.query.symbol) {
+    throw createError(400, 'symbol is required');
+  }
+
+  const quantity = req.query.quantity !== undefined ? Number(req.query.quantity) : undefined;
+  const price = req.query.price !== undefined ? Number(req.query.price) : undefined;
+  if ((quantity !== undefined && !(quantity > 0)) || (price !== undefined && !(price >= 0))) {
+    throw createError(400, 'quantity and price must be positive numbers');
+  }
+
+  const check = await superficialLoss.check({
+    personName,
+    symbol: String(req.query.symbol).toUpperCase(),
+    quantity,
+    price,
+    showSpouse: await canSeeSpouse(req, personName)
+  });
+
+  res.json({
+    success: true,
+    data: check
+  });
+}));
+
+// Positions with an unrealized loss worth realizing, with replacements and the dates to respect
+router.get('/harvest-opportunities', asyncHandler(async (req, res) => {
+  const personName = requirePerson(req);
+
+  const thresholds = {};
+  for (const name of ['minLoss', 'minLossPercent']) {
+    if (req.query[name] !== undefined) {
+      thresholds[name] = Number(req.query[name]);
+      if (!(thresholds[name] >= 0)) {
+        throw createError(400, `${name} must be a number of 0 or more`);
+      }
+    }
+  }
+
+  const report = await harvestOpportunities.build({
+    personName,
+    ...thresholds,
+    showSpouse: await canSeeSpouse(req, personName)
+  });
+
+  res.json({
+    success: true,
+    data: report
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,206 @@
+// routes/users.js - Manage API users and their person grants
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Person = require('../models/Person');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireRole, ROLES } = require('../middleware/auth');
+
+const VALID_ROLES = Object.values(ROLES);
+
+// Managing users hands out access and roles, so only admins may do it
+router.use(requireRole(ROLES.ADMIN));
+
+// Make sure every granted person exists
+async function findUnknownPersons(persons = []) {
+  if (persons.length === 0) {
+    return [];
+  }
+  const existing = await Person.distinct('personName', { personName: { $in: persons } });
+  return persons.filter(p => !existing.includes(p));
+}
+
+// Get all users
+router.get('/', asyncHandler(async (req, res) => {
+  const users = await User.find({})
+    .sort({ username: 1 });
+
+  res.json({
+    success: true,
+    data: users.map(u => u.toSafeObject())
+  });
+}));
+
+// Create new user
+router.post('/', asyncHandler(async (req, res) => {
+  const { username, password, displayName, email, persons = [], allPersons = false, role = ROLES.VIEWER } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Username and password are required'
+    });
+  }
+
+  if (!Array.isArray(persons)) {
+    return res.status(400).json({
+      success: false,
+      error: 'persons must be an array of person names'
+    });
+  }
+
+  if (!VALID_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `role must be one of: ${VALID_ROLES.join(', ')}`
+    });
+  }
+
+  const existingUser = await User.findOne({ username: String(username).toLowerCase().trim() });
+  if (existingUser) {
+    return res.status(400).json({
+      success: false,
+      error: 'User already exists'
+    });
+  }
+
+  const unknownPersons = await findUnknownPersons(persons);
+  if (unknownPersons.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown persons: ${unknownPersons.join(', ')}`
+    });
+  }
+
+  try {
+    const user = await User.createWithPassword({
+      username,
+      password,
+      displayName: displayName || username,
+      email,
+      persons,
+      allPersons: allPersons === true || allPersons === 'true',
+      role
+    });
+
+    logger.info(`User created: ${user.username} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: user.toSafeObject(),
+      message: 'User created successfully'
+    });
+  } catch (error) {
+    logger.error(`Error creating user ${username}:`, error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+// Update user details, role, person grants or password
+router.put('/:username', asyncHandler(async (req, res) => {
+  const { username } = req.params;
+  const { displayName, email, persons, allPersons, isActive, password, role } = req.body;
+
+  const user = await User.findOne({ username: username.toLowerCase() });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  if (persons !== undefined) {
+    if (!Array.isArray(persons)) {
+      return res.status(400).json({
+        success: false,
+        error: 'persons must be an array of person names'
+      });
+    }
+
+    const unknownPersons = await findUnknownPersons(persons);
+    if (unknownPersons.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown persons: ${unknownPersons.join(', ')}`
+      });
+    }
+    user.persons = persons;
+  }
+
+  if (role !== undefined) {
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${VALID_ROLES.join(', ')}`
+      });
+    }
+    if (user.username === req.user.username && role !== ROLES.ADMIN) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own admin role'
+      });
+    }
+    user.role = role;
+  }
+
+  if (displayName) user.displayName = displayName;
+  if (email) user.email = email;
+  if (allPersons !== undefined) user.allPersons = allPersons === true || allPersons === 'true';
+  if (isActive !== undefined) user.isActive = isActive === true || isActive === 'true';
+
+  if (password) {
+    try {
+      await user.setPassword(password);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  await user.save();
+
+  logger.info(`User updated: ${user.username} by ${req.user.username}`);
+
+  res.json({
+    success: true,
+    data: user.toSafeObject(),
+    message: 'User updated successfully'
+  });
+}));
+
+// Delete user
+router.delete('/:username', asyncHandler(async (req, res) => {
+  const { username } = req.params;
+
+  if (username.toLowerCase() === req.user.username) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot delete your own user'
+    });
+  }
+
+  const result = await User.deleteOne({ username: username.toLowerCase() });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  logger.info(`User deleted: ${username} by ${req.user.username}`);
+
+  res.json({
+    success: true,
+    message: 'User deleted successfully'
+  });
+}));
+
+module.exports = router;
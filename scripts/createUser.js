@@ -0,0 +1,139 @@
+// scripts/createUser.js - Create or update an API user from the command line
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Person = require('../models/Person');
+require('dotenv').config();
+
+const VALID_ROLES = User.schema.path('role').enumValues;
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const options = {
+  username: null,
+  password: null,
+  persons: [],
+  allPersons: false,
+  role: null,
+  help: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--username':
+    case '-u':
+      options.username = args[i + 1];
+      i++;
+      break;
+    case '--password':
+      options.password = args[i + 1];
+      i++;
+      break;
+    case '--persons':
+    case '-p':
+      options.persons = (args[i + 1] || '').split(',').map(p => p.trim()).filter(p => p);
+      i++;
+      break;
+    case '--all-persons':
+      options.allPersons = true;
+      break;
+    case '--role':
+    case '-r':
+      options.role = (args[i + 1] || '').toLowerCase();
+      i++;
+      break;
+    case '--help':
+    case '-h':
+      options.help = true;
+      break;
+    default:
+      break;
+  }
+}
+
+function showHelp() {
+  console.log(`
+API User Tool
+
+Usage: node scripts/createUser.js --username <name> --password <password> [options]
+
+Options:
+  -u, --username <name>      Username to create or update
+  --password <password>      Password (at least 8 characters)
+  -p, --persons <a,b>        Comma separated person names the user may access
+  --all-persons              Grant access to every person
+  -r, --role <role>          viewer (default), owner or admin
+  -h, --help                 Show this help message
+
+Examples:
+  node scripts/createUser.js -u admin --password "s3cret-pass" --role admin
+  node scripts/createUser.js -u priya --password "s3cret-pass" --persons "Priya,Kids" --role owner
+
+If the user already exists its password and person grants are replaced,
+and its role too when --role is given.
+`);
+}
+
+async function main() {
+  if (options.help || !options.username || !options.password) {
+    showHelp();
+    if (!options.help) process.exit(1);
+    return;
+  }
+
+  if (options.role && !VALID_ROLES.includes(options.role)) {
+    console.error(`❌ Invalid role "${options.role}". Use one of: ${VALID_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio';
+  await mongoose.connect(mongoUri);
+  console.log('✅ Connected to MongoDB');
+
+  try {
+    if (options.persons.length > 0) {
+      const existing = await Person.distinct('personName', { personName: { $in: options.persons } });
+      const unknown = options.persons.filter(p => !existing.includes(p));
+      if (unknown.length > 0) {
+        console.warn(`⚠️  Unknown persons (granted anyway): ${unknown.join(', ')}`);
+      }
+    }
+
+    const username = options.username.toLowerCase().trim();
+    let user = await User.findOne({ username });
+
+    if (user) {
+      user.persons = options.persons;
+      user.allPersons = options.allPersons;
+      if (options.role) {
+        user.role = options.role;
+      }
+      await user.setPassword(options.password);
+      await user.save();
+      console.log(`✅ Updated user "${username}"`);
+    } else {
+      user = await User.createWithPassword({
+        username,
+        password: options.password,
+        displayName: options.username,
+        persons: options.persons,
+        allPersons: options.allPersons,
+        role: options.role || undefined
+      });
+      console.log(`✅ Created user "${username}"`);
+    }
+
+    console.log(`   Role: ${user.role}`);
+    console.log(`   Access: ${user.hasAllPersons() ? 'all persons' : (user.persons.join(', ') || 'no persons')}`);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Script failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,79 @@
+// scripts/jobWorker.js - Run the background job worker outside the API process
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const QueueManager = require('../services/queueManager');
+const Token = require('../models/Token');
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const options = {
+  pollInterval: undefined,
+  help: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--poll-interval':
+      options.pollInterval = parseInt(args[i + 1], 10);
+      i++;
+      break;
+    case '--help':
+    case '-h':
+      options.help = true;
+      break;
+  }
+}
+
+function showHelp() {
+  console.log(`
+Job Worker
+
+Usage: node scripts/jobWorker.js [options]
+
+Options:
+  --poll-interval <ms>     How often to look for queued jobs when idle (default: 2000)
+  -h, --help               Show this help message
+
+Start the API with DISABLE_JOB_WORKER=true to leave jobs to workers started this way.
+Several workers can run at once; each job is only picked up by one of them.
+`);
+}
+
+const worker = new QueueManager({ pollInterval: options.pollInterval });
+
+async function main() {
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  // Syncs refresh tokens, which cannot be saved without a usable current key
+  console.log(`🔑 Token encryption key version: ${Token.checkEncryptionKeys()}`);
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio';
+  await mongoose.connect(mongoUri);
+  console.log('✅ Connected to MongoDB');
+
+  worker.start();
+  console.log(`⚙️  Job worker ${worker.workerId} running. Press Ctrl+C to stop`);
+}
+
+async function shutdown() {
+  console.log('\n⏹️  Stopping job worker after the current job');
+  await worker.stop();
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Job worker failed:', error.message);
+    process.exit(1);
+  });
+}
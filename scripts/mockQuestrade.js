@@ -0,0 +1,132 @@
+// scripts/mockQuestrade.js - Run the built-in Questrade mock server and seed persons against it
+require('dotenv').config();
+// The token manager only talks to the mock when mock mode is on
+process.env.MOCK_API_CALLS = 'true';
+
+const mongoose = require('mongoose');
+const questradeMock = require('../services/questradeMock');
+const { listScenarios } = require('../services/questradeMock/scenarios');
+const tokenManager = require('../services/tokenManager');
+
+const SCRIPT_ACTOR = { actor: 'mockQuestrade', source: 'script' };
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const options = {
+  port: undefined,
+  scenario: undefined,
+  seed: [],
+  list: false,
+  help: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--port':
+    case '-p':
+      options.port = parseInt(args[i + 1], 10);
+      i++;
+      break;
+    case '--scenario':
+    case '-s':
+      options.scenario = args[i + 1];
+      i++;
+      break;
+    case '--seed':
+      options.seed.push(args[i + 1]);
+      i++;
+      break;
+    case '--list':
+    case '-l':
+      options.list = true;
+      break;
+    case '--help':
+    case '-h':
+      options.help = true;
+      break;
+  }
+}
+
+function showHelp() {
+  console.log(`
+Questrade Mock Server
+
+Usage: node scripts/mockQuestrade.js [options]
+
+Options:
+  -p, --port <port>        Port to listen on (default: QUESTRADE_MOCK_PORT or 4010)
+  -s, --scenario <name>    Scenario to load (default: QUESTRADE_MOCK_SCENARIO or "default")
+  --seed <personName>      Give a person mock tokens so syncs run against the mock (repeatable)
+  -l, --list               List the available scenarios
+  -h, --help               Show this help message
+
+Examples:
+  node scripts/mockQuestrade.js
+  node scripts/mockQuestrade.js --scenario rate-limited
+  node scripts/mockQuestrade.js --seed "Demo" --seed "Demo2"
+
+Run the API with MOCK_API_CALLS=true and QUESTRADE_MOCK_URL=http://localhost:<port>
+to use this server instead of starting one inside the API process.
+`);
+}
+
+// Store mock tokens for each person through the normal token setup path
+async function seedPersons(personNames) {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio';
+  await mongoose.connect(mongoUri);
+  console.log('✅ Connected to MongoDB');
+
+  for (const personName of personNames) {
+    try {
+      // The mock accepts any refresh token that is long enough to pass validation
+      await tokenManager.setupPersonToken(personName, `mock-seed-${personName}-refresh-token`, SCRIPT_ACTOR);
+      console.log(`🌱 Seeded ${personName} with mock tokens`);
+    } catch (error) {
+      console.error(`❌ Could not seed ${personName}: ${error.message}`);
+    }
+  }
+
+  await mongoose.connection.close();
+}
+
+async function main() {
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  if (options.list) {
+    console.log('\nAvailable scenarios:');
+    listScenarios().forEach(s => console.log(`  ${s.name.padEnd(14)} ${s.description}`));
+    return;
+  }
+
+  const url = await questradeMock.start(options.port, options.scenario);
+  console.log(`🧪 Questrade mock listening on ${url} (scenario "${questradeMock.getStatus().scenario}")`);
+
+  if (options.seed.length > 0) {
+    await seedPersons(options.seed);
+  }
+
+  console.log('Press Ctrl+C to stop');
+}
+
+process.on('SIGINT', async () => {
+  console.log('\n⏹️  Stopping Questrade mock');
+  await questradeMock.stop();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  await questradeMock.stop();
+  process.exit(0);
+});
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Mock server failed:', error.message);
+    process.exit(1);
+  });
+}
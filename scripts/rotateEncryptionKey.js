@@ -0,0 +1,90 @@
+// scripts/rotateEncryptionKey.js - Re-encrypt stored tokens with the current encryption key
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+require('dotenv').config();
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const options = {
+  dryRun: false,
+  help: false
+};
+
+for (const arg of args) {
+  switch (arg) {
+    case '--dry-run':
+    case '-n':
+      options.dryRun = true;
+      break;
+    case '--help':
+    case '-h':
+      options.help = true;
+      break;
+    default:
+      break;
+  }
+}
+
+function showHelp() {
+  console.log(`
+Token Key Rotation Tool
+
+Usage: node scripts/rotateEncryptionKey.js [options]
+
+Options:
+  -n, --dry-run          Report what would be re-encrypted without saving
+  -h, --help             Show this help message
+
+Rotating to a new key:
+  1. Add the new key with a higher version, keeping the old one:
+       ENCRYPTION_KEYS="2:<new 32 byte key>,1:<old key>"
+  2. Restart the server, then run this tool
+  3. Once it reports no failures, remove the old key from ENCRYPTION_KEYS
+
+Tokens still using the legacy AES-256-CBC format are upgraded to AES-256-GCM.
+Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+`);
+}
+
+async function main() {
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio';
+  await mongoose.connect(mongoUri);
+  console.log('✅ Connected to MongoDB');
+
+  try {
+    console.log(`🔑 ${options.dryRun ? 'Checking' : 'Re-encrypting'} tokens...`);
+    const result = await Token.rotateEncryption({ dryRun: options.dryRun });
+
+    console.log(`\n📊 Key rotation ${options.dryRun ? '(dry run) ' : ''}summary:`);
+    console.log(`   Current key version: ${result.currentVersion}`);
+    console.log(`   Tokens checked: ${result.total}`);
+    console.log(`   ${options.dryRun ? 'Would re-encrypt' : 'Re-encrypted'}: ${result.rotated}`);
+    console.log(`   Already current: ${result.upToDate}`);
+    console.log(`   Failed: ${result.failed.length}`);
+
+    if (result.failed.length > 0) {
+      console.log('\n❌ Tokens that could not be decrypted with any configured key:');
+      result.failed.forEach(f => {
+        console.log(`   - ${f.personName} (${f.type}, ${f.id}): ${f.error}`);
+      });
+      console.log('\nKeep the old keys in ENCRYPTION_KEYS, or update these refresh tokens manually.');
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Script failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
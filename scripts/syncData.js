@@ -183,6 +183,8 @@ async function syncPersonData(personName) {
     console.log(`Accounts synced: ${result.accounts.synced}`);
     console.log(`Positions synced: ${result.positions.synced}`);
     console.log(`Activities synced: ${result.activities.synced}`);
+    console.log(`Orders synced: ${result.orders.synced}`);
+    console.log(`Executions synced: ${result.executions.synced} (${result.executions.linked} linked to trades)`);
     console.log(`Snapshot created: ${result.snapshots.created ? 'Yes' : 'No'}`);
     
     if (result.accounts.errors.length > 0) {
@@ -206,6 +208,20 @@ async function syncPersonData(personName) {
       });
     }
 
+    if (result.orders.errors.length > 0) {
+      console.log('\nOrder Errors:');
+      result.orders.errors.forEach(error => {
+        console.log(`  - ${error.accountId || 'General'}: ${error.error}`);
+      });
+    }
+
+    if (result.executions.errors.length > 0) {
+      console.log('\nExecution Errors:');
+      result.executions.errors.forEach(error => {
+        console.log(`  - ${error.accountId || 'General'}: ${error.error}`);
+      });
+    }
+
     if (result.snapshots.error) {
       console.log(`\nSnapshot Error: ${result.snapshots.error}`);
     }
@@ -267,6 +283,8 @@ async function syncAllPersons() {
         console.log(`  Accounts: ${result.accounts?.synced || 0}`);
         console.log(`  Positions: ${result.positions?.synced || 0}`);
         console.log(`  Activities: ${result.activities?.synced || 0}`);
+        console.log(`  Orders: ${result.orders?.synced || 0}`);
+        console.log(`  Executions: ${result.executions?.synced || 0}`);
       });
     }
     
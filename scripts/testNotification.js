@@ -0,0 +1,87 @@
+// scripts/testNotification.js - Send a test notification to check the email and webhook settings
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const notifications = require('../services/notifications');
+
+// CLI argument parsing
+const args = process.argv.slice(2);
+const options = {
+  person: null,
+  channels: [],
+  help: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--person':
+      options.person = args[i + 1];
+      i++;
+      break;
+    case '--channel':
+      options.channels.push(args[i + 1]);
+      i++;
+      break;
+    case '--help':
+    case '-h':
+      options.help = true;
+      break;
+  }
+}
+
+function showHelp() {
+  console.log(`
+Test Notification
+
+Usage: node scripts/testNotification.js --person <name> [options]
+
+Options:
+  --person <name>          Person to notify (required)
+  --channel <name>         email, webhook or inApp; repeat for several (default: all configured)
+  -h, --help               Show this help message
+
+The notification is sent straight away, ignoring the person's notification preferences.
+To check email without a real mail server, run a local SMTP catcher such as MailHog or Mailpit:
+
+  SMTP_HOST=localhost SMTP_PORT=1025 node scripts/testNotification.js --person john --channel email
+`);
+}
+
+async function main() {
+  if (options.help || !options.person) {
+    showHelp();
+    return;
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio';
+  await mongoose.connect(mongoUri);
+  console.log('✅ Connected to MongoDB');
+
+  const notification = await notifications.sendTest(
+    options.person,
+    options.channels.length > 0 ? options.channels : null
+  );
+
+  let failed = 0;
+  for (const delivery of notification.deliveries) {
+    if (delivery.status === 'sent') {
+      console.log(`📨 ${delivery.channel}: sent${delivery.target ? ` to ${delivery.target}` : ''}`);
+    } else {
+      failed++;
+      console.log(`❌ ${delivery.channel}: ${delivery.error || delivery.status}`);
+    }
+  }
+
+  await mongoose.connection.close();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(async error => {
+    console.error('❌ Test notification failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
+}
@@ -8,6 +8,10 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { authenticate, enforcePersonScope } = require('./middleware/auth');
+const Token = require('./models/Token');
+const questradeMock = require('./services/questradeMock');
+const QueueManager = require('./services/queueManager');
 
 // Import all route modules
 const authRoutes = require('./routes/auth');
@@ -17,12 +21,20 @@ const accountRoutes = require('./routes/accounts');
 const personsRoutes = require('./routes/persons');  // ADDED: Missing persons routes
 const settingsRoutes = require('./routes/settings'); // ADDED: Missing settings routes
 const healthRoutes = require('./routes/health');     // ADDED: Missing health routes
+const userRoutes = require('./routes/users');
+const jobRoutes = require('./routes/jobs');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
+const reportRoutes = require('./routes/reports');
+const taxRoutes = require('./routes/tax');
 
 // Import job schedulers
 const tokenRefreshJob = require('./jobs/tokenRefresh');
 const { dataSyncJob, snapshotJob } = require('./jobs/dataSync');
+const { weeklyDigestJob, monthlyDigestJob } = require('./jobs/digest');
 
 const app = express();
+const jobWorker = new QueueManager();
 const PORT = process.env.PORT || 4000; // Changed from 3000 to 4000 to match your curl
 
 // Middleware
@@ -61,18 +73,28 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every route except /api/auth/login requires a logged in user, and any
+// personName/accountId in the query or body must be granted to that user
+const requireUser = [authenticate, enforcePersonScope];
+
 // Routes - FIXED: Added all missing routes
-app.use('/api/auth', authRoutes);
-app.use('/api/portfolio', portfolioRoutes);
-app.use('/api/market', marketRoutes);
-app.use('/api/accounts', accountRoutes);
-app.use('/api/persons', personsRoutes);        // ADDED: Persons routes
-app.use('/api/settings', settingsRoutes);      // ADDED: Settings routes
-app.use('/api/health', healthRoutes);          // ADDED: Health routes
+app.use('/api/auth', authRoutes);              // Handles its own authentication (login is public)
+app.use('/api/users', requireUser, userRoutes);
+app.use('/api/portfolio', requireUser, portfolioRoutes);
+app.use('/api/market', requireUser, marketRoutes);
+app.use('/api/accounts', requireUser, accountRoutes);
+app.use('/api/persons', requireUser, personsRoutes);        // ADDED: Persons routes
+app.use('/api/settings', requireUser, settingsRoutes);      // ADDED: Settings routes
+app.use('/api/health', requireUser, healthRoutes);          // ADDED: Health routes
+app.use('/api/jobs', requireUser, jobRoutes);
+app.use('/api/alerts', requireUser, alertRoutes);
+app.use('/api/notifications', requireUser, notificationRoutes);
+app.use('/api/reports', requireUser, reportRoutes);
+app.use('/api/tax', requireUser, taxRoutes);
 
 // Sync routes (from portfolio routes but can be separate)
 const syncRoutes = require('./routes/sync');
-app.use('/api/sync', syncRoutes);
+app.use('/api/sync', requireUser, syncRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -93,11 +115,17 @@ app.get('/api', (req, res) => {
     description: 'Multi-person portfolio management with Questrade integration',
     endpoints: {
       auth: '/api/auth',
+      users: '/api/users',
       persons: '/api/persons',
       accounts: '/api/accounts', 
       portfolio: '/api/portfolio',
       market: '/api/market',
       sync: '/api/sync',
+      jobs: '/api/jobs',
+      alerts: '/api/alerts',
+      notifications: '/api/notifications',
+      reports: '/api/reports',
+      tax: '/api/tax',
       settings: '/api/settings',
       health: '/api/health'
     },
@@ -114,6 +142,22 @@ app.use(errorHandler);
 // Database connection and server startup
 async function startServer() {
   try {
+    // API logins cannot be issued or verified without a signing secret
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    // Without a usable current key every token refresh would fail to save
+    logger.info(`Token encryption key version: ${Token.checkEncryptionKeys()}`);
+
+    // Serve the mock Questrade API in-process unless QUESTRADE_MOCK_URL points at one started separately
+    if (questradeMock.isEnabled()) {
+      if (!process.env.QUESTRADE_MOCK_URL) {
+        await questradeMock.start();
+      }
+      logger.warn(`MOCK_API_CALLS is on, Questrade requests go to ${questradeMock.getUrl()}`);
+    }
+
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio', {
       useNewUrlParser: true,
@@ -127,10 +171,17 @@ async function startServer() {
       tokenRefreshJob.start();
       dataSyncJob.start();
       snapshotJob.start();
+      weeklyDigestJob.start();
+      monthlyDigestJob.start();
       logger.info('Cron jobs started');
     } else {
       logger.info('Cron jobs disabled in development mode');
     }
+
+    // Queued sync and refresh jobs need a worker; run it elsewhere with DISABLE_JOB_WORKER=true
+    if (process.env.DISABLE_JOB_WORKER !== 'true') {
+      jobWorker.start();
+    }
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -170,7 +221,14 @@ async function gracefulShutdown(server) {
       if (tokenRefreshJob) tokenRefreshJob.stop();
       if (dataSyncJob) dataSyncJob.stop(); 
       if (snapshotJob) snapshotJob.stop();
+      weeklyDigestJob.stop();
+      monthlyDigestJob.stop();
       logger.info('Cron jobs stopped');
+
+      // Let the running job finish before the database closes
+      await jobWorker.stop();
+
+      await questradeMock.stop();
       
       // Close database connection
       await mongoose.connection.close();
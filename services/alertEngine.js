@@ -0,0 +1,297 @@
+// services/alertEngine.js - Evaluates alerts against positions, quotes and portfolio snapshots
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const Position = require('../models/Position');
+const MarketQuote = require('../models/MarketQuote');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const notifications = require('./notifications');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PORTFOLIO_KEY = 'portfolio';
+
+const LABELS = {
+  price: m => `${m.symbol} price`,
+  portfolio_change: () => 'Portfolio value change today',
+  position_weight: m => `${m.symbol} weight in portfolio`,
+  yield_on_cost: m => `${m.symbol} yield on cost`
+};
+
+// Snapshots are taken on the Toronto trading day
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+class AlertEngine {
+  /**
+   * Evaluate a person's active alerts and record the ones that fire.
+   * Never throws, so sync and quote requests are not affected by alert problems.
+   * options.types limits the alert types, options.quotes are quotes just fetched.
+   */
+  async evaluatePerson(personName, options = {}) {
+    const { types, quotes = [] } = options;
+
+    try {
+      const query = { personName, isActive: true };
+      if (types) query.type = { $in: types };
+
+      const alerts = await Alert.find(query);
+      if (alerts.length === 0) {
+        return [];
+      }
+
+      const context = await this.buildContext(personName, alerts, quotes);
+      const fired = [];
+      for (const alert of alerts) {
+        fired.push(...await this.applyAlert(alert, context));
+      }
+
+      if (fired.length > 0) {
+        logger.info(`${fired.length} alerts fired for ${personName}`);
+      }
+      for (const event of fired) {
+        await notifications.notifyAlert(event);
+      }
+      return fired;
+    } catch (error) {
+      logger.error(`Alert evaluation failed for ${personName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Price alerts on freshly fetched quotes, for every person watching those symbols
+  async evaluateQuotes(quotes = []) {
+    try {
+      const symbols = [...new Set(quotes.map(q => q.symbol).filter(Boolean))];
+      if (symbols.length === 0) {
+        return [];
+      }
+
+      const personNames = await Alert.distinct('personName', {
+        type: 'price',
+        isActive: true,
+        symbol: { $in: symbols }
+      });
+
+      const fired = [];
+      for (const personName of personNames) {
+        fired.push(...await this.evaluatePerson(personName, { types: ['price'], quotes }));
+      }
+      return fired;
+    } catch (error) {
+      logger.error(`Alert evaluation for quotes failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Everything the alerts need, loaded once per person
+  async buildContext(personName, alerts, quotes) {
+    const positions = await Position.find({
+      personName,
+      openQuantity: { $gt: 0 },
+      isAggregated: { $ne: true }
+    }).lean();
+
+    // One row per symbol across the person's accounts
+    const holdings = new Map();
+    for (const position of positions) {
+      const holding = holdings.get(position.symbol) || {
+        symbol: position.symbol,
+        marketValue: 0,
+        totalCost: 0,
+        annualDividend: 0,
+        price: null,
+        priceAt: null
+      };
+      holding.marketValue += position.currentMarketValue || 0;
+      holding.totalCost += position.totalCost || 0;
+      holding.annualDividend += position.dividendData?.annualDividend || 0;
+      if (position.currentPrice != null) {
+        holding.price = position.currentPrice;
+        holding.priceAt = position.updatedAt || position.syncedAt;
+      }
+      holdings.set(position.symbol, holding);
+    }
+
+    const context = {
+      holdings,
+      portfolioValue: Array.from(holdings.values()).reduce((sum, h) => sum + h.marketValue, 0),
+      prices: new Map(),
+      dayChangePercent: null
+    };
+
+    const priceSymbols = alerts.filter(a => a.type === 'price').map(a => a.symbol);
+    if (priceSymbols.length > 0) {
+      await this.loadPrices(context, priceSymbols, quotes);
+    }
+
+    if (alerts.some(a => a.type === 'portfolio_change')) {
+      context.dayChangePercent = await this.getDayChangePercent(personName, context.portfolioValue);
+    }
+
+    return context;
+  }
+
+  // Newest of the synced position price, the latest stored quote and any quote just fetched
+  async loadPrices(context, symbols, quotes) {
+    const prices = new Map();
+    for (const holding of context.holdings.values()) {
+      if (symbols.includes(holding.symbol) && holding.price != null) {
+        prices.set(holding.symbol, { price: holding.price, at: holding.priceAt ? new Date(holding.priceAt) : null });
+      }
+    }
+
+    const stored = await MarketQuote.aggregate([
+      { $match: { symbol: { $in: symbols } } },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$symbol', quote: { $first: '$$ROOT' } } }
+    ]);
+    for (const { _id: symbol, quote } of stored) {
+      const current = prices.get(symbol);
+      if (quote.lastTradePrice != null && (!current || !current.at || quote.timestamp > current.at)) {
+        prices.set(symbol, { price: quote.lastTradePrice, at: quote.timestamp });
+      }
+    }
+
+    for (const quote of quotes) {
+      if (symbols.includes(quote.symbol) && quote.lastTradePrice != null) {
+        prices.set(quote.symbol, { price: quote.lastTradePrice, at: new Date() });
+      }
+    }
+
+    for (const [symbol, { price }] of prices) {
+      context.prices.set(symbol, price);
+    }
+  }
+
+  // Change against the latest person snapshot from an earlier trading day, within the last week
+  async getDayChangePercent(personName, portfolioValue) {
+    const today = tradingDay(new Date());
+    const snapshots = await PortfolioSnapshot.find({
+      personName,
+      viewMode: 'person',
+      date: { $gte: new Date(Date.now() - 7 * DAY_MS) }
+    }).sort({ date: -1 }).lean();
+
+    const previous = snapshots.find(snapshot => tradingDay(snapshot.date) !== today);
+    if (!previous || !(previous.currentValue > 0)) {
+      return null;
+    }
+
+    return ((portfolioValue - previous.currentValue) / previous.currentValue) * 100;
+  }
+
+  // The values an alert compares with its threshold, one per symbol (or one for the portfolio)
+  measure(alert, context) {
+    const holdings = Array.from(context.holdings.values())
+      .filter(holding => !alert.symbol || holding.symbol === alert.symbol);
+
+    switch (alert.type) {
+      case 'price': {
+        const price = context.prices.get(alert.symbol);
+        return price == null ? [] : [{ key: alert.symbol, symbol: alert.symbol, value: price }];
+      }
+      case 'portfolio_change':
+        return context.dayChangePercent == null
+          ? []
+          : [{ key: PORTFOLIO_KEY, value: context.dayChangePercent }];
+      case 'position_weight':
+        if (!(context.portfolioValue > 0)) {
+          return [];
+        }
+        return holdings.map(holding => ({
+          key: holding.symbol,
+          symbol: holding.symbol,
+          value: (holding.marketValue / context.portfolioValue) * 100
+        }));
+      case 'yield_on_cost':
+        return holdings
+          .filter(holding => holding.totalCost > 0)
+          .map(holding => ({
+            key: holding.symbol,
+            symbol: holding.symbol,
+            value: (holding.annualDividend / holding.totalCost) * 100
+          }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Fire for each measurement that newly meets the condition. A key stays quiet while the
+   * condition holds, re-arms once it clears, and never fires twice within the cooldown.
+   */
+  async applyAlert(alert, context) {
+    const now = new Date();
+    const measurements = this.measure(alert, context);
+    const fired = [];
+
+    // No data (e.g. no quote yet) says nothing about whether the condition cleared
+    if (measurements.length > 0) {
+      const measuredKeys = new Set(measurements.map(m => m.key));
+      alert.triggers.forEach(trigger => {
+        if (!measuredKeys.has(trigger.key)) trigger.active = false;
+      });
+
+      for (const measurement of measurements) {
+        let trigger = alert.triggers.find(t => t.key === measurement.key);
+        const matches = alert.operator === 'above'
+          ? measurement.value > alert.threshold
+          : measurement.value < alert.threshold;
+
+        if (!matches) {
+          if (trigger) trigger.active = false;
+          continue;
+        }
+
+        const coolingDown = trigger?.lastFiredAt &&
+          now - trigger.lastFiredAt < alert.cooldownMinutes * 60 * 1000;
+        if (trigger?.active || coolingDown) {
+          continue;
+        }
+
+        if (!trigger) {
+          alert.triggers.push({ key: measurement.key });
+          trigger = alert.triggers[alert.triggers.length - 1];
+        }
+        trigger.active = true;
+        trigger.lastFiredAt = now;
+
+        fired.push(await AlertEvent.create({
+          alertId: alert._id,
+          personName: alert.personName,
+          type: alert.type,
+          symbol: measurement.symbol,
+          key: measurement.key,
+          operator: alert.operator,
+          threshold: alert.threshold,
+          value: measurement.value,
+          message: this.formatMessage(alert, measurement),
+          firedAt: now
+        }));
+      }
+    }
+
+    // Evaluation state only, so updatedAt keeps tracking edits to the alert itself
+    const update = {
+      triggers: alert.triggers.map(t => ({ key: t.key, active: t.active, lastFiredAt: t.lastFiredAt })),
+      lastEvaluatedAt: now
+    };
+    if (fired.length > 0) {
+      update.lastTriggeredAt = now;
+      update.triggerCount = (alert.triggerCount || 0) + fired.length;
+    }
+    await Alert.updateOne({ _id: alert._id }, update);
+
+    return fired;
+  }
+
+  formatMessage(alert, measurement) {
+    const unit = alert.type === 'price' ? '' : '%';
+    const label = LABELS[alert.type](measurement);
+    const prefix = alert.name ? `${alert.name}: ` : '';
+    return `${prefix}${label} is ${measurement.value.toFixed(2)}${unit}, ${alert.operator} ${alert.threshold}${unit}`;
+  }
+}
+
+module.exports = new AlertEngine();
@@ -0,0 +1,35 @@
+// services/auditLog.js - Shared helper for writing AuditEvent records
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+class AuditLog {
+  // Actor details for an authenticated API request
+  fromRequest(req) {
+    return {
+      actor: req.user ? req.user.username : 'anonymous',
+      actorId: req.user ? req.user._id : undefined,
+      source: 'api',
+      ip: req.ip
+    };
+  }
+
+  // Write an audit event. Failures are logged and never break the audited action.
+  async record(action, { personName, actor, success = true, error, details } = {}) {
+    try {
+      const event = await AuditEvent.create({
+        action,
+        personName: personName || undefined,
+        ...(actor || {}),
+        success,
+        error: error ? (error.message || String(error)) : undefined,
+        details
+      });
+      return event;
+    } catch (auditError) {
+      logger.error(`Failed to record audit event ${action} for ${personName || 'all persons'}:`, auditError);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditLog();
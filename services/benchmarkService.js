@@ -0,0 +1,246 @@
+// services/benchmarkService.js - Benchmark configuration, price history and index levels
+const Person = require('../models/Person');
+const Account = require('../models/Account');
+const PriceHistory = require('../models/PriceHistory');
+const DatabaseManager = require('./databaseManager');
+const questradeApi = require('./questradeApi');
+const config = require('./dataSync/config');
+const logger = require('../utils/logger');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_LEVEL = 100;
+
+// Candles are stored by Toronto trading day, like snapshots
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+class BenchmarkService {
+  constructor() {
+    this.dbManager = new DatabaseManager();
+    // symbol -> { at, from } of the last fetch from Questrade
+    this.lastFetched = new Map();
+  }
+
+  /**
+   * Parse one benchmark: a symbol ("SPY") or a blend of weighted symbols ("XEQT.TO:60,ZAG.TO:40").
+   * Weights are relative, so 60/40 and 0.6/0.4 are the same blend.
+   */
+  parse(spec) {
+    const parts = String(spec || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) {
+      throw createError(400, 'A benchmark needs at least one symbol');
+    }
+
+    const components = parts.map(part => {
+      const [symbol, weight] = part.split(':').map(value => value.trim());
+      return { symbol, weight: weight === undefined && parts.length === 1 ? 100 : Number(weight) };
+    });
+
+    return this.validate({ components });
+  }
+
+  // Several benchmarks separated by semicolons
+  parseList(spec) {
+    return String(spec || '').split(';').map(part => part.trim()).filter(Boolean).map(part => this.parse(part));
+  }
+
+  // Check a { name, components } benchmark, uppercasing symbols and naming it when unnamed
+  validate(benchmark) {
+    const components = (benchmark?.components || []).map(component => ({
+      symbol: String(component.symbol || '').trim().toUpperCase(),
+      weight: Number(component.weight)
+    }));
+
+    if (components.length === 0) {
+      throw createError(400, 'A benchmark needs at least one symbol');
+    }
+    for (const { symbol, weight } of components) {
+      if (!symbol) {
+        throw createError(400, 'Every benchmark component needs a symbol');
+      }
+      if (!Number.isFinite(weight) || weight <= 0) {
+        throw createError(400, `Weight for ${symbol} must be a positive number`);
+      }
+    }
+    if (new Set(components.map(c => c.symbol)).size !== components.length) {
+      throw createError(400, 'A benchmark cannot list the same symbol twice');
+    }
+
+    const name = benchmark.name ||
+      (components.length === 1 ? components[0].symbol : components.map(c => `${c.weight} ${c.symbol}`).join(' / '));
+    return { name, components };
+  }
+
+  // Benchmarks from a request body: spec strings or { name, components } objects
+  normalize(benchmarks) {
+    if (!Array.isArray(benchmarks)) {
+      throw createError(400, 'benchmarks must be an array');
+    }
+    return benchmarks.map(benchmark =>
+      (typeof benchmark === 'string' ? this.parse(benchmark) : this.validate(benchmark)));
+  }
+
+  // The person's benchmarks (an account uses its owner's), else the configured default
+  async getBenchmarksFor({ accountId, personName } = {}) {
+    let owner = personName;
+    if (accountId) {
+      const account = await Account.findOne({ accountId }).select('personName').lean();
+      owner = account?.personName;
+    }
+
+    if (owner) {
+      const person = await Person.findOne({ personName: owner }).select('preferences.benchmarks').lean();
+      const benchmarks = person?.preferences?.benchmarks || [];
+      if (benchmarks.length > 0) {
+        return benchmarks;
+      }
+    }
+    return this.parseList(config.BENCHMARKS.DEFAULT);
+  }
+
+  // Questrade market data needs some person's token; household requests use the first active person
+  async getApiPerson(personName) {
+    if (personName) {
+      return personName;
+    }
+    const person = await Person.findOne({ isActive: true }).select('personName').lean();
+    if (!person) {
+      throw createError(400, 'No active persons found. Please add a person first.');
+    }
+    return person.personName;
+  }
+
+  /**
+   * Daily closes for a symbol between two trading days, oldest first. Stored history is
+   * used when it covers the range; otherwise the missing part is fetched and stored first.
+   */
+  async getPriceHistory(symbol, startDay, endDay, personName) {
+    const query = { symbol, day: { $gte: startDay, $lte: endDay } };
+    let prices = await PriceHistory.find(query).sort({ day: 1 }).lean();
+
+    const fetchFrom = this.getMissingStart(symbol, prices, startDay, endDay);
+    if (fetchFrom) {
+      await this.fetchPriceHistory(symbol, fetchFrom, endDay, personName);
+      // What is stored now covers the whole range, whether or not the tail was only partly fetched
+      this.lastFetched.set(symbol, { at: Date.now(), from: startDay });
+      prices = await PriceHistory.find(query).sort({ day: 1 }).lean();
+    }
+    return prices;
+  }
+
+  // First day to fetch, or null when the stored history will do
+  getMissingStart(symbol, prices, startDay, endDay) {
+    const fetched = this.lastFetched.get(symbol);
+    if (fetched && Date.now() - fetched.at < config.BENCHMARKS.REFRESH_INTERVAL && fetched.from <= startDay) {
+      return null;
+    }
+
+    if (prices.length === 0 || prices[0].day > addDays(startDay, config.BENCHMARKS.MAX_GAP_DAYS)) {
+      return startDay;
+    }
+    const lastDay = prices[prices.length - 1].day;
+    return lastDay < endDay ? lastDay : null;
+  }
+
+  async fetchPriceHistory(symbol, startDay, endDay, personName) {
+    const apiPerson = await this.getApiPerson(personName);
+    const symbolDoc = await this.dbManager.resolveSymbol(symbol, apiPerson);
+
+    let saved = 0;
+    for (let from = startDay; from <= endDay; from = addDays(from, config.BENCHMARKS.CANDLE_CHUNK_DAYS)) {
+      const chunkEnd = addDays(from, config.BENCHMARKS.CANDLE_CHUNK_DAYS - 1);
+      const to = chunkEnd < endDay ? chunkEnd : endDay;
+      const data = await questradeApi.getMarketCandles(
+        symbolDoc.symbolId,
+        `${from}T00:00:00-05:00`,
+        `${to}T23:59:59-05:00`,
+        'OneDay',
+        apiPerson
+      );
+
+      const candles = (data?.candles || []).filter(candle => candle.close != null);
+      if (candles.length === 0) {
+        continue;
+      }
+
+      await PriceHistory.bulkWrite(candles.map(candle => {
+        const day = tradingDay(candle.start);
+        return {
+          updateOne: {
+            filter: { symbol, day },
+            update: {
+              symbol,
+              symbolId: symbolDoc.symbolId,
+              day,
+              date: new Date(candle.start),
+              open: candle.open,
+              high: candle.high,
+              low: candle.low,
+              close: candle.close,
+              volume: candle.volume,
+              updatedAt: new Date()
+            },
+            upsert: true
+          }
+        };
+      }));
+      saved += candles.length;
+    }
+
+    logger.info(`Stored ${saved} daily prices for ${symbol} from ${startDay} to ${endDay}`);
+  }
+
+  /**
+   * Index levels for a benchmark, starting at 100 on the first day every component has a
+   * price. Blends are rebalanced to their weights daily; a component without a price on
+   * a day (e.g. a US holiday for a Canadian blend) is taken as unchanged.
+   * Levels follow closing prices, so distributions are not included.
+   */
+  async getIndexLevels(benchmark, startDay, endDay, personName) {
+    const totalWeight = benchmark.components.reduce((sum, c) => sum + c.weight, 0);
+    const components = [];
+    for (const { symbol, weight } of benchmark.components) {
+      const prices = await this.getPriceHistory(symbol, startDay, endDay, personName);
+      components.push({ symbol, weight: weight / totalWeight, closes: new Map(prices.map(p => [p.day, p.close])) });
+    }
+
+    if (components.some(c => c.closes.size === 0)) {
+      return [];
+    }
+
+    // Prices come back oldest first, so each map's first key is its first day
+    const firstDay = components.map(c => c.closes.keys().next().value).sort().pop();
+    const days = Array.from(new Set(components.flatMap(c => Array.from(c.closes.keys()))))
+      .filter(day => day >= firstDay)
+      .sort();
+
+    const previous = new Map();
+    let level = START_LEVEL;
+    const levels = [];
+    for (const day of days) {
+      if (levels.length > 0) {
+        level *= components.reduce((sum, c) =>
+          sum + c.weight * (c.closes.has(day) ? c.closes.get(day) / previous.get(c.symbol) : 1), 0);
+      }
+      for (const c of components) {
+        if (c.closes.has(day)) previous.set(c.symbol, c.closes.get(day));
+        else if (!previous.has(c.symbol)) previous.set(c.symbol, this.lastCloseBefore(c.closes, day));
+      }
+      levels.push({ day, level });
+    }
+    return levels;
+  }
+
+  lastCloseBefore(closes, day) {
+    const before = Array.from(closes.keys()).filter(d => d < day).sort();
+    return closes.get(before[before.length - 1]);
+  }
+}
+
+module.exports = new BenchmarkService();
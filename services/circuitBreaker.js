@@ -0,0 +1,96 @@
+// services/circuitBreaker.js - Stops calling a Questrade API server after repeated failures
+const { CIRCUIT_BREAKER } = require('./dataSync/config');
+const logger = require('../utils/logger');
+
+const STATES = {
+  CLOSED: 'closed',       // requests flow normally
+  OPEN: 'open',           // requests fail immediately until resetTimeout has passed
+  HALF_OPEN: 'half_open'  // one trial request decides whether to close again
+};
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Questrade API at ${name} is unavailable after repeated failures (circuit open). Retry after ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, options = CIRCUIT_BREAKER) {
+    this.name = name;
+    this.failureThreshold = options.FAILURE_THRESHOLD;
+    this.resetTimeout = options.RESET_TIMEOUT;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  // Throw CircuitOpenError unless a request may go out now
+  assertCanRequest() {
+    if (this.state === STATES.OPEN) {
+      const retryAt = new Date(this.openedAt + this.resetTimeout);
+      if (Date.now() < retryAt.getTime()) {
+        throw new CircuitOpenError(this.name, retryAt);
+      }
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+      logger.info(`Circuit for ${this.name} is half open, sending a trial request`);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, new Date(Date.now() + 1000));
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`Circuit for ${this.name} closed again`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = new Date();
+    this.trialInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        logger.error(`Circuit for ${this.name} opened after ${this.failures} failures: ${this.lastError}`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  isOpen() {
+    return this.state === STATES.OPEN && Date.now() < this.openedAt + this.resetTimeout;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout) : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, STATES };
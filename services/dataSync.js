@@ -7,11 +7,19 @@ const PortfolioSnapshot = require('../models/PortfolioSnapshot');
 const Person = require('../models/Person');
 const Token = require('../models/Token');
 const Symbol = require('../models/Symbol');
+const OrderSync = require('./dataSync/orderSync');
+const ExecutionSync = require('./dataSync/executionSync');
+const SnapshotCreator = require('./dataSync/snapshotCreator');
+const alertEngine = require('./alertEngine');
+const notifications = require('./notifications');
 const logger = require('../utils/logger');
 
 class DataSyncService {
   constructor() {
     this.syncInProgress = new Map(); // Track sync status per person
+    this.orderSync = new OrderSync();
+    this.executionSync = new ExecutionSync();
+    this.snapshotCreator = new SnapshotCreator();
     
     // Questrade API limits and pagination settings
     this.QUESTRADE_LIMITS = {
@@ -226,12 +234,17 @@ class DataSyncService {
         throw new Error(`No active refresh token found for person ${personName}`);
       }
 
+      // Don't start a sync while the person's Questrade API server is known to be down
+      await questradeApi.assertAvailable(personName);
+
       const syncResults = {
         personName,
         startTime: new Date(),
         accounts: { synced: 0, errors: [] },
         positions: { synced: 0, errors: [] },
         activities: { synced: 0, errors: [] },
+        orders: { synced: 0, errors: [] },
+        executions: { synced: 0, linked: 0, errors: [] },
         snapshots: { created: false, error: null },
         service: "questrade-portfolio"
       };
@@ -279,6 +292,34 @@ class DataSyncService {
           timestamp: new Date().toISOString()
         });
 
+        // Sync open and historical orders
+        logger.info(`Syncing orders for ${personName}...`, {
+          service: "questrade-portfolio",
+          timestamp: new Date().toISOString()
+        });
+
+        const ordersResult = await this.orderSync.syncOrdersForPerson(personName, fullSync);
+        syncResults.orders = ordersResult;
+
+        logger.info(`Order sync completed for ${personName}: ${ordersResult.synced} synced, ${ordersResult.errors.length} errors`, {
+          service: "questrade-portfolio",
+          timestamp: new Date().toISOString()
+        });
+
+        // Executions come after activities so each fill can be linked to its trade row
+        logger.info(`Syncing executions for ${personName}...`, {
+          service: "questrade-portfolio",
+          timestamp: new Date().toISOString()
+        });
+
+        const executionsResult = await this.executionSync.syncExecutionsForPerson(personName, fullSync);
+        syncResults.executions = executionsResult;
+
+        logger.info(`Execution sync completed for ${personName}: ${executionsResult.synced} synced, ${executionsResult.linked} linked, ${executionsResult.errors.length} errors`, {
+          service: "questrade-portfolio",
+          timestamp: new Date().toISOString()
+        });
+
         // Create portfolio snapshot if requested
         if (fullSync || forceRefresh) {
           try {
@@ -336,6 +377,8 @@ class DataSyncService {
         }
       );
 
+      await notifications.notifySyncError(personName, error);
+
       throw error;
     } finally {
       this.syncInProgress.set(personName, false);
@@ -614,6 +657,9 @@ class DataSyncService {
       throw error;
     }
 
+    // Check price, weight and yield alerts against the fresh positions
+    result.alertsFired = (await alertEngine.evaluatePerson(personName)).length;
+
     return result;
   }
 
@@ -741,6 +787,9 @@ class DataSyncService {
 
               if (!existingActivity) {
                 await Activity.create(activityDoc);
+                if (activityDoc.isDividend) {
+                  await notifications.notifyDividend(personName, activityDoc);
+                }
                 newActivitiesCount++;
                 result.synced++;
               } else {
@@ -821,6 +870,7 @@ class DataSyncService {
         date: new Date(),
         totalInvestment,
         currentValue,
+        totalEquity: this.snapshotCreator.calculateTotalEquity(accounts, positions),
         totalReturnValue,
         totalReturnPercent,
         unrealizedPnl,
@@ -830,10 +880,12 @@ class DataSyncService {
         numberOfDividendStocks: positions.filter(p => 
           p.dividendData && p.dividendData.annualDividend > 0
         ).length,
+        holdings: this.snapshotCreator.calculateHoldings(positions),
         createdAt: new Date()
       });
 
       await snapshot.save();
+      await this.snapshotCreator.createAccountSnapshots(personName, accounts, positions, snapshot.date);
       
       return snapshot;
     } catch (error) {
@@ -4,6 +4,7 @@ const Account = require('../../models/Account');
 const Activity = require('../../models/Activity');
 const Person = require('../../models/Person');
 const SyncUtils = require('./syncUtils');
+const notifications = require('../notifications');
 const logger = require('../../utils/logger');
 
 class ActivitySync {
@@ -258,6 +259,9 @@ class ActivitySync {
 
     if (!existingActivity) {
       await Activity.create(activityDoc);
+      if (activityDoc.isDividend) {
+        await notifications.notifyDividend(personName, activityDoc);
+      }
       return { isNew: true, activity: activityDoc };
     } else {
       return { isNew: false, activity: existingActivity };
@@ -31,6 +31,105 @@ module.exports = {
     MAX_DELAY: 30000
   },
 
+  // Per API server circuit breaker for Questrade requests
+  CIRCUIT_BREAKER: {
+    FAILURE_THRESHOLD: 5,          // consecutive failed requests before the circuit opens
+    RESET_TIMEOUT: 60 * 1000       // how long to fail fast before trying again
+  },
+
+  // Built-in Questrade stand-in used when MOCK_API_CALLS is on
+  QUESTRADE_MOCK: {
+    PORT: parseInt(process.env.QUESTRADE_MOCK_PORT) || 4010,
+    SCENARIO: process.env.QUESTRADE_MOCK_SCENARIO || 'default',
+    URL: process.env.QUESTRADE_MOCK_URL || null   // set to use a mock started separately
+  },
+
+  // Background job queue behind POST /api/portfolio/sync and /refresh
+  QUEUE: {
+    POLL_INTERVAL: 2 * 1000,       // how often an idle worker looks for queued jobs
+    MAX_ATTEMPTS: 3,               // attempts before a job is dead-lettered
+    RETRY_DELAY: 30 * 1000,        // wait before the first retry
+    BACKOFF_MULTIPLIER: 2,
+    LOCK_TIMEOUT: 15 * 60 * 1000,  // running jobs not refreshed for this long are assumed lost and requeued
+    LOCK_REFRESH_INTERVAL: 60 * 1000,  // how often a worker refreshes the lock of the job it is running
+    RETENTION_DAYS: 14             // finished jobs are removed after this many days
+  },
+
+  // Notification delivery; email and webhook deliveries are retried as queue jobs
+  NOTIFICATIONS: {
+    MAX_ATTEMPTS: 5,
+    DIVIDEND_LOOKBACK_DAYS: 7,     // older dividends found by a sync (e.g. a full sync) are not announced
+    SYNC_ERROR_DEDUPE_HOURS: 6,    // the same sync error is sent at most this often
+    TOKEN_EXPIRY_DEDUPE_HOURS: 24,
+    WEBHOOK_TIMEOUT: 10 * 1000,
+    WEBHOOK_URL: process.env.NOTIFICATION_WEBHOOK_URL,  // for persons without their own webhookUrl
+    WEBHOOK_SECRET: process.env.NOTIFICATION_WEBHOOK_SECRET,
+    SMTP: {
+      HOST: process.env.SMTP_HOST,
+      PORT: parseInt(process.env.SMTP_PORT) || 587,
+      SECURE: process.env.SMTP_SECURE === 'true',
+      USER: process.env.SMTP_USER,
+      PASS: process.env.SMTP_PASS,
+      FROM: process.env.SMTP_FROM || 'Questrade Portfolio <portfolio@localhost>'
+    }
+  },
+
+  // Weekly and monthly digest reports
+  DIGEST: {
+    TOP_MOVERS: 5,
+    HOUSEHOLD_EMAIL: process.env.DIGEST_HOUSEHOLD_EMAIL   // the whole-household digest is only emailed when set
+  },
+
+  // Benchmark comparison; persons without their own benchmarks are compared to DEFAULT
+  BENCHMARKS: {
+    DEFAULT: process.env.DEFAULT_BENCHMARKS || 'XIU.TO',   // e.g. "XIU.TO;XEQT.TO:60,ZAG.TO:40"
+    REFRESH_INTERVAL: 60 * 60 * 1000,   // price history is refetched from Questrade at most this often
+    MAX_GAP_DAYS: 5,                    // missing history longer than this at the start is fetched
+    CANDLE_CHUNK_DAYS: 1000             // Questrade returns at most 2000 candles per request
+  },
+
+  // Risk analytics
+  RISK: {
+    // Annual, in percent (e.g. a 3-month T-bill yield)
+    RISK_FREE_RATE: parseFloat(process.env.RISK_FREE_RATE) || 2
+  },
+
+  // Canadian tax reports
+  TAX: {
+    // Account types that are tax-sheltered and left out of ACB and capital gains
+    REGISTERED_ACCOUNT_TYPES: ['TFSA', 'RRSP', 'SRRSP', 'LRSP', 'RRIF', 'LIRA', 'LIF', 'RESP', 'RDSP', 'FHSA'],
+    TRANSFER_MATCH_DAYS: 5,  // a transfer out and in of the same shares this close together is a move between accounts
+    CAPITAL_GAINS_INCLUSION_RATE: 0.5,
+    SUPERFICIAL_LOSS_DAYS: 30,   // replacement shares bought this many days before or after a loss sale deny the loss
+    HARVEST: {
+      MIN_LOSS: parseFloat(process.env.HARVEST_MIN_LOSS) || 500,   // in CAD
+      MIN_LOSS_PERCENT: 0,
+      // ETFs that track similar but different indexes, each a replacement for the others.
+      // HARVEST_REPLACEMENTS overrides them, e.g. "XIC.TO,VCN.TO;VFV.TO,XUU.TO"
+      REPLACEMENTS: process.env.HARVEST_REPLACEMENTS
+        ? process.env.HARVEST_REPLACEMENTS.split(';').map(group => group.split(',').map(symbol => symbol.trim().toUpperCase()))
+        : [
+          ['XIC.TO', 'VCN.TO'],
+          ['VFV.TO', 'XUU.TO', 'VUN.TO'],
+          ['XEF.TO', 'VIU.TO'],
+          ['XEC.TO', 'VEE.TO'],
+          ['XAW.TO', 'VXC.TO'],
+          ['XEQT.TO', 'VEQT.TO'],
+          ['XGRO.TO', 'VGRO.TO'],
+          ['XBAL.TO', 'VBAL.TO'],
+          ['ZAG.TO', 'VAB.TO'],
+          ['SPY', 'VTI'],
+          ['QQQ', 'XLK']
+        ]
+    },
+    // Foreign-currency amounts are converted at the Bank of Canada daily rate for the trade date
+    FX: {
+      URL: process.env.FX_RATES_URL || 'https://www.bankofcanada.ca/valet/observations',
+      TIMEOUT: 10 * 1000,
+      REFRESH_INTERVAL: 60 * 60 * 1000
+    }
+  },
+
   // Cache TTL settings (in milliseconds)
   CACHE_TTL: {
     MARKET_DATA: 5 * 60 * 1000,      // 5 minutes
@@ -44,7 +143,9 @@ module.exports = {
   RATE_LIMITS: {
     REQUESTS_PER_MINUTE: 60,
     REQUESTS_PER_HOUR: 1000,
-    CONCURRENT_REQUESTS: 5
+    CONCURRENT_REQUESTS: 5,
+    LOW_BUDGET_THRESHOLD: 2,       // queue requests once X-RateLimit-Remaining drops this low
+    MAX_429_RETRIES: 3
   },
 
   // Data validation rules
@@ -172,4 +273,9 @@ module.exports = {
 const currentEnv = process.env.NODE_ENV || 'development';
 if (module.exports.ENVIRONMENT[currentEnv.toUpperCase()]) {
   Object.assign(module.exports, module.exports.ENVIRONMENT[currentEnv.toUpperCase()]);
-}
\ No newline at end of file
+}
+
+// MOCK_API_CALLS=true in the environment points Questrade calls at the mock server
+if (process.env.MOCK_API_CALLS !== undefined) {
+  module.exports.MOCK_API_CALLS = process.env.MOCK_API_CALLS === 'true';
+}
@@ -0,0 +1,191 @@
+// services/dataSync/executionSync.js - Execution (per-fill) Synchronization
+const questradeApi = require('../questradeApi');
+const Account = require('../../models/Account');
+const Activity = require('../../models/Activity');
+const Execution = require('../../models/Execution');
+const SyncUtils = require('./syncUtils');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Questrade reports trade dates in Eastern time
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+// Activities only say Buy or Sell; executions also use short and option sides
+function activityActionForSide(side) {
+  return ['Sell', 'Short', 'STO', 'STC'].includes(side) ? 'Sell' : 'Buy';
+}
+
+class ExecutionSync {
+  constructor() {
+    this.utils = new SyncUtils();
+  }
+
+  /**
+   * Sync executions for a specific person, then link them to trade activities
+   */
+  async syncExecutionsForPerson(personName, fullSync = false) {
+    const result = this.utils.createSyncResult();
+    result.linked = 0;
+
+    try {
+      // Validate person and token
+      await this.utils.validatePersonForSync(personName);
+
+      const accounts = await Account.find({ personName });
+
+      if (accounts.length === 0) {
+        logger.warn(`No accounts found for ${personName}, skipping execution sync`);
+        return this.utils.finalizeSyncResult(result);
+      }
+
+      this.utils.logSyncOperation('Execution sync started', personName, {
+        accountCount: accounts.length,
+        fullSync
+      });
+
+      for (const account of accounts) {
+        try {
+          const accountResult = await this.syncExecutionsForAccount(account, personName, fullSync);
+          result.synced += accountResult.synced;
+          result.errors.push(...accountResult.errors);
+        } catch (accountError) {
+          result.errors.push({
+            accountId: account.accountId,
+            error: accountError.message
+          });
+          this.utils.logSyncError('Execution sync for account', personName, accountError, {
+            accountId: account.accountId
+          });
+        }
+      }
+
+      result.linked = await this.linkExecutionsToActivities(personName);
+
+    } catch (error) {
+      result.errors.push({
+        type: 'EXECUTIONS_SYNC_ERROR',
+        error: error.message
+      });
+      this.utils.logSyncError('Execution sync', personName, error);
+      throw error;
+    }
+
+    this.utils.logSyncOperation('Execution sync completed', personName, {
+      synced: result.synced,
+      linked: result.linked,
+      errors: result.errors.length
+    });
+
+    return this.utils.finalizeSyncResult(result);
+  }
+
+  /**
+   * Sync executions for a single account, in 31-day chunks like activities
+   */
+  async syncExecutionsForAccount(account, personName, fullSync) {
+    const result = { synced: 0, errors: [] };
+
+    const { startDate, endDate } = this.utils.calculateSyncDateRange(fullSync);
+    const chunks = this.utils.splitDateRangeIntoChunks(
+      startDate,
+      endDate,
+      this.utils.QUESTRADE_LIMITS.MAX_DAYS_PER_REQUEST
+    );
+
+    for (const chunk of chunks) {
+      try {
+        // Chunk end dates are inclusive, so ask for fills up to the start of the next day
+        const endTime = this.utils.formatDateForQuestrade(new Date(chunk.endDate.getTime() + DAY_MS));
+        const executionsData = await questradeApi.getAccountExecutions(
+          account.accountId,
+          personName,
+          chunk.startFormatted,
+          endTime
+        );
+
+        for (const executionData of executionsData?.executions || []) {
+          try {
+            await Execution.findOneAndUpdate(
+              { accountId: account.accountId, executionId: executionData.id },
+              Execution.fromQuestrade(executionData, account.accountId, personName),
+              { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+            result.synced++;
+          } catch (executionError) {
+            result.errors.push({
+              accountId: account.accountId,
+              executionId: executionData.id,
+              error: executionError.message
+            });
+          }
+        }
+      } catch (chunkError) {
+        result.errors.push({
+          accountId: account.accountId,
+          chunk: `${chunk.startFormatted} to ${chunk.endFormatted}`,
+          error: chunkError.message
+        });
+        logger.error(`Failed to fetch executions for account ${account.accountId}: ${chunkError.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Point each unlinked execution at the trade activity for the same account,
+   * symbol, side and trading day. Returns how many were linked.
+   */
+  async linkExecutionsToActivities(personName) {
+    const unlinked = await Execution.find({ personName, activityId: null }).lean();
+    if (unlinked.length === 0) {
+      return 0;
+    }
+
+    // A loop rather than spreading into Math.min/max, which overflows the stack on a long history
+    const { earliest, latest } = unlinked.reduce((range, e) => {
+      const time = new Date(e.timestamp).getTime();
+      return { earliest: Math.min(range.earliest, time), latest: Math.max(range.latest, time) };
+    }, { earliest: Infinity, latest: -Infinity });
+    const trades = await Activity.find({
+      personName,
+      type: 'Trade',
+      accountId: { $in: [...new Set(unlinked.map(e => e.accountId))] },
+      symbolId: { $in: [...new Set(unlinked.map(e => e.symbolId))] },
+      // A day either side covers the Eastern time offset
+      tradeDate: {
+        $gte: new Date(earliest - DAY_MS),
+        $lte: new Date(latest + DAY_MS)
+      }
+    }).lean();
+
+    let linked = 0;
+    for (const execution of unlinked) {
+      const day = tradingDay(execution.timestamp);
+      const action = activityActionForSide(execution.side);
+
+      const activity = trades.find(trade =>
+        trade.accountId === execution.accountId &&
+        trade.symbolId === execution.symbolId &&
+        trade.action === action &&
+        tradingDay(trade.tradeDate) === day
+      );
+
+      if (activity) {
+        await Execution.updateOne({ _id: execution._id }, { activityId: activity._id });
+        linked++;
+      }
+    }
+
+    if (linked < unlinked.length) {
+      logger.debug(`${unlinked.length - linked} executions for ${personName} have no matching trade activity yet`);
+    }
+
+    return linked;
+  }
+}
+
+module.exports = ExecutionSync;
@@ -2,10 +2,14 @@
 const AccountSync = require('./accountSync');
 const PositionSync = require('./positionSync');
 const ActivitySync = require('./activitySync');
+const OrderSync = require('./orderSync');
+const ExecutionSync = require('./executionSync');
 const SnapshotCreator = require('./snapshotCreator');
 const SyncUtils = require('./syncUtils');
 const Person = require('../../models/Person');
 const Token = require('../../models/Token');
+const questradeApi = require('../questradeApi');
+const notifications = require('../notifications');
 const logger = require('../../utils/logger');
 
 class DataSyncService {
@@ -14,6 +18,8 @@ class DataSyncService {
     this.accountSync = new AccountSync();
     this.positionSync = new PositionSync();
     this.activitySync = new ActivitySync();
+    this.orderSync = new OrderSync();
+    this.executionSync = new ExecutionSync();
     this.snapshotCreator = new SnapshotCreator();
     this.utils = new SyncUtils();
   }
@@ -47,12 +53,17 @@ class DataSyncService {
         throw new Error(`No active refresh token found for person ${personName}`);
       }
 
+      // Don't start a sync while the person's Questrade API server is known to be down
+      await questradeApi.assertAvailable(personName);
+
       const syncResults = {
         personName,
         startTime: new Date(),
         accounts: { synced: 0, errors: [] },
         positions: { synced: 0, errors: [] },
         activities: { synced: 0, errors: [] },
+        orders: { synced: 0, errors: [] },
+        executions: { synced: 0, linked: 0, errors: [] },
         snapshots: { created: false, error: null },
         service: "questrade-portfolio"
       };
@@ -79,6 +90,19 @@ class DataSyncService {
         
         logger.info(`Activity sync completed for ${personName}: ${activitiesResult.synced} synced, ${activitiesResult.errors.length} errors`);
 
+        logger.info(`Syncing orders for ${personName}...`);
+        const ordersResult = await this.orderSync.syncOrdersForPerson(personName, fullSync);
+        syncResults.orders = ordersResult;
+
+        logger.info(`Order sync completed for ${personName}: ${ordersResult.synced} synced, ${ordersResult.errors.length} errors`);
+
+        // Executions come after activities so each fill can be linked to its trade row
+        logger.info(`Syncing executions for ${personName}...`);
+        const executionsResult = await this.executionSync.syncExecutionsForPerson(personName, fullSync);
+        syncResults.executions = executionsResult;
+
+        logger.info(`Execution sync completed for ${personName}: ${executionsResult.synced} synced, ${executionsResult.linked} linked, ${executionsResult.errors.length} errors`);
+
         // Create portfolio snapshot if requested
         if (fullSync || forceRefresh) {
           try {
@@ -129,6 +153,8 @@ class DataSyncService {
         }
       );
 
+      await notifications.notifySyncError(personName, error);
+
       throw error;
     } finally {
       this.syncInProgress.set(personName, false);
@@ -230,6 +256,14 @@ class DataSyncService {
     return this.activitySync.syncActivitiesForPerson(personName, fullSync);
   }
 
+  async syncOrdersForPerson(personName, fullSync = false) {
+    return this.orderSync.syncOrdersForPerson(personName, fullSync);
+  }
+
+  async syncExecutionsForPerson(personName, fullSync = false) {
+    return this.executionSync.syncExecutionsForPerson(personName, fullSync);
+  }
+
   async createPortfolioSnapshot(personName) {
     return this.snapshotCreator.createPortfolioSnapshot(personName);
   }
@@ -0,0 +1,163 @@
+// services/dataSync/orderSync.js - Order Synchronization (open, filled and cancelled orders)
+const questradeApi = require('../questradeApi');
+const Account = require('../../models/Account');
+const Order = require('../../models/Order');
+const SyncUtils = require('./syncUtils');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class OrderSync {
+  constructor() {
+    this.utils = new SyncUtils();
+  }
+
+  /**
+   * Sync orders for a specific person
+   */
+  async syncOrdersForPerson(personName, fullSync = false) {
+    const result = this.utils.createSyncResult();
+
+    try {
+      // Validate person and token
+      await this.utils.validatePersonForSync(personName);
+
+      const accounts = await Account.find({ personName });
+
+      if (accounts.length === 0) {
+        logger.warn(`No accounts found for ${personName}, skipping order sync`);
+        return this.utils.finalizeSyncResult(result);
+      }
+
+      this.utils.logSyncOperation('Order sync started', personName, {
+        accountCount: accounts.length,
+        fullSync
+      });
+
+      for (const account of accounts) {
+        try {
+          const accountResult = await this.syncOrdersForAccount(account, personName, fullSync);
+          result.synced += accountResult.synced;
+          result.errors.push(...accountResult.errors);
+        } catch (accountError) {
+          result.errors.push({
+            accountId: account.accountId,
+            error: accountError.message
+          });
+          this.utils.logSyncError('Order sync for account', personName, accountError, {
+            accountId: account.accountId
+          });
+        }
+      }
+
+    } catch (error) {
+      result.errors.push({
+        type: 'ORDERS_SYNC_ERROR',
+        error: error.message
+      });
+      this.utils.logSyncError('Order sync', personName, error);
+      throw error;
+    }
+
+    this.utils.logSyncOperation('Order sync completed', personName, {
+      synced: result.synced,
+      errors: result.errors.length
+    });
+
+    return this.utils.finalizeSyncResult(result);
+  }
+
+  /**
+   * Sync orders for a single account, in 31-day chunks like activities
+   */
+  async syncOrdersForAccount(account, personName, fullSync) {
+    const result = { synced: 0, errors: [] };
+    const seenOrderIds = new Set();
+
+    const { startDate, endDate } = this.utils.calculateSyncDateRange(fullSync);
+    const chunks = this.utils.splitDateRangeIntoChunks(
+      startDate,
+      endDate,
+      this.utils.QUESTRADE_LIMITS.MAX_DAYS_PER_REQUEST
+    );
+
+    for (const chunk of chunks) {
+      try {
+        // Chunk end dates are inclusive, so ask for orders up to the start of the next day
+        const endTime = this.utils.formatDateForQuestrade(new Date(chunk.endDate.getTime() + DAY_MS));
+        const ordersData = await questradeApi.getAccountOrders(
+          account.accountId,
+          personName,
+          'All',
+          chunk.startFormatted,
+          endTime
+        );
+
+        for (const orderData of ordersData?.orders || []) {
+          if (seenOrderIds.has(orderData.id)) {
+            continue;
+          }
+          seenOrderIds.add(orderData.id);
+
+          try {
+            await this.saveOrder(orderData, account.accountId, personName);
+            result.synced++;
+          } catch (orderError) {
+            result.errors.push({
+              accountId: account.accountId,
+              orderId: orderData.id,
+              error: orderError.message
+            });
+          }
+        }
+      } catch (chunkError) {
+        result.errors.push({
+          accountId: account.accountId,
+          chunk: `${chunk.startFormatted} to ${chunk.endFormatted}`,
+          error: chunkError.message
+        });
+        logger.error(`Failed to fetch orders for account ${account.accountId}: ${chunkError.message}`);
+      }
+    }
+
+    // Orders placed before the sync window (e.g. good-till-cancelled) would otherwise stay open forever
+    const staleOpenOrders = await Order.find({
+      accountId: account.accountId,
+      personName,
+      isOpen: true,
+      orderId: { $nin: Array.from(seenOrderIds) }
+    });
+
+    for (const staleOrder of staleOpenOrders) {
+      try {
+        const orderData = await questradeApi.getAccountOrder(account.accountId, staleOrder.orderId, personName);
+        const latest = orderData?.orders?.[0];
+        if (latest) {
+          await this.saveOrder(latest, account.accountId, personName);
+          result.synced++;
+        }
+      } catch (orderError) {
+        result.errors.push({
+          accountId: account.accountId,
+          orderId: staleOrder.orderId,
+          error: orderError.message
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Insert or update a single order
+   */
+  async saveOrder(orderData, accountId, personName) {
+    return Order.findOneAndUpdate(
+      { accountId, orderId: orderData.id },
+      Order.fromQuestrade(orderData, accountId, personName),
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+module.exports = OrderSync;
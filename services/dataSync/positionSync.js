@@ -6,6 +6,7 @@ const Symbol = require('../../models/Symbol');
 const Activity = require('../../models/Activity');
 const DividendCalculator = require('./dividendCalculator');
 const SyncUtils = require('./syncUtils');
+const alertEngine = require('../alertEngine');
 const logger = require('../../utils/logger');
 
 class PositionSync {
@@ -56,6 +57,9 @@ class PositionSync {
       logger.info(`Recalculating dividends from activities for ${personName}...`);
       await this.recalculateDividendsFromActivities(personName);
 
+      // Check price, weight and yield alerts against the fresh positions
+      result.alertsFired = (await alertEngine.evaluatePerson(personName)).length;
+
     } catch (error) {
       result.errors.push({
         type: 'POSITIONS_SYNC_ERROR',
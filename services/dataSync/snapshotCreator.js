@@ -20,13 +20,15 @@ class SnapshotCreator {
       const accounts = await Account.find({ personName }).lean();
 
       const snapshotData = this.calculateSnapshotMetrics(accounts, positions);
+      const date = new Date();
       
       const snapshot = await PortfolioSnapshot.create({
         personName,
         viewMode: 'person',
-        date: new Date(),
+        date,
         totalInvestment: snapshotData.totalInvestment,
         currentValue: snapshotData.currentValue,
+        totalEquity: this.calculateTotalEquity(accounts, positions),
         totalReturnValue: snapshotData.totalReturnValue,
         totalReturnPercent: snapshotData.totalReturnPercent,
         unrealizedPnl: snapshotData.unrealizedPnl,
@@ -37,9 +39,12 @@ class SnapshotCreator {
         assetAllocation: snapshotData.assetAllocation,
         sectorAllocation: snapshotData.sectorAllocation,
         currencyBreakdown: snapshotData.currencyBreakdown,
+        holdings: snapshotData.holdings,
         createdAt: new Date()
       });
 
+      await this.createAccountSnapshots(personName, accounts, positions, date);
+
       logger.info(`Portfolio snapshot created with ID: ${snapshot._id} for ${personName}`);
       return snapshot;
 
@@ -93,10 +98,76 @@ class SnapshotCreator {
     metrics.sectorAllocation = this.calculateSectorAllocation(positions, metrics.currentValue);
     metrics.currencyBreakdown = this.calculateCurrencyBreakdown(positions, metrics.currentValue);
     metrics.assetAllocation = this.calculateAssetAllocation(positions, metrics.currentValue);
+    metrics.holdings = this.calculateHoldings(positions);
 
     return metrics;
   }
 
+  /**
+   * One snapshot per account, so returns can be measured per account
+   */
+  async createAccountSnapshots(personName, accounts, positions, date = new Date()) {
+    for (const account of accounts) {
+      const accountPositions = positions.filter(p => p.accountId === account.accountId && !p.isAggregated);
+      const currentValue = accountPositions.reduce((sum, p) => sum + (p.currentMarketValue || 0), 0);
+      const totalInvestment = accountPositions.reduce((sum, p) => sum + (p.totalCost || 0), 0);
+
+      await PortfolioSnapshot.create({
+        accountId: account.accountId,
+        personName,
+        viewMode: 'account',
+        date,
+        totalInvestment,
+        currentValue,
+        totalEquity: this.calculateTotalEquity([account], accountPositions),
+        unrealizedPnl: accountPositions.reduce((sum, p) => sum + (p.openPnl || 0), 0),
+        numberOfPositions: accountPositions.filter(p => p.openQuantity > 0).length,
+        numberOfAccounts: 1,
+        holdings: this.calculateHoldings(accountPositions),
+        createdAt: new Date()
+      });
+    }
+  }
+
+  /**
+   * Account equity (positions plus cash) from the synced balances; accounts
+   * without balances count their positions only
+   */
+  calculateTotalEquity(accounts, positions) {
+    return accounts.reduce((sum, account) => {
+      const equity = account.balances?.combinedBalances?.totalEquity;
+      if (equity != null) {
+        return sum + equity;
+      }
+      return sum + positions
+        .filter(p => p.accountId === account.accountId && !p.isAggregated)
+        .reduce((value, p) => value + (p.currentMarketValue || 0), 0);
+    }, 0);
+  }
+
+  /**
+   * Open positions combined by symbol across accounts
+   */
+  calculateHoldings(positions) {
+    const holdings = new Map();
+
+    positions
+      .filter(position => !position.isAggregated && position.openQuantity > 0)
+      .forEach(position => {
+        const holding = holdings.get(position.symbol) || {
+          symbol: position.symbol,
+          quantity: 0,
+          price: position.currentPrice,
+          marketValue: 0
+        };
+        holding.quantity += position.openQuantity;
+        holding.marketValue += position.currentMarketValue || 0;
+        holdings.set(position.symbol, holding);
+      });
+
+    return Array.from(holdings.values());
+  }
+
   /**
    * Calculate sector allocation
    */
@@ -0,0 +1,504 @@
+// services/databaseManager.js - Read and write portfolio data for the calculator, aggregator and routes
+const Account = require('../models/Account');
+const Position = require('../models/Position');
+const Activity = require('../models/Activity');
+const Symbol = require('../models/Symbol');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const MarketQuote = require('../models/MarketQuote');
+const Watchlist = require('../models/Watchlist');
+const questradeApi = require('./questradeApi');
+const logger = require('../utils/logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Same dividend test as PositionSync.recalculateDividendsFromActivities
+const DIVIDEND_ACTIVITY = {
+  $or: [
+    { type: 'Dividend' },
+    { isDividend: true },
+    { rawType: { $regex: /dividend/i } }
+  ]
+};
+
+// Money moving into or out of an account, as opposed to investment income
+const CASH_FLOW_TYPES = ['Deposit', 'Withdrawal', 'Transfer'];
+
+/**
+ * Every getter takes the same filter object:
+ *   personName, accountId, symbol - exact matches, ignored when empty
+ *   startDate, endDate            - inclusive range on the getter's date field, where it has one
+ *   limit                         - maximum rows, where the getter sorts by date
+ *   includeClosedPositions        - positions only, keep rows with no open quantity
+ * Watchlists are always per person, optionally narrowed to one list by name.
+ */
+class DatabaseManager {
+  buildQuery(filter = {}, dateField = null) {
+    const query = {};
+    if (filter.personName) query.personName = filter.personName;
+    if (filter.accountId) query.accountId = filter.accountId;
+    if (filter.symbol) query.symbol = filter.symbol;
+
+    if (dateField && (filter.startDate || filter.endDate)) {
+      const start = filter.startDate ? new Date(filter.startDate) : null;
+      const end = filter.endDate ? new Date(filter.endDate) : null;
+
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        throw createError(400, 'startDate and endDate must be valid dates');
+      }
+
+      query[dateField] = {};
+      if (start) query[dateField].$gte = start;
+      if (end) query[dateField].$lte = end;
+    }
+
+    return query;
+  }
+
+  getLimit(filter = {}) {
+    const limit = parseInt(filter.limit);
+    return limit > 0 ? limit : 0;
+  }
+
+  accountName(account) {
+    return account.displayName ||
+      account.nickname ||
+      [account.type, account.number].filter(Boolean).join(' ') ||
+      account.accountId;
+  }
+
+  // Account name and type for each accountId, to label positions, balances and dividends
+  async getAccountLookup(query = {}) {
+    const accounts = await Account.find(query)
+      .select('accountId type number displayName nickname')
+      .lean();
+
+    return new Map(accounts.map(account => [account.accountId, {
+      accountName: this.accountName(account),
+      accountType: account.type
+    }]));
+  }
+
+  async getAccounts(filter = {}) {
+    try {
+      const accounts = await Account.find(this.buildQuery(filter))
+        .sort({ personName: 1, type: 1 })
+        .lean();
+
+      // Field names the calculator and aggregator read
+      return accounts.map(account => ({
+        ...account,
+        name: this.accountName(account),
+        accountName: this.accountName(account),
+        accountType: account.type,
+        currency: account.balances?.combinedBalances?.currency,
+        lastUpdated: account.balances?.lastUpdated || account.syncedAt
+      }));
+    } catch (error) {
+      logger.error('Error getting accounts:', error);
+      throw error;
+    }
+  }
+
+  async getPositions(filter = {}) {
+    try {
+      const query = {
+        ...this.buildQuery(filter),
+        isAggregated: { $ne: true }
+      };
+      if (!filter.includeClosedPositions || filter.includeClosedPositions === 'false') {
+        query.openQuantity = { $gt: 0 };
+      }
+
+      const [positions, accounts] = await Promise.all([
+        Position.find(query).sort({ symbol: 1 }).lean(),
+        this.getAccountLookup(this.buildQuery({ personName: filter.personName, accountId: filter.accountId }))
+      ]);
+
+      return positions.map(position => {
+        const account = accounts.get(position.accountId) || {};
+        const annualDividend = position.dividendData?.annualDividendPerShare || 0;
+
+        return {
+          ...position,
+          accountName: account.accountName || position.accountId,
+          accountType: account.accountType,
+          dayPnL: position.dayPnl || 0,
+          annualDividend,
+          dividendYield: position.currentPrice > 0 ? (annualDividend / position.currentPrice) * 100 : 0,
+          lastUpdated: position.updatedAt || position.syncedAt
+        };
+      });
+    } catch (error) {
+      logger.error('Error getting positions:', error);
+      throw error;
+    }
+  }
+
+  // One row per account and currency, from the balances stored by the account sync
+  async getCashBalances(filter = {}) {
+    try {
+      const accounts = await Account.find(this.buildQuery(filter)).lean();
+      const balances = [];
+
+      for (const account of accounts) {
+        for (const balance of account.balances?.perCurrencyBalances || []) {
+          if (filter.currency && balance.currency !== filter.currency) {
+            continue;
+          }
+
+          balances.push({
+            accountId: account.accountId,
+            accountName: this.accountName(account),
+            accountType: account.type,
+            personName: account.personName,
+            currency: balance.currency,
+            cash: balance.cash || 0,
+            marketValue: balance.marketValue || 0,
+            totalEquity: balance.totalEquity || 0,
+            buyingPower: balance.buyingPower || 0,
+            maintenanceExcess: balance.maintenanceExcess || 0,
+            isRealTime: balance.isRealTime,
+            lastUpdated: account.balances.lastUpdated || account.syncedAt
+          });
+        }
+      }
+
+      return balances;
+    } catch (error) {
+      logger.error('Error getting cash balances:', error);
+      throw error;
+    }
+  }
+
+  // Dividends received, from dividend activities, newest first
+  async getDividends(filter = {}) {
+    try {
+      const query = { ...this.buildQuery(filter, 'transactionDate'), ...DIVIDEND_ACTIVITY };
+
+      const [activities, accounts] = await Promise.all([
+        Activity.find(query).sort({ transactionDate: -1 }).limit(this.getLimit(filter)).lean(),
+        this.getAccountLookup(this.buildQuery({ personName: filter.personName, accountId: filter.accountId }))
+      ]);
+
+      return activities.map(activity => {
+        const account = accounts.get(activity.accountId) || {};
+
+        return {
+          activityId: activity._id,
+          symbol: activity.symbol,
+          symbolId: activity.symbolId,
+          accountId: activity.accountId,
+          accountName: account.accountName || activity.accountId,
+          accountType: account.accountType,
+          personName: activity.personName,
+          currency: activity.currency,
+          quantity: activity.quantity,
+          dividendPerShare: activity.dividendPerShare,
+          amount: Math.abs(activity.netAmount || activity.grossAmount || 0),
+          // Calculator groups on the YYYY-MM prefix
+          paymentDate: activity.transactionDate ? new Date(activity.transactionDate).toISOString() : null,
+          description: activity.description
+        };
+      });
+    } catch (error) {
+      logger.error('Error getting dividends:', error);
+      throw error;
+    }
+  }
+
+  // Dividend terms for each symbol, from the Symbol cache
+  async getDividendInfo(symbols = []) {
+    try {
+      if (symbols.length === 0) {
+        return [];
+      }
+
+      const symbolDocs = await Symbol.find({ symbol: { $in: symbols } }).lean();
+
+      return symbolDocs.map(symbol => {
+        // Questrade's "dividend" is the amount of each payment
+        const dividendPerShare = symbol.dividend || symbol.dividendPerShare || 0;
+
+        return {
+          symbol: symbol.symbol,
+          symbolId: symbol.symbolId,
+          currency: symbol.currency,
+          isDividendStock: dividendPerShare > 0,
+          dividendPerShare,
+          dividendYield: symbol.yield || 0,
+          dividendFrequency: symbol.dividendFrequency,
+          exDividendDate: symbol.exDate,
+          paymentDate: symbol.dividendDate
+        };
+      });
+    } catch (error) {
+      logger.error('Error getting dividend info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshots, newest first. With an accountId these are the per-account snapshots;
+   * otherwise the per-person ones written after each sync, unless filter.viewMode says otherwise.
+   */
+  async getPortfolioSnapshots(filter = {}) {
+    try {
+      const query = this.buildQuery(filter, 'date');
+      delete query.symbol;
+      if (filter.viewMode) {
+        query.viewMode = filter.viewMode;
+      } else if (!filter.accountId) {
+        query.viewMode = 'person';
+      }
+
+      const snapshots = await PortfolioSnapshot.find(query)
+        .sort({ date: -1 })
+        .limit(this.getLimit(filter))
+        .lean();
+
+      // Field names the calculator and snapshot route read
+      return snapshots.map(snapshot => ({
+        ...snapshot,
+        snapshotDate: snapshot.date.toISOString(),
+        totalValue: snapshot.currentValue || 0,
+        totalCost: snapshot.totalInvestment || 0,
+        totalPnL: snapshot.unrealizedPnl ?? snapshot.totalReturnValue ?? 0,
+        totalPnLPercent: snapshot.totalInvestment > 0
+          ? ((snapshot.unrealizedPnl ?? snapshot.totalReturnValue ?? 0) / snapshot.totalInvestment) * 100
+          : 0,
+        positionCount: snapshot.numberOfPositions || 0
+      }));
+    } catch (error) {
+      logger.error('Error getting portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  // Store a snapshot built by PortfolioCalculatorService.createSnapshot
+  async savePortfolioSnapshot(snapshot) {
+    try {
+      let viewMode = 'all';
+      if (snapshot.accountId) viewMode = 'account';
+      else if (snapshot.personName) viewMode = 'person';
+
+      return await PortfolioSnapshot.create({
+        accountId: snapshot.accountId,
+        personName: snapshot.personName,
+        viewMode,
+        date: snapshot.snapshotDate ? new Date(snapshot.snapshotDate) : new Date(),
+        totalInvestment: snapshot.totalCost,
+        currentValue: snapshot.totalValue,
+        totalEquity: snapshot.totalAccountValue,
+        totalReturnValue: snapshot.totalPnL,
+        totalReturnPercent: snapshot.totalPnLPercent,
+        unrealizedPnl: snapshot.totalPnL,
+        numberOfPositions: snapshot.positionCount,
+        numberOfAccounts: snapshot.accountId ? 1 : undefined
+      });
+    } catch (error) {
+      logger.error('Error saving portfolio snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Portfolio value over time, oldest first: account snapshots with an accountId, person snapshots otherwise
+  async getValuations(filter = {}) {
+    try {
+      const query = this.buildQuery(filter, 'date');
+      delete query.symbol;
+      query.viewMode = filter.accountId ? 'account' : 'person';
+
+      const snapshots = await PortfolioSnapshot.find(query)
+        .select('accountId personName date currentValue totalEquity')
+        .sort({ date: 1 })
+        .lean();
+
+      // Snapshots from before totalEquity was recorded only have the positions' value
+      return snapshots.map(snapshot => ({
+        accountId: snapshot.accountId,
+        personName: snapshot.personName,
+        date: snapshot.date,
+        value: snapshot.totalEquity ?? snapshot.currentValue ?? 0
+      }));
+    } catch (error) {
+      logger.error('Error getting valuations:', error);
+      throw error;
+    }
+  }
+
+  // Deposits, withdrawals and transfers, oldest first; amount is positive into the account
+  async getCashFlows(filter = {}) {
+    try {
+      const query = this.buildQuery(filter, 'transactionDate');
+      delete query.symbol;
+      query.type = { $in: CASH_FLOW_TYPES };
+
+      const activities = await Activity.find(query)
+        .select('accountId personName transactionDate netAmount type')
+        .sort({ transactionDate: 1 })
+        .lean();
+
+      return activities
+        .filter(activity => activity.netAmount)
+        .map(activity => ({
+          accountId: activity.accountId,
+          personName: activity.personName,
+          date: activity.transactionDate,
+          amount: activity.netAmount,
+          type: activity.type
+        }));
+    } catch (error) {
+      logger.error('Error getting cash flows:', error);
+      throw error;
+    }
+  }
+
+  // Activities, newest first
+  async getTransactions(filter = {}) {
+    try {
+      const query = this.buildQuery(filter, 'transactionDate');
+      if (filter.type) query.type = filter.type;
+
+      return await Activity.find(query)
+        .sort({ transactionDate: -1 })
+        .limit(this.getLimit(filter))
+        .lean();
+    } catch (error) {
+      logger.error('Error getting transactions:', error);
+      throw error;
+    }
+  }
+
+  // A person's watchlists, each item with its latest quote and dividend data
+  async getWatchlist(filter = {}) {
+    try {
+      const query = this.buildQuery({ personName: filter.personName });
+      if (filter.name) query.name = filter.name;
+
+      const watchlists = await Watchlist.find(query).sort({ personName: 1, name: 1 }).lean();
+      const symbolIds = [...new Set(watchlists.flatMap(list => list.items.map(item => item.symbolId)))];
+      if (symbolIds.length === 0) {
+        return watchlists;
+      }
+
+      const [quotes, symbols] = await Promise.all([
+        MarketQuote.aggregate([
+          { $match: { symbolId: { $in: symbolIds } } },
+          { $sort: { timestamp: -1 } },
+          { $group: { _id: '$symbolId', quote: { $first: '$$ROOT' } } }
+        ]),
+        Symbol.find({ symbolId: { $in: symbolIds } }).lean()
+      ]);
+      const quoteById = new Map(quotes.map(q => [q._id, q.quote]));
+      const symbolById = new Map(symbols.map(s => [s.symbolId, s]));
+
+      return watchlists.map(list => ({
+        ...list,
+        items: list.items.map(item => this.enrichWatchlistItem(item, quoteById.get(item.symbolId), symbolById.get(item.symbolId)))
+      }));
+    } catch (error) {
+      logger.error('Error getting watchlist:', error);
+      throw error;
+    }
+  }
+
+  enrichWatchlistItem(item, quote, symbol) {
+    // Fall back to the previous close when no quote has been fetched yet
+    const lastPrice = quote?.lastTradePrice ?? symbol?.prevDayClosePrice ?? null;
+
+    return {
+      ...item,
+      quote: quote ? {
+        lastTradePrice: quote.lastTradePrice,
+        bidPrice: quote.bidPrice,
+        askPrice: quote.askPrice,
+        openPrice: quote.openPrice,
+        highPrice: quote.highPrice,
+        lowPrice: quote.lowPrice,
+        volume: quote.volume,
+        isHalted: quote.isHalted,
+        timestamp: quote.timestamp
+      } : null,
+      symbolInfo: symbol ? {
+        description: symbol.description,
+        currency: symbol.currency,
+        listingExchange: symbol.listingExchange,
+        prevDayClosePrice: symbol.prevDayClosePrice,
+        highPrice52: symbol.highPrice52,
+        lowPrice52: symbol.lowPrice52,
+        dividendPerShare: symbol.dividend || symbol.dividendPerShare || 0,
+        dividendYield: symbol.yield || 0,
+        dividendFrequency: symbol.dividendFrequency,
+        exDividendDate: symbol.exDate,
+        dividendDate: symbol.dividendDate
+      } : null,
+      lastPrice,
+      atBuyTarget: lastPrice !== null && item.targetBuyPrice != null && lastPrice <= item.targetBuyPrice,
+      atSellTarget: lastPrice !== null && item.targetSellPrice != null && lastPrice >= item.targetSellPrice
+    };
+  }
+
+  // Symbol from the local cache, or from Questrade using the person's token
+  async resolveSymbol(symbol, personName) {
+    const cached = await Symbol.findOne({ symbol }).lean();
+    if (cached) {
+      return cached;
+    }
+
+    const symbolsData = await questradeApi.getSymbols(null, symbol, personName);
+    const found = (symbolsData?.symbols || []).find(s => s.symbol === symbol);
+    if (!found) {
+      throw createError(404, `Symbol ${symbol} not found`);
+    }
+
+    return Symbol.findOneAndUpdate(
+      { symbolId: found.symbolId },
+      found,
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  // Add a symbol to a watchlist, creating the list if needed. Adding it again updates notes and targets.
+  async addToWatchlist({ personName, name = 'Default', symbol, notes, targetBuyPrice, targetSellPrice }) {
+    try {
+      const symbolDoc = await this.resolveSymbol(symbol.toUpperCase(), personName);
+
+      const watchlist = await Watchlist.findOne({ personName, name }) ||
+        new Watchlist({ personName, name, items: [] });
+
+      const fields = { notes, targetBuyPrice, targetSellPrice };
+      const existing = watchlist.items.find(item => item.symbolId === symbolDoc.symbolId);
+      if (existing) {
+        for (const [field, value] of Object.entries(fields)) {
+          if (value !== undefined) existing[field] = value;
+        }
+      } else {
+        watchlist.items.push({ symbol: symbolDoc.symbol, symbolId: symbolDoc.symbolId, ...fields });
+      }
+
+      await watchlist.save();
+      return watchlist;
+    } catch (error) {
+      logger.error(`Error adding ${symbol} to watchlist for ${personName}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async removeFromWatchlist({ personName, name = 'Default', symbol }) {
+    try {
+      const result = await Watchlist.updateOne(
+        { personName, name, 'items.symbol': symbol.toUpperCase() },
+        { $pull: { items: { symbol: symbol.toUpperCase() } }, $set: { updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw createError(404, `${symbol} is not on watchlist ${name} for ${personName}`);
+      }
+      return result;
+    } catch (error) {
+      logger.error(`Error removing ${symbol} from watchlist for ${personName}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = DatabaseManager;
@@ -0,0 +1,415 @@
+// services/digestReport.js - Weekly and monthly digests built from snapshot history and activities
+const Person = require('../models/Person');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Activity = require('../models/Activity');
+const Position = require('../models/Position');
+const Symbol = require('../models/Symbol');
+const notifications = require('./notifications');
+const config = require('./dataSync/config');
+const logger = require('../utils/logger');
+const { createError } = require('../middleware/errorHandler');
+
+const PERIODS = ['weekly', 'monthly'];
+// Money moving in or out of the portfolio rather than earned by it
+const CONTRIBUTION_TYPES = ['Deposit', 'Withdrawal', 'Transfer'];
+
+// Dates are shown as the Toronto trading day
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+function formatMoney(value) {
+  return (value || 0).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatPercent(value) {
+  return value == null ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The week or calendar month ending at endDate
+function periodRange(period, endDate) {
+  const end = endDate ? new Date(endDate) : new Date();
+  if (isNaN(end)) {
+    throw createError(400, 'endDate must be a valid date');
+  }
+
+  const start = new Date(end);
+  if (period === 'weekly') {
+    start.setDate(start.getDate() - 7);
+  } else {
+    start.setMonth(start.getMonth() - 1);
+  }
+  return { startDate: start, endDate: end };
+}
+
+class DigestReport {
+  /**
+   * Build the digest for one person, or for every active person (the household) when
+   * personName is not given. Values come from the person snapshots nearest each end of the period.
+   */
+  async build({ personName, period = 'weekly', endDate } = {}) {
+    if (!PERIODS.includes(period)) {
+      throw createError(400, `period must be one of: ${PERIODS.join(', ')}`);
+    }
+
+    let persons;
+    if (personName) {
+      if (!await Person.exists({ personName })) {
+        throw createError(404, `Person ${personName} not found`);
+      }
+      persons = [personName];
+    } else {
+      persons = (await Person.find({ isActive: true }).select('personName')).map(p => p.personName);
+    }
+
+    const range = periodRange(period, endDate);
+    const value = await this.getValueChange(persons, range);
+    const contributions = await this.getContributions(persons, range);
+    const dividends = await this.getDividends(persons, range);
+
+    return {
+      scope: personName ? 'person' : 'household',
+      personName: personName || null,
+      persons,
+      period,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      value: value.summary,
+      contributions,
+      // What the portfolio earned once money moved in and out is taken off
+      marketChange: value.summary.change == null ? null : round(value.summary.change - contributions.net),
+      dividends,
+      topMovers: this.getTopMovers(value.snapshots),
+      upcomingDividends: await this.getUpcomingDividends(persons, range),
+      generatedAt: new Date()
+    };
+  }
+
+  // Start and end value per person, from the snapshot at or before each end of the period
+  async getValueChange(persons, { startDate, endDate }) {
+    const summary = { start: 0, end: 0, change: null, changePercent: null, persons: [] };
+    const snapshots = [];
+
+    for (const personName of persons) {
+      const query = { personName, viewMode: 'person' };
+      // A person with no snapshot before the period starts from their first one in it
+      const start = await PortfolioSnapshot.findOne({ ...query, date: { $lte: startDate } }).sort({ date: -1 }).lean() ||
+        await PortfolioSnapshot.findOne({ ...query, date: { $gt: startDate, $lte: endDate } }).sort({ date: 1 }).lean();
+      const end = await PortfolioSnapshot.findOne({ ...query, date: { $lte: endDate } }).sort({ date: -1 }).lean();
+
+      if (!start || !end) {
+        continue;
+      }
+
+      snapshots.push({ personName, start, end });
+      summary.start += start.currentValue || 0;
+      summary.end += end.currentValue || 0;
+      summary.persons.push({
+        personName,
+        start: round(start.currentValue || 0),
+        end: round(end.currentValue || 0),
+        startDate: start.date,
+        endDate: end.date
+      });
+    }
+
+    if (snapshots.length > 0) {
+      summary.change = round(summary.end - summary.start);
+      summary.changePercent = summary.start > 0 ? ((summary.end - summary.start) / summary.start) * 100 : null;
+      summary.start = round(summary.start);
+      summary.end = round(summary.end);
+    }
+
+    return { summary, snapshots };
+  }
+
+  async getContributions(persons, { startDate, endDate }) {
+    const activities = await Activity.find({
+      personName: { $in: persons },
+      type: { $in: CONTRIBUTION_TYPES },
+      transactionDate: { $gte: startDate, $lte: endDate }
+    }).lean();
+
+    const contributions = { deposits: 0, withdrawals: 0, net: 0, count: activities.length };
+    for (const activity of activities) {
+      const amount = activity.netAmount || 0;
+      if (amount >= 0) {
+        contributions.deposits += amount;
+      } else {
+        contributions.withdrawals += -amount;
+      }
+    }
+    contributions.net = round(contributions.deposits - contributions.withdrawals);
+    contributions.deposits = round(contributions.deposits);
+    contributions.withdrawals = round(contributions.withdrawals);
+
+    return contributions;
+  }
+
+  async getDividends(persons, { startDate, endDate }) {
+    const activities = await Activity.find({
+      personName: { $in: persons },
+      $or: [{ type: 'Dividend' }, { isDividend: true }],
+      transactionDate: { $gte: startDate, $lte: endDate }
+    }).sort({ transactionDate: 1 }).lean();
+
+    const byCurrency = {};
+    const items = activities.map(activity => {
+      const amount = Math.abs(activity.netAmount || 0);
+      const currency = activity.currency || 'CAD';
+      byCurrency[currency] = round((byCurrency[currency] || 0) + amount);
+
+      return {
+        personName: activity.personName,
+        accountId: activity.accountId,
+        symbol: activity.symbol,
+        amount: round(amount),
+        currency,
+        date: activity.transactionDate
+      };
+    });
+
+    return {
+      total: round(items.reduce((sum, item) => sum + item.amount, 0)),
+      byCurrency,
+      count: items.length,
+      items
+    };
+  }
+
+  // Biggest price moves between the start and end snapshots, for symbols held at the end
+  getTopMovers(snapshots) {
+    const movers = new Map();
+
+    for (const { start, end } of snapshots) {
+      const startPrices = new Map((start.holdings || []).map(h => [h.symbol, h.price]));
+
+      for (const holding of end.holdings || []) {
+        const startPrice = startPrices.get(holding.symbol);
+        if (!(startPrice > 0) || holding.price == null) {
+          continue;
+        }
+
+        const mover = movers.get(holding.symbol) || {
+          symbol: holding.symbol,
+          startPrice,
+          endPrice: holding.price,
+          changePercent: ((holding.price - startPrice) / startPrice) * 100,
+          valueChange: 0
+        };
+        mover.valueChange = round(mover.valueChange + holding.quantity * (holding.price - startPrice));
+        movers.set(holding.symbol, mover);
+      }
+    }
+
+    return Array.from(movers.values())
+      .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+      .slice(0, config.DIGEST.TOP_MOVERS);
+  }
+
+  // Ex-dividend and payment dates from the symbol cache, over the next period of the same length
+  async getUpcomingDividends(persons, { startDate, endDate }) {
+    const horizon = new Date(endDate.getTime() + (endDate - startDate));
+
+    const positions = await Position.find({
+      personName: { $in: persons },
+      openQuantity: { $gt: 0 },
+      isAggregated: { $ne: true }
+    }).select('symbol openQuantity').lean();
+
+    const quantities = new Map();
+    for (const position of positions) {
+      quantities.set(position.symbol, (quantities.get(position.symbol) || 0) + position.openQuantity);
+    }
+    if (quantities.size === 0) {
+      return [];
+    }
+
+    const symbols = await Symbol.find({
+      symbol: { $in: Array.from(quantities.keys()) },
+      $or: [
+        { exDate: { $gt: endDate, $lte: horizon } },
+        { dividendDate: { $gt: endDate, $lte: horizon } }
+      ]
+    }).lean();
+
+    return symbols
+      .map(symbol => {
+        const perShare = symbol.dividend || symbol.dividendPerShare || 0;
+        const quantity = quantities.get(symbol.symbol);
+        return {
+          symbol: symbol.symbol,
+          exDate: symbol.exDate,
+          paymentDate: symbol.dividendDate,
+          dividendPerShare: perShare,
+          quantity,
+          estimatedAmount: round(perShare * quantity),
+          currency: symbol.currency
+        };
+      })
+      .sort((a, b) => new Date(a.exDate || a.paymentDate) - new Date(b.exDate || b.paymentDate));
+  }
+
+  getTitle(digest) {
+    const period = digest.period === 'weekly' ? 'Weekly' : 'Monthly';
+    const who = digest.personName || 'the household';
+    return `${period} portfolio digest for ${who}, ${formatDate(digest.startDate)} to ${formatDate(digest.endDate)}`;
+  }
+
+  renderText(digest) {
+    const lines = [this.getTitle(digest), ''];
+
+    if (digest.value.change == null) {
+      lines.push('Portfolio value: no snapshots for this period yet');
+    } else {
+      lines.push(`Portfolio value: ${formatMoney(digest.value.start)} -> ${formatMoney(digest.value.end)} ` +
+        `(${digest.value.change >= 0 ? '+' : ''}${formatMoney(digest.value.change)}, ${formatPercent(digest.value.changePercent)})`);
+      lines.push(`Market change: ${formatMoney(digest.marketChange)}`);
+    }
+    lines.push(`Contributions: ${formatMoney(digest.contributions.deposits)} in, ` +
+      `${formatMoney(digest.contributions.withdrawals)} out, ${formatMoney(digest.contributions.net)} net`);
+
+    const dividendTotals = Object.entries(digest.dividends.byCurrency)
+      .map(([currency, amount]) => `${formatMoney(amount)} ${currency}`)
+      .join(', ');
+    lines.push(`Dividends received: ${dividendTotals || 'none'}`);
+    for (const item of digest.dividends.items) {
+      lines.push(`  ${formatDate(item.date)}  ${item.symbol || '-'}  ${formatMoney(item.amount)} ${item.currency}`);
+    }
+
+    lines.push('', 'Top movers:');
+    if (digest.topMovers.length === 0) {
+      lines.push('  none');
+    }
+    for (const mover of digest.topMovers) {
+      lines.push(`  ${mover.symbol}  ${formatPercent(mover.changePercent)}  ` +
+        `(${formatMoney(mover.startPrice)} -> ${formatMoney(mover.endPrice)}, ${formatMoney(mover.valueChange)})`);
+    }
+
+    lines.push('', 'Upcoming dividends:');
+    if (digest.upcomingDividends.length === 0) {
+      lines.push('  none');
+    }
+    for (const dividend of digest.upcomingDividends) {
+      const dates = [
+        dividend.exDate && `ex ${formatDate(dividend.exDate)}`,
+        dividend.paymentDate && `paid ${formatDate(dividend.paymentDate)}`
+      ].filter(Boolean).join(', ');
+      lines.push(`  ${dividend.symbol}  ${dates}  ~${formatMoney(dividend.estimatedAmount)} ${dividend.currency || ''}`.trimEnd());
+    }
+
+    return lines.join('\n');
+  }
+
+  renderHtml(digest) {
+    const row = cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+    const table = (headers, rows) => rows.length === 0
+      ? '<p>None</p>'
+      : `<table cellpadding="4"><tr>${headers.map(h => `<th align="left">${escapeHtml(h)}</th>`).join('')}</tr>${rows.join('')}</table>`;
+
+    const summary = [];
+    if (digest.value.change == null) {
+      summary.push(row(['Portfolio value', 'No snapshots for this period yet']));
+    } else {
+      summary.push(row(['Start value', formatMoney(digest.value.start)]));
+      summary.push(row(['End value', formatMoney(digest.value.end)]));
+      summary.push(row(['Change', `${formatMoney(digest.value.change)} (${formatPercent(digest.value.changePercent)})`]));
+      summary.push(row(['Market change', formatMoney(digest.marketChange)]));
+    }
+    summary.push(row(['Contributions (net)', formatMoney(digest.contributions.net)]));
+    for (const [currency, amount] of Object.entries(digest.dividends.byCurrency)) {
+      summary.push(row([`Dividends (${currency})`, formatMoney(amount)]));
+    }
+
+    return [
+      '<html><body style="font-family: sans-serif">',
+      `<h2>${escapeHtml(this.getTitle(digest))}</h2>`,
+      `<table cellpadding="4">${summary.join('')}</table>`,
+      '<h3>Dividends received</h3>',
+      table(['Date', 'Symbol', 'Amount'], digest.dividends.items.map(item =>
+        row([formatDate(item.date), item.symbol || '-', `${formatMoney(item.amount)} ${item.currency}`]))),
+      '<h3>Top movers</h3>',
+      table(['Symbol', 'Change', 'Price', 'Value change'], digest.topMovers.map(mover =>
+        row([mover.symbol, formatPercent(mover.changePercent),
+          `${formatMoney(mover.startPrice)} → ${formatMoney(mover.endPrice)}`, formatMoney(mover.valueChange)]))),
+      '<h3>Upcoming dividends</h3>',
+      table(['Symbol', 'Ex-date', 'Payment date', 'Estimated'], digest.upcomingDividends.map(dividend =>
+        row([dividend.symbol, dividend.exDate ? formatDate(dividend.exDate) : '-',
+          dividend.paymentDate ? formatDate(dividend.paymentDate) : '-',
+          `${formatMoney(dividend.estimatedAmount)} ${dividend.currency || ''}`.trim()]))),
+      '</body></html>'
+    ].join('\n');
+  }
+
+  /**
+   * Send a digest. A person's goes out as a notification, on their channels and subject to their
+   * weeklyDigest/monthlyDigest toggle; the household's is emailed to DIGEST_HOUSEHOLD_EMAIL.
+   */
+  async send({ personName, period = 'weekly', endDate } = {}) {
+    const digest = await this.build({ personName, period, endDate });
+    const title = this.getTitle(digest);
+    const text = this.renderText(digest);
+    const html = this.renderHtml(digest);
+
+    if (personName) {
+      const notification = await notifications.notify(personName, `${period}_digest`, {
+        title,
+        message: text,
+        html,
+        data: digest
+      });
+      return { digest, sent: Boolean(notification), notificationId: notification?._id || null };
+    }
+
+    const email = notifications.channels.get('email');
+    if (!config.DIGEST.HOUSEHOLD_EMAIL || !email.smtp.HOST) {
+      return { digest, sent: false, reason: 'DIGEST_HOUSEHOLD_EMAIL and SMTP_HOST must be set to email the household digest' };
+    }
+
+    const result = await email.sendMail({ to: config.DIGEST.HOUSEHOLD_EMAIL, subject: title, text, html });
+    return { digest, sent: true, messageId: result.messageId };
+  }
+
+  // Run by the digest cron jobs: every active person, then the household
+  async sendScheduled(period) {
+    const persons = await Person.find({ isActive: true }).select('personName');
+    const result = { period, sent: 0, skipped: 0, failed: [] };
+
+    for (const { personName } of persons) {
+      try {
+        const { sent } = await this.send({ personName, period });
+        if (sent) {
+          result.sent++;
+        } else {
+          result.skipped++;
+        }
+      } catch (error) {
+        logger.error(`Failed to send ${period} digest for ${personName}: ${error.message}`);
+        result.failed.push({ personName, error: error.message });
+      }
+    }
+
+    try {
+      result.household = (await this.send({ period })).sent;
+    } catch (error) {
+      logger.error(`Failed to send ${period} household digest: ${error.message}`);
+      result.failed.push({ personName: null, error: error.message });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new DigestReport();
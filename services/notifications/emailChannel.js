@@ -0,0 +1,54 @@
+// services/notifications/emailChannel.js - Email delivery over SMTP
+const nodemailer = require('nodemailer');
+const config = require('../dataSync/config');
+
+class EmailChannel {
+  constructor(smtp = config.NOTIFICATIONS.SMTP) {
+    this.name = 'email';
+    this.smtp = smtp;
+    this.transport = null;
+  }
+
+  // Needs SMTP_HOST and an email address on the person
+  getTarget(person) {
+    if (!this.smtp.HOST || !person.email) {
+      return null;
+    }
+    return person.email;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.smtp.HOST,
+        port: this.smtp.PORT,
+        secure: this.smtp.SECURE,
+        auth: this.smtp.USER ? { user: this.smtp.USER, pass: this.smtp.PASS } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(notification, target) {
+    return this.sendMail({
+      to: target,
+      subject: notification.title,
+      text: `${notification.message || notification.title}\n\nPerson: ${notification.personName}`,
+      html: notification.html || undefined
+    });
+  }
+
+  // Also used for mail that is not tied to one person, like the household digest
+  async sendMail({ to, subject, text, html }) {
+    const info = await this.getTransport().sendMail({
+      from: this.smtp.FROM,
+      to,
+      subject: `[Portfolio] ${subject}`,
+      text,
+      html
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,18 @@
+// services/notifications/inAppChannel.js - The in-app inbox, read through /api/notifications
+class InAppChannel {
+  constructor() {
+    this.name = 'inApp';
+    // The stored notification is the inbox entry, so there is nothing to send
+    this.immediate = true;
+  }
+
+  getTarget() {
+    return '';
+  }
+
+  async send() {
+    return {};
+  }
+}
+
+module.exports = InAppChannel;
@@ -0,0 +1,290 @@
+// services/notifications/index.js - Sends notifications on each person's channels, honouring their preferences
+const Notification = require('../../models/Notification');
+const Person = require('../../models/Person');
+const EmailChannel = require('./emailChannel');
+const WebhookChannel = require('./webhookChannel');
+const InAppChannel = require('./inAppChannel');
+const config = require('../dataSync/config');
+const logger = require('../../utils/logger');
+const { createError } = require('../../middleware/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    this.queue = null;
+
+    this.registerChannel(new EmailChannel());
+    this.registerChannel(new WebhookChannel());
+    this.registerChannel(new InAppChannel());
+  }
+
+  /**
+   * A channel has a name, getTarget(person) returning where to send or null to skip the person,
+   * and send(notification, target). Channels marked immediate are delivered when recorded.
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  // Required here rather than at the top: the queue's handlers load the sync code, which sends notifications
+  getQueue() {
+    if (!this.queue) {
+      const QueueManager = require('../queueManager');
+      this.queue = new QueueManager();
+    }
+    return this.queue;
+  }
+
+  // The master switch and the toggle for this type of notification
+  isWanted(person, type) {
+    const preferences = person.preferences?.notifications || {};
+    const toggle = Notification.TYPES[type];
+    return preferences.enabled !== false && (!toggle || preferences[toggle] !== false);
+  }
+
+  // One delivery per channel that the person uses and that has somewhere to send
+  getDeliveries(person, channelNames) {
+    const names = channelNames || person.preferences?.notifications?.channels || Array.from(this.channels.keys());
+    const now = new Date();
+    const deliveries = [];
+
+    for (const name of names) {
+      const channel = this.channels.get(name);
+      const target = channel?.getTarget(person);
+      if (target === null || target === undefined) {
+        continue;
+      }
+
+      deliveries.push(channel.immediate
+        ? { channel: name, target, status: 'sent', attempts: 1, lastAttemptAt: now, sentAt: now }
+        : { channel: name, target, status: 'pending' });
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Record a notification and queue its delivery on the person's channels.
+   * Never throws, so a notification problem does not fail the sync that raised it.
+   * options.dedupeKey skips the notification if one with that key went out in the last options.dedupeHours.
+   */
+  async notify(personName, type, options = {}) {
+    const { title, message, html, data, dedupeKey, dedupeHours } = options;
+
+    try {
+      const person = await Person.findOne({ personName });
+      if (!person || !this.isWanted(person, type)) {
+        return null;
+      }
+
+      if (dedupeKey && dedupeHours) {
+        const recent = await Notification.exists({
+          personName,
+          dedupeKey,
+          createdAt: { $gte: new Date(Date.now() - dedupeHours * HOUR_MS) }
+        });
+        if (recent) {
+          return null;
+        }
+      }
+
+      const deliveries = this.getDeliveries(person);
+      if (deliveries.length === 0) {
+        return null;
+      }
+
+      const notification = await Notification.create({
+        personName,
+        type,
+        title,
+        message,
+        html,
+        data,
+        dedupeKey,
+        deliveries
+      });
+
+      await this.queueDeliveries(notification);
+      return notification;
+    } catch (error) {
+      logger.error(`Failed to send ${type} notification to ${personName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async queueDeliveries(notification) {
+    for (const delivery of notification.deliveries) {
+      if (delivery.status !== 'pending') {
+        continue;
+      }
+
+      const job = await this.getQueue().addJob('notification.deliver', {
+        notificationId: notification._id,
+        channel: delivery.channel
+      }, {
+        personName: notification.personName,
+        maxAttempts: config.NOTIFICATIONS.MAX_ATTEMPTS
+      });
+
+      delivery.jobId = job._id;
+      await Notification.updateOne(
+        { _id: notification._id, 'deliveries.channel': delivery.channel },
+        { $set: { 'deliveries.$.jobId': job._id } }
+      );
+    }
+  }
+
+  /**
+   * Send one delivery and record the attempt. Run by the notification.deliver job, which
+   * retries it on error; the delivery is marked failed once the job is out of attempts.
+   */
+  async deliver(notificationId, channelName, job = null) {
+    const notification = await Notification.findById(notificationId);
+    if (!notification) {
+      throw new Error(`Notification ${notificationId} not found`);
+    }
+
+    const delivery = notification.deliveries.find(d => d.channel === channelName);
+    if (!delivery) {
+      throw new Error(`Notification ${notificationId} has no ${channelName} delivery`);
+    }
+    if (delivery.status === 'sent') {
+      return { channel: channelName, alreadySent: true };
+    }
+
+    const filter = { _id: notification._id, 'deliveries.channel': channelName };
+    const now = new Date();
+
+    try {
+      const channel = this.channels.get(channelName);
+      if (!channel) {
+        throw new Error(`Unknown notification channel ${channelName}`);
+      }
+
+      const result = await channel.send(notification, delivery.target);
+      await Notification.updateOne(filter, {
+        $set: {
+          'deliveries.$.status': 'sent',
+          'deliveries.$.lastAttemptAt': now,
+          'deliveries.$.sentAt': now,
+          'deliveries.$.error': null
+        },
+        $inc: { 'deliveries.$.attempts': 1 }
+      });
+
+      return { channel: channelName, target: delivery.target, ...result };
+    } catch (error) {
+      const isLastAttempt = !job || job.attempts >= job.maxAttempts;
+      await Notification.updateOne(filter, {
+        $set: {
+          'deliveries.$.status': isLastAttempt ? 'failed' : 'pending',
+          'deliveries.$.lastAttemptAt': now,
+          'deliveries.$.error': error.message
+        },
+        $inc: { 'deliveries.$.attempts': 1 }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a test notification straight away, bypassing preferences and the queue,
+   * so channel settings (e.g. SMTP against a local catcher) can be checked by hand.
+   */
+  async sendTest(personName, channelNames = null) {
+    const person = await Person.findOne({ personName });
+    if (!person) {
+      throw createError(404, `Person ${personName} not found`);
+    }
+
+    const unknown = (channelNames || []).filter(name => !this.channels.has(name));
+    if (unknown.length > 0) {
+      throw createError(400, `Unknown channel ${unknown.join(', ')}. Use one of: ${Array.from(this.channels.keys()).join(', ')}`);
+    }
+
+    const deliveries = this.getDeliveries(person, channelNames || Array.from(this.channels.keys()));
+    if (deliveries.length === 0) {
+      throw createError(400, `No notification channel is configured for ${personName}`);
+    }
+
+    const notification = await Notification.create({
+      personName,
+      type: 'test',
+      title: 'Test notification',
+      message: `This is a test notification for ${personName}.`,
+      deliveries
+    });
+
+    for (const delivery of deliveries.filter(d => d.status === 'pending')) {
+      try {
+        await this.deliver(notification._id, delivery.channel);
+      } catch (error) {
+        // Recorded on the delivery
+      }
+    }
+
+    return Notification.findById(notification._id);
+  }
+
+  async notifySyncError(personName, error) {
+    return this.notify(personName, 'sync_error', {
+      title: `Sync failed for ${personName}`,
+      message: error.message,
+      data: { error: error.message },
+      dedupeKey: `sync_error:${error.message}`,
+      dedupeHours: config.NOTIFICATIONS.SYNC_ERROR_DEDUPE_HOURS
+    });
+  }
+
+  // Only recent dividends, so a full sync does not announce years of history
+  async notifyDividend(personName, activity) {
+    const paidAt = new Date(activity.transactionDate || activity.settlementDate);
+    if (isNaN(paidAt) || Date.now() - paidAt > config.NOTIFICATIONS.DIVIDEND_LOOKBACK_DAYS * DAY_MS) {
+      return null;
+    }
+
+    const amount = Math.abs(activity.netAmount || 0).toFixed(2);
+    const currency = activity.currency ? ` ${activity.currency}` : '';
+    const symbol = activity.symbol || 'Unknown symbol';
+    return this.notify(personName, 'dividend', {
+      title: `Dividend received from ${symbol}`,
+      message: `${symbol} paid ${amount}${currency} into account ${activity.accountId} on ${paidAt.toISOString().split('T')[0]}.`,
+      data: {
+        accountId: activity.accountId,
+        symbol: activity.symbol,
+        amount: Math.abs(activity.netAmount || 0),
+        currency: activity.currency,
+        transactionDate: activity.transactionDate
+      }
+    });
+  }
+
+  async notifyTokenExpiry(personName, expiry) {
+    return this.notify(personName, 'token_expiry', {
+      title: `Questrade token needs attention for ${personName}`,
+      message: expiry.message,
+      data: expiry,
+      dedupeKey: `token_expiry:${expiry.status}`,
+      dedupeHours: config.NOTIFICATIONS.TOKEN_EXPIRY_DEDUPE_HOURS
+    });
+  }
+
+  async notifyAlert(event) {
+    return this.notify(event.personName, 'alert', {
+      title: `Alert: ${event.symbol || 'portfolio'}`,
+      message: event.message,
+      data: {
+        alertId: event.alertId,
+        eventId: event._id,
+        symbol: event.symbol,
+        value: event.value,
+        threshold: event.threshold
+      }
+    });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,41 @@
+// services/notifications/webhookChannel.js - JSON POST to an HTTP endpoint
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../dataSync/config');
+
+class WebhookChannel {
+  constructor(options = config.NOTIFICATIONS) {
+    this.name = 'webhook';
+    this.defaultUrl = options.WEBHOOK_URL;
+    this.secret = options.WEBHOOK_SECRET;
+    this.timeout = options.WEBHOOK_TIMEOUT;
+  }
+
+  getTarget(person) {
+    return person.preferences?.notifications?.webhookUrl || this.defaultUrl || null;
+  }
+
+  async send(notification, target) {
+    const body = JSON.stringify({
+      id: notification._id,
+      personName: notification.personName,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      createdAt: notification.createdAt
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Lets the receiver check the request came from us
+    if (this.secret) {
+      headers['X-Portfolio-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    // Any non-2xx response throws and is retried
+    const response = await axios.post(target, body, { headers, timeout: this.timeout });
+    return { status: response.status };
+  }
+}
+
+module.exports = WebhookChannel;
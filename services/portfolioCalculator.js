@@ -1,6 +1,31 @@
 // services/portfolioCalculator.js
 const logger = require('../utils/logger');
 const AccountAggregator = require('./accountAggregator');
+const benchmarkService = require('./benchmarkService');
+const riskAnalytics = require('./riskAnalytics');
+const config = require('./dataSync/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Periods returned together in periodReturns; ALL is since inception
+const RETURN_PERIODS = ['1M', '3M', 'YTD', '1Y', '3Y', 'ALL'];
+
+// Snapshots are taken after the close, so values and cash flows are matched by Toronto trading day
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+function dayNumber(day) {
+  return Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+}
+
+function toPercent(value) {
+  return value == null ? null : value * 100;
+}
+
+// Benchmark history starts a week early so there is a close on or before the first portfolio day
+function benchmarkHistoryStart(day) {
+  return new Date((dayNumber(day) - 7) * DAY_MS).toISOString().slice(0, 10);
+}
 
 class PortfolioCalculatorService {
   constructor(dbManager, queueManager) {
@@ -456,7 +481,8 @@ class PortfolioCalculatorService {
   }
 
   /**
-   * Get performance metrics
+   * Get performance metrics. summary compares snapshot values only; returns and
+   * periodReturns hold the time- and money-weighted returns net of cash flows.
    */
   async getPerformanceMetrics(options = {}) {
     try {
@@ -471,6 +497,13 @@ class PortfolioCalculatorService {
       const endDate = new Date();
       const startDate = this.getStartDateForPeriod(period);
 
+      const periodReturns = await this.getReturns({
+        accountId,
+        personName,
+        periods: [...new Set([...RETURN_PERIODS, period])]
+      });
+      const risk = await this.getRiskMetrics({ accountId, personName, period, includeBeta: false });
+
       // Build filter
       const filter = {
         startDate: startDate.toISOString(),
@@ -492,22 +525,33 @@ class PortfolioCalculatorService {
             totalReturn: 0,
             totalReturnPercent: 0,
             averageDailyReturn: 0,
-            volatility: 0,
-            sharpeRatio: 0
-          }
+            volatility: risk.volatility,
+            sharpeRatio: risk.sharpeRatio
+          },
+          returns: periodReturns[period],
+          periodReturns,
+          risk
         };
       }
 
       // Group and calculate metrics
       const metrics = this.groupPerformanceData(snapshots, groupBy);
-      const summary = this.calculatePerformanceSummary(snapshots);
+      // Volatility and Sharpe come from returns net of cash flows
+      const summary = {
+        ...this.calculatePerformanceSummary(snapshots),
+        volatility: risk.volatility,
+        sharpeRatio: risk.sharpeRatio
+      };
 
       return {
         period,
         startDate: startDate.toISOString(),
         endDate: endDate.toISOString(),
         metrics,
-        summary
+        summary,
+        returns: periodReturns[period],
+        periodReturns,
+        risk
       };
     } catch (error) {
       logger.error('Error getting performance metrics:', error);
@@ -698,6 +742,7 @@ class PortfolioCalculatorService {
       case '3M': date.setMonth(date.getMonth() - 3); break;
       case '6M': date.setMonth(date.getMonth() - 6); break;
       case '1Y': date.setFullYear(date.getFullYear() - 1); break;
+      case '3Y': date.setFullYear(date.getFullYear() - 3); break;
       case 'YTD': 
         date.setMonth(0); 
         date.setDate(1); 
@@ -762,9 +807,7 @@ class PortfolioCalculatorService {
       return {
         totalReturn: 0,
         totalReturnPercent: 0,
-        averageDailyReturn: 0,
-        volatility: 0,
-        sharpeRatio: 0
+        averageDailyReturn: 0
       };
     }
 
@@ -780,7 +823,6 @@ class PortfolioCalculatorService {
       ? (totalReturn / first.totalValue) * 100 
       : 0;
 
-    // Calculate daily returns for volatility
     const dailyReturns = [];
     for (let i = 1; i < sorted.length; i++) {
       const prevValue = sorted[i - 1].totalValue;
@@ -794,28 +836,383 @@ class PortfolioCalculatorService {
       ? dailyReturns.reduce((a, b) => a + b, 0) / dailyReturns.length
       : 0;
 
-    // Calculate volatility (standard deviation)
-    const variance = dailyReturns.length > 0
-      ? dailyReturns.reduce((sum, r) => sum + Math.pow(r - averageDailyReturn, 2), 0) / dailyReturns.length
-      : 0;
-    const volatility = Math.sqrt(variance) * Math.sqrt(252) * 100; // Annualized
-
-    // Calculate Sharpe ratio (assuming risk-free rate of 2%)
-    const riskFreeRate = 0.02;
-    const annualizedReturn = averageDailyReturn * 252;
-    const sharpeRatio = volatility > 0 
-      ? (annualizedReturn - riskFreeRate) / (volatility / 100)
-      : 0;
-
     return {
       totalReturn,
       totalReturnPercent,
-      averageDailyReturn: averageDailyReturn * 100,
-      volatility,
-      sharpeRatio
+      averageDailyReturn: averageDailyReturn * 100
+    };
+  }
+
+  /**
+   * Time-weighted and money-weighted returns for each period, for an account, a person,
+   * or every person when neither is given. Deposits, withdrawals and transfers are the
+   * external cash flows.
+   */
+  async getReturns(options = {}) {
+    const { accountId, personName, periods = RETURN_PERIODS } = options;
+
+    const series = await this.loadValuationSeries({ accountId, personName });
+
+    const endDate = new Date();
+    const returns = {};
+    for (const period of periods) {
+      returns[period] = {
+        period,
+        ...this.calculateReturns(series, this.getStartDateForPeriod(period), endDate)
+      };
+    }
+    return returns;
+  }
+
+  /**
+   * Cumulative time-weighted return of an account, a person or the household next to each
+   * benchmark's over the period. Benchmarks are the person's (or spec strings passed in,
+   * see benchmarkService.parse). Each portfolio day is matched with the benchmark's last
+   * close on or before it; differences are in percentage points.
+   */
+  async getBenchmarkComparison(options = {}) {
+    const { accountId, personName, period = '1Y', benchmark } = options;
+
+    const benchmarks = benchmark
+      ? benchmarkService.parseList(benchmark)
+      : await benchmarkService.getBenchmarksFor({ accountId, personName });
+
+    const series = await this.loadValuationSeries({ accountId, personName });
+    const { base, points, flows } = this.selectPeriod(series, this.getStartDateForPeriod(period), new Date());
+
+    if (points.length < 2) {
+      return {
+        period,
+        startDate: base ? base.day : null,
+        endDate: base ? base.day : null,
+        insufficientData: true,
+        portfolio: { timeWeightedReturn: null, series: [] },
+        benchmarks: benchmarks.map(b => ({ name: b.name, components: b.components, series: [] }))
+      };
+    }
+
+    const last = points[points.length - 1];
+    const days = dayNumber(last.day) - dayNumber(base.day);
+    const portfolio = this.chainLinkReturns(points, flows).map(p => ({ date: p.day, return: toPercent(p.growth - 1) }));
+    const portfolioReturn = portfolio[portfolio.length - 1].return;
+
+    const comparisons = [];
+    for (const { name, components } of benchmarks) {
+      const levels = await benchmarkService.getIndexLevels(
+        { name, components }, benchmarkHistoryStart(base.day), last.day, personName);
+      comparisons.push({
+        name,
+        components,
+        ...this.compareToBenchmark(portfolio, levels)
+      });
+    }
+
+    return {
+      period,
+      startDate: base.day,
+      endDate: last.day,
+      days,
+      portfolio: {
+        timeWeightedReturn: portfolioReturn,
+        series: portfolio
+      },
+      benchmarks: comparisons
+    };
+  }
+
+  /**
+   * Both cumulative returns from the first portfolio day the benchmark has a level for,
+   * which is later than the portfolio's start only when the benchmark's history begins later.
+   */
+  compareToBenchmark(portfolio, levels) {
+    let index = -1;
+    const aligned = portfolio.map(point => {
+      while (index + 1 < levels.length && levels[index + 1].day <= point.date) index++;
+      return index >= 0 ? levels[index].level : null;
+    });
+
+    const first = aligned.findIndex(level => level != null);
+    if (first === -1) {
+      return { startDate: null, return: null, excessReturn: null, annualizedExcessReturn: null, series: [] };
+    }
+
+    const baseGrowth = 1 + portfolio[first].return / 100;
+    const series = portfolio.slice(first).map((point, i) => {
+      const portfolioReturn = toPercent((1 + point.return / 100) / baseGrowth - 1);
+      const benchmarkReturn = toPercent(aligned[first + i] / aligned[first] - 1);
+      return {
+        date: point.date,
+        portfolio: portfolioReturn,
+        benchmark: benchmarkReturn,
+        trackingDifference: portfolioReturn - benchmarkReturn
+      };
+    });
+
+    const start = series[0];
+    const end = series[series.length - 1];
+    const days = dayNumber(end.date) - dayNumber(start.date);
+    const annualize = value => Math.pow(1 + value / 100, 365 / days) - 1;
+    return {
+      startDate: start.date,
+      return: end.benchmark,
+      excessReturn: end.trackingDifference,
+      annualizedExcessReturn: days >= 365
+        ? toPercent(annualize(end.portfolio) - annualize(end.benchmark))
+        : null,
+      series
+    };
+  }
+
+  /**
+   * Annualized volatility, maximum drawdown, Sharpe and Sortino ratios over the period, from
+   * daily returns net of cash flows, and beta against the person's first benchmark (or the
+   * benchmark spec passed in). riskFreeRate is annual, in percent.
+   */
+  async getRiskMetrics(options = {}) {
+    const {
+      accountId,
+      personName,
+      period = '1Y',
+      riskFreeRate = config.RISK.RISK_FREE_RATE,
+      benchmark,
+      includeBeta = true
+    } = options;
+
+    const series = await this.loadValuationSeries({ accountId, personName });
+    const { points, flows } = this.selectPeriod(series, this.getStartDateForPeriod(period), new Date());
+    const growth = points.length > 0 ? this.chainLinkReturns(points, flows) : [];
+
+    let benchmarkUsed = null;
+    let benchmarkLevels;
+    if (includeBeta && growth.length > 1) {
+      const [first] = benchmark
+        ? benchmarkService.parseList(benchmark)
+        : await benchmarkService.getBenchmarksFor({ accountId, personName });
+      if (first) {
+        benchmarkUsed = { name: first.name, components: first.components };
+        benchmarkLevels = await benchmarkService.getIndexLevels(
+          benchmarkUsed, benchmarkHistoryStart(growth[0].day), growth[growth.length - 1].day, personName);
+      }
+    }
+
+    return {
+      period,
+      ...riskAnalytics.calculate(growth, { riskFreeRate, benchmarkLevels }),
+      benchmark: benchmarkUsed
+    };
+  }
+
+  // Valuations and cash flows of an account, a person or the household as one series
+  async loadValuationSeries({ accountId, personName } = {}) {
+    const filter = {};
+    if (accountId) filter.accountId = accountId;
+    if (personName) filter.personName = personName;
+
+    const valuations = await this.dbManager.getValuations(filter);
+    const cashFlows = await this.dbManager.getCashFlows(filter);
+    return this.buildValuationSeries(valuations, cashFlows);
+  }
+
+  /**
+   * One value per trading day, summed over the accounts or persons in the valuations and
+   * carrying each one's last value forward. One that first appears after the series starts
+   * is counted as money coming in, so it does not show up as a gain, and its cash flows
+   * up to that day are already part of that first value.
+   */
+  buildValuationSeries(valuations, cashFlows) {
+    const byAccount = valuations.some(v => v.accountId);
+    const memberOf = item => (byAccount ? item.accountId : item.personName);
+
+    const byDay = new Map();
+    const firstDays = new Map();
+    for (const valuation of valuations) {
+      const day = tradingDay(valuation.date);
+      const member = memberOf(valuation);
+      if (!byDay.has(day)) byDay.set(day, new Map());
+      if (!firstDays.has(member)) firstDays.set(member, day);
+      // Valuations are oldest first, so the day's last snapshot wins
+      byDay.get(day).set(member, valuation.value);
+    }
+
+    const latest = new Map();
+    const points = [];
+    const flows = new Map();
+    const addFlow = (day, amount) => flows.set(day, (flows.get(day) || 0) + amount);
+
+    for (const day of Array.from(byDay.keys()).sort()) {
+      for (const [member, value] of byDay.get(day)) {
+        if (!latest.has(member) && points.length > 0) {
+          addFlow(day, value);
+        }
+        latest.set(member, value);
+      }
+      points.push({ day, value: Array.from(latest.values()).reduce((sum, value) => sum + value, 0) });
+    }
+
+    for (const flow of cashFlows) {
+      const day = tradingDay(flow.date);
+      const firstDay = firstDays.get(memberOf(flow));
+      if (firstDay && day > firstDay) {
+        addFlow(day, flow.amount);
+      }
+    }
+
+    return {
+      points,
+      flows: Array.from(flows.entries())
+        .map(([day, amount]) => ({ day, amount }))
+        .sort((a, b) => a.day.localeCompare(b.day))
+    };
+  }
+
+  /**
+   * Returns between the last value on or before startDate (or the first one after it) and the
+   * last value up to endDate. Cash flows on a day are taken to arrive before that day's snapshot.
+   *
+   * Time-weighted: each interval between values is a Modified Dietz return, chain-linked.
+   * With daily snapshots that is V1 / (V0 + flows) - 1 per day.
+   * Money-weighted: the XIRR of the starting value, the cash flows and the ending value.
+   * Annualized figures are only given for periods of a year or more.
+   */
+  calculateReturns(series, startDate, endDate) {
+    const { base, points, flows } = this.selectPeriod(series, startDate, endDate);
+
+    if (points.length < 2) {
+      return {
+        startDate: base ? base.day : null,
+        endDate: base ? base.day : null,
+        insufficientData: true,
+        timeWeightedReturn: null,
+        timeWeightedAnnualized: null,
+        moneyWeightedReturn: null,
+        moneyWeightedAnnualized: null
+      };
+    }
+
+    const last = points[points.length - 1];
+    const { growth } = this.chainLinkReturns(points, flows).pop();
+
+    const days = dayNumber(last.day) - dayNumber(base.day);
+    const netCashFlow = flows.reduce((sum, f) => sum + f.amount, 0);
+    // From the investor's side: money put in is negative, money taken out (and the end value) positive
+    const xirr = this.calculateXirr([
+      { days: 0, amount: -base.value },
+      ...flows.map(f => ({ days: dayNumber(f.day) - dayNumber(base.day), amount: -f.amount })),
+      { days, amount: last.value }
+    ]);
+
+    const timeWeighted = growth - 1;
+    const moneyWeighted = xirr == null ? null : Math.pow(1 + xirr, days / 365) - 1;
+
+    return {
+      startDate: base.day,
+      endDate: last.day,
+      days,
+      startValue: base.value,
+      endValue: last.value,
+      netCashFlow,
+      gain: last.value - base.value - netCashFlow,
+      timeWeightedReturn: toPercent(timeWeighted),
+      timeWeightedAnnualized: days >= 365 ? toPercent(Math.pow(growth, 365 / days) - 1) : null,
+      moneyWeightedReturn: toPercent(moneyWeighted),
+      moneyWeightedAnnualized: days >= 365 ? toPercent(xirr) : null,
+      valuations: points.length,
+      cashFlows: flows.length
     };
   }
 
+  // The base value (last on or before startDate, else first after it), the values up to endDate and the flows between
+  selectPeriod(series, startDate, endDate) {
+    const startDay = tradingDay(startDate);
+    const endDay = tradingDay(endDate);
+    const inRange = series.points.filter(p => p.day <= endDay);
+    const base = [...inRange].reverse().find(p => p.day <= startDay) || inRange.find(p => p.day > startDay);
+    const points = base ? inRange.filter(p => p.day >= base.day) : [];
+    const lastDay = points.length > 0 ? points[points.length - 1].day : null;
+
+    return {
+      base,
+      points,
+      flows: base ? series.flows.filter(f => f.day > base.day && f.day <= lastDay) : []
+    };
+  }
+
+  // Cumulative time-weighted growth at each value: Modified Dietz per interval, chain-linked
+  chainLinkReturns(points, flows) {
+    let growth = 1;
+    const linked = [{ day: points[0].day, growth }];
+
+    for (let i = 1; i < points.length; i++) {
+      const start = points[i - 1];
+      const end = points[i];
+      const interval = dayNumber(end.day) - dayNumber(start.day);
+      const intervalFlows = flows.filter(f => f.day > start.day && f.day <= end.day);
+
+      const netFlow = intervalFlows.reduce((sum, f) => sum + f.amount, 0);
+      const weightedFlow = intervalFlows.reduce((sum, f) =>
+        sum + f.amount * (dayNumber(end.day) - dayNumber(f.day) + 1) / interval, 0);
+
+      const invested = start.value + weightedFlow;
+      if (invested > 0) {
+        growth *= 1 + (end.value - start.value - netFlow) / invested;
+      }
+      linked.push({ day: end.day, growth });
+    }
+
+    return linked;
+  }
+
+  /**
+   * Annual rate that brings the cash flows' present value to zero. cashFlows are
+   * { days, amount } with days counted from the first flow. Null when there is no solution.
+   */
+  calculateXirr(cashFlows) {
+    const flows = cashFlows.filter(f => f.amount !== 0);
+    if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) {
+      return null;
+    }
+
+    const npv = rate => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.days / 365), 0);
+    const derivative = rate => flows.reduce((sum, f) =>
+      sum - (f.days / 365) * f.amount / Math.pow(1 + rate, f.days / 365 + 1), 0);
+
+    // Newton's method first, bisection when it does not converge
+    let rate = 0.1;
+    for (let i = 0; i < 100; i++) {
+      const value = npv(rate);
+      const slope = derivative(rate);
+      if (Math.abs(value) < 1e-7) {
+        return rate;
+      }
+      if (!slope) {
+        break;
+      }
+      const next = rate - value / slope;
+      if (!isFinite(next) || next <= -1) {
+        break;
+      }
+      if (Math.abs(next - rate) < 1e-10) {
+        return next;
+      }
+      rate = next;
+    }
+
+    let low = -0.9999;
+    let high = 100;
+    if (npv(low) * npv(high) > 0) {
+      return null;
+    }
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if (npv(low) * npv(mid) <= 0) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
   groupDividendData(dividends, groupBy) {
     const grouped = new Map();
     
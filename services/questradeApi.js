@@ -1,13 +1,114 @@
 // services/questradeApi.js - FIXED VERSION - Corrected Activities Parameter Order
 const axios = require('axios');
 const tokenManager = require('./tokenManager');
+const RequestScheduler = require('./requestScheduler');
+const { CircuitBreaker } = require('./circuitBreaker');
+const questradeMock = require('./questradeMock');
+const { RETRY_CONFIG } = require('./dataSync/config');
 const logger = require('../utils/logger');
 
+// Network error codes worth retrying
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
 class QuestradeAPI {
   constructor() {
-    this.authUrl = process.env.QUESTRADE_AUTH_URL || 'https://login.questrade.com';
     // Cache for storing person-specific API servers and tokens
     this.personCache = new Map();
+    // Per-person throttling based on Questrade's rate limit headers
+    this.scheduler = new RequestScheduler();
+    // One circuit breaker per API server
+    this.breakers = new Map();
+  }
+
+  getCircuitBreaker(apiServer) {
+    if (!this.breakers.has(apiServer)) {
+      this.breakers.set(apiServer, new CircuitBreaker(apiServer));
+    }
+    return this.breakers.get(apiServer);
+  }
+
+  // Breaker state for every API server used so far
+  getCircuitStatus() {
+    return Array.from(this.breakers.values()).map(breaker => breaker.getStatus());
+  }
+
+  // Fail fast when the person's API server circuit is open
+  async assertAvailable(personName) {
+    const { apiServer } = await this.getValidAccessToken(personName);
+    const breaker = this.breakers.get(apiServer);
+    if (breaker && breaker.isOpen()) {
+      breaker.assertCanRequest();
+    }
+  }
+
+  // Timeouts, dropped connections and 5xx responses are temporary; 4xx are not
+  isRetryableError(error) {
+    if (error.response) {
+      return error.response.status >= 500;
+    }
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  // Exponential backoff with jitter, capped at RETRY_CONFIG.MAX_DELAY
+  getRetryDelay(attempt) {
+    const base = Math.min(
+      RETRY_CONFIG.INITIAL_DELAY * Math.pow(RETRY_CONFIG.BACKOFF_MULTIPLIER, attempt),
+      RETRY_CONFIG.MAX_DELAY
+    );
+    // Keep half the delay and randomise the rest so retries from many syncs spread out
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+
+  // Send a request through the person's scheduler and the server's circuit breaker,
+  // retrying temporary failures
+  async sendWithRetry(personName, endpoint, config, apiServer) {
+    const breaker = this.getCircuitBreaker(apiServer);
+    const category = this.getRateLimitCategory(endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      breaker.assertCanRequest();
+
+      try {
+        const response = await this.scheduler.schedule(personName, category, () => axios(config));
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (!this.isRetryableError(error)) {
+          // The server answered, so it is up even if the request was rejected
+          if (error.response) {
+            breaker.recordSuccess();
+          } else {
+            breaker.recordFailure(error);
+          }
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+
+        if (attempt >= RETRY_CONFIG.MAX_RETRIES || breaker.isOpen()) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt);
+        logger.warn(`Request to ${endpoint} for ${personName} failed (${error.code || error.response.status}), retry ${attempt + 1}/${RETRY_CONFIG.MAX_RETRIES} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Follows tokenManager, which switches to the mock server in mock mode
+  get authUrl() {
+    return tokenManager.authUrl;
+  }
+
+  // Questrade budgets account calls and market data calls separately
+  getRateLimitCategory(endpoint) {
+    return /^\/(markets|symbols)/.test(endpoint) ? 'market' : 'account';
+  }
+
+  // Current rate limit budget and queue for a person
+  getRateLimitStatus(personName) {
+    return this.scheduler.getStatus(personName);
   }
 
   // Legacy refresh access token (uses first person or specified person)
@@ -48,6 +149,7 @@ class QuestradeAPI {
       if (!apiServer || !accessToken) {
         throw new Error(`Unable to get valid API credentials for ${personName}`);
       }
+      questradeMock.assertUrlAllowed(apiServer);
       
       const config = {
         method,
@@ -64,7 +166,7 @@ class QuestradeAPI {
       }
 
       logger.debug(`Making ${method} request to ${endpoint} for ${personName}`);
-      const response = await axios(config);
+      const response = await this.sendWithRetry(personName, endpoint, config, apiServer);
       
       return response.data;
     } catch (error) {
@@ -82,6 +184,16 @@ class QuestradeAPI {
           return this.makeRequest(endpoint, personName, method, data, retryCount + 1);
         }
         
+        // Still rate limited after the scheduler's retries, the token itself is fine
+        if (error.response.status === 429) {
+          throw new Error(`Questrade API rate limit exceeded for ${personName}. Please try again later.`);
+        }
+
+        // Server errors that outlasted the retries are not the token's fault either
+        if (error.response.status >= 500) {
+          throw new Error(`Questrade API error (${error.response.status}): ${error.response.data?.message || error.response.statusText}`);
+        }
+
         // Record error in token manager
         await tokenManager.recordTokenError(personName, error.response.data?.message || error.response.statusText);
         
@@ -162,9 +274,29 @@ class QuestradeAPI {
     }
   }
 
-  async getAccountOrders(accountId, personName, stateFilter = null) {
-    const params = stateFilter ? `?stateFilter=${stateFilter}` : '';
-    return this.makeRequest(`/accounts/${accountId}/orders${params}`, personName);
+  // stateFilter is All, Open or Closed; without startTime Questrade only returns today's orders
+  async getAccountOrders(accountId, personName, stateFilter = null, startTime = null, endTime = null) {
+    const params = new URLSearchParams();
+    if (startTime) params.append('startTime', startTime);
+    if (endTime) params.append('endTime', endTime);
+    if (stateFilter) params.append('stateFilter', stateFilter);
+
+    const queryString = params.toString();
+    return this.makeRequest(`/accounts/${accountId}/orders${queryString ? '?' + queryString : ''}`, personName);
+  }
+
+  async getAccountOrder(accountId, orderId, personName) {
+    return this.makeRequest(`/accounts/${accountId}/orders/${orderId}`, personName);
+  }
+
+  // Individual fills with venue and fee detail, at most 31 days per request
+  async getAccountExecutions(accountId, personName, startTime = null, endTime = null) {
+    const params = new URLSearchParams();
+    if (startTime) params.append('startTime', startTime);
+    if (endTime) params.append('endTime', endTime);
+
+    const queryString = params.toString();
+    return this.makeRequest(`/accounts/${accountId}/executions${queryString ? '?' + queryString : ''}`, personName);
   }
 
   // Market data endpoints with person context
@@ -0,0 +1,435 @@
+// services/questradeMock/index.js - Local stand-in for the Questrade login and API servers
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../dataSync/config');
+const { buildState, listScenarios } = require('./scenarios');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ACTIVITY_RANGE_MS = 31 * DAY_MS; // activities and executions
+const MAX_CANDLES = 2000;
+const ACCESS_TOKEN_LIFETIME = 1800; // seconds, same as Questrade
+
+const CANDLE_INTERVALS = {
+  OneMinute: 60 * 1000,
+  FiveMinutes: 5 * 60 * 1000,
+  FifteenMinutes: 15 * 60 * 1000,
+  HalfHour: 30 * 60 * 1000,
+  OneHour: 60 * 60 * 1000,
+  FourHours: 4 * 60 * 60 * 1000,
+  OneDay: DAY_MS,
+  OneWeek: 7 * DAY_MS,
+  OneMonth: 30 * DAY_MS,
+  OneYear: 365 * DAY_MS
+};
+
+// Questrade answers errors as { code, message }
+function apiError(res, status, message, code) {
+  return res.status(status).json(code ? { code, message } : { message });
+}
+
+function parseIds(value) {
+  return String(value || '').split(',').map(id => parseInt(id, 10)).filter(Number.isFinite);
+}
+
+class QuestradeMockServer {
+  constructor() {
+    this.server = null;
+    this.port = config.QUESTRADE_MOCK.PORT;
+    this.accessTokens = new Map();
+    this.authorizationCodes = new Set();
+    this.usage = {};
+    this.state = buildState('default');
+  }
+
+  // MOCK_API_CALLS comes from the environment section of the sync config
+  isEnabled() {
+    return config.MOCK_API_CALLS === true;
+  }
+
+  isRunning() {
+    return this.server !== null;
+  }
+
+  getUrl() {
+    return config.QUESTRADE_MOCK.URL || `http://localhost:${this.port}`;
+  }
+
+  // With DISABLE_EXTERNAL_CALLS only the mock server may be called
+  assertUrlAllowed(url) {
+    if (config.DISABLE_EXTERNAL_CALLS && !(this.isEnabled() && String(url).startsWith(this.getUrl()))) {
+      throw new Error(`External Questrade calls are disabled (DISABLE_EXTERNAL_CALLS), refusing ${url}`);
+    }
+  }
+
+  // Reset fixtures, issued tokens and rate limit usage
+  loadScenario(name) {
+    this.state = buildState(name);
+    this.accessTokens.clear();
+    this.authorizationCodes.clear();
+    this.usage = {};
+    logger.info(`Questrade mock using scenario "${name}"`);
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      url: this.getUrl(),
+      scenario: this.state.scenario,
+      scenarios: listScenarios(),
+      behaviour: this.state.behaviour,
+      issuedAccessTokens: this.accessTokens.size,
+      usage: this.usage
+    };
+  }
+
+  issueTokens() {
+    const accessToken = `mock-access-${crypto.randomBytes(16).toString('hex')}`;
+    this.accessTokens.set(accessToken, Date.now() + ACCESS_TOKEN_LIFETIME * 1000);
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_LIFETIME,
+      refresh_token: `mock-refresh-${crypto.randomBytes(16).toString('hex')}`,
+      api_server: `${this.getUrl()}/`
+    };
+  }
+
+  // Count a request against its category and set the headers Questrade sends
+  consumeRateLimit(category, res) {
+    const { windowMs, [category]: limit } = this.state.behaviour.rateLimit;
+    const now = Date.now();
+
+    let usage = this.usage[category];
+    if (!usage || now - usage.windowStart >= windowMs) {
+      usage = this.usage[category] = { windowStart: now, count: 0 };
+    }
+    usage.count++;
+
+    const remaining = limit - usage.count;
+    res.set('X-RateLimit-Remaining', String(Math.max(0, remaining)));
+    res.set('X-RateLimit-Reset', String(Math.ceil((usage.windowStart + windowMs) / 1000)));
+    return remaining >= 0;
+  }
+
+  getQuote(symbolId) {
+    const quote = this.state.fixtures.quotes.find(q => q.symbolId === symbolId);
+    return quote ? { ...quote, lastTradeTime: new Date().toISOString() } : null;
+  }
+
+  // Smooth, repeatable price path that ends at the fixture's last trade price
+  getPriceAt(quote, time, now) {
+    const wave = t => {
+      const days = (t - now) / DAY_MS;
+      return 1 + 0.06 * Math.sin(days / 45 + (quote.symbolId % 7)) + 0.02 * Math.sin(days / 6 + (quote.symbolId % 3));
+    };
+    return quote.lastTradePrice * wave(time) / wave(now);
+  }
+
+  buildCandles(quote, start, end, intervalMs, skipWeekends) {
+    const now = Date.now();
+    const round = value => Math.round(value * 100) / 100;
+    const candles = [];
+
+    for (let t = start; t < end && candles.length < MAX_CANDLES; t += intervalMs) {
+      const day = new Date(t).getUTCDay();
+      if (skipWeekends && (day === 0 || day === 6)) {
+        continue;
+      }
+
+      const open = this.getPriceAt(quote, t, now);
+      const close = this.getPriceAt(quote, Math.min(t + intervalMs, now), now);
+      candles.push({
+        start: new Date(t).toISOString(),
+        end: new Date(t + intervalMs).toISOString(),
+        low: round(Math.min(open, close) * 0.995),
+        high: round(Math.max(open, close) * 1.005),
+        open: round(open),
+        close: round(close),
+        volume: Math.round(quote.volume * Math.min(1, intervalMs / DAY_MS))
+      });
+    }
+
+    return candles;
+  }
+
+  createLoginRoutes() {
+    const router = express.Router();
+
+    // Questrade sends the user back to redirect_uri with a one-time code
+    router.get('/oauth2/authorize', (req, res) => {
+      const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, state } = req.query;
+      if (!clientId || !redirectUri || responseType !== 'code') {
+        return res.status(400).send('Bad Request');
+      }
+
+      const code = `mock-code-${crypto.randomBytes(8).toString('hex')}`;
+      this.authorizationCodes.add(code);
+
+      const redirect = new URL(redirectUri);
+      redirect.searchParams.set('code', code);
+      if (state) {
+        redirect.searchParams.set('state', state);
+      }
+      res.redirect(redirect.toString());
+    });
+
+    // tokenManager posts a form body; token validation uses the query string
+    router.all('/oauth2/token', (req, res) => {
+      const params = { ...req.query, ...req.body };
+
+      if (params.grant_type === 'refresh_token') {
+        if (!params.refresh_token || this.state.behaviour.rejectRefreshTokens) {
+          return res.status(400).send('Bad Request');
+        }
+        return res.json(this.issueTokens());
+      }
+
+      if (params.grant_type === 'authorization_code') {
+        if (!this.authorizationCodes.delete(params.code)) {
+          return res.status(400).send('Bad Request');
+        }
+        return res.json(this.issueTokens());
+      }
+
+      res.status(400).send('Bad Request');
+    });
+
+    return router;
+  }
+
+  createApiRoutes() {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+      if (this.state.behaviour.apiStatus) {
+        return apiError(res, this.state.behaviour.apiStatus, 'Service unavailable');
+      }
+
+      const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      const expiresAt = this.accessTokens.get(token);
+      if (!expiresAt || expiresAt < Date.now()) {
+        return apiError(res, 401, 'Access token is invalid', 1017);
+      }
+
+      const category = /^\/(markets|symbols)/.test(req.path) ? 'market' : 'account';
+      if (!this.consumeRateLimit(category, res)) {
+        return apiError(res, 429, 'Rate limit exceeded', 1006);
+      }
+
+      next();
+    });
+
+    router.param('accountId', (req, res, next, accountId) => {
+      if (!this.state.fixtures.accounts.some(account => account.number === accountId)) {
+        return apiError(res, 400, 'Invalid or malformed argument: id', 1002);
+      }
+      next();
+    });
+
+    router.get('/time', (req, res) => {
+      res.json({ time: new Date().toISOString() });
+    });
+
+    router.get('/accounts', (req, res) => {
+      res.json({ accounts: this.state.fixtures.accounts, userId: this.state.fixtures.userId });
+    });
+
+    router.get('/accounts/:accountId/positions', (req, res) => {
+      res.json({ positions: this.state.fixtures.positions[req.params.accountId] || [] });
+    });
+
+    router.get('/accounts/:accountId/balances', (req, res) => {
+      const balances = this.state.fixtures.balances[req.params.accountId] || { perCurrencyBalances: [], combinedBalances: [] };
+      res.json({
+        ...balances,
+        sodPerCurrencyBalances: balances.perCurrencyBalances,
+        sodCombinedBalances: balances.combinedBalances
+      });
+    });
+
+    // Questrade requires both times and serves at most 31 days per call
+    router.get('/accounts/:accountId/activities', (req, res) => {
+      const start = new Date(req.query.startTime);
+      const end = new Date(req.query.endTime);
+      if (isNaN(start) || isNaN(end)) {
+        return apiError(res, 400, 'Invalid or malformed argument: startTime/endTime', 1002);
+      }
+      if (end - start > MAX_ACTIVITY_RANGE_MS) {
+        return apiError(res, 400, 'Argument length exceeds imposed limit', 1003);
+      }
+
+      const activities = (this.state.fixtures.activities[req.params.accountId] || []).filter(activity => {
+        const date = new Date(activity.transactionDate);
+        return date >= start && date <= end;
+      });
+      res.json({ activities });
+    });
+
+    // Without startTime Questrade only returns orders created today
+    router.get('/accounts/:accountId/orders', (req, res) => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const start = req.query.startTime ? new Date(req.query.startTime) : today;
+      const end = req.query.endTime ? new Date(req.query.endTime) : new Date();
+      if (isNaN(start) || isNaN(end)) {
+        return apiError(res, 400, 'Invalid or malformed argument: startTime/endTime', 1002);
+      }
+
+      const stateFilter = req.query.stateFilter || 'All';
+      const orders = (this.state.fixtures.orders[req.params.accountId] || []).filter(order => {
+        const created = new Date(order.creationTime);
+        const isOpen = order.openQuantity > 0;
+        return created >= start && created <= end &&
+          (stateFilter === 'All' || (stateFilter === 'Open') === isOpen);
+      });
+      res.json({ orders });
+    });
+
+    router.get('/accounts/:accountId/orders/:orderId', (req, res) => {
+      const orderId = parseInt(req.params.orderId, 10);
+      const orders = (this.state.fixtures.orders[req.params.accountId] || []).filter(order => order.id === orderId);
+      res.json({ orders });
+    });
+
+    router.get('/accounts/:accountId/executions', (req, res) => {
+      const start = new Date(req.query.startTime);
+      const end = req.query.endTime ? new Date(req.query.endTime) : new Date();
+      if (isNaN(start) || isNaN(end)) {
+        return apiError(res, 400, 'Invalid or malformed argument: startTime/endTime', 1002);
+      }
+      if (end - start > MAX_ACTIVITY_RANGE_MS) {
+        return apiError(res, 400, 'Argument length exceeds imposed limit', 1003);
+      }
+
+      const executions = (this.state.fixtures.executions[req.params.accountId] || []).filter(execution => {
+        const time = new Date(execution.timestamp);
+        return time >= start && time <= end;
+      });
+      res.json({ executions });
+    });
+
+    router.get('/symbols/search', (req, res) => {
+      const prefix = String(req.query.prefix || '').toUpperCase();
+      const symbols = this.state.fixtures.symbols
+        .filter(symbol => prefix && symbol.symbol.startsWith(prefix))
+        .map(({ symbol, symbolId, description, securityType, listingExchange, isTradable, isQuotable, currency }) => ({
+          symbol, symbolId, description, securityType, listingExchange, isTradable, isQuotable, currency
+        }));
+      res.json({ symbols });
+    });
+
+    router.get('/symbols', (req, res) => {
+      const ids = parseIds(req.query.ids);
+      const names = String(req.query.names || '').split(',').filter(Boolean).map(name => name.toUpperCase());
+      if (ids.length === 0 && names.length === 0) {
+        return apiError(res, 400, 'Invalid or malformed argument: ids', 1002);
+      }
+
+      const symbols = this.state.fixtures.symbols.filter(symbol =>
+        ids.includes(symbol.symbolId) || names.includes(symbol.symbol)
+      );
+      res.json({ symbols });
+    });
+
+    router.get('/symbols/:symbolId', (req, res) => {
+      const symbolId = parseInt(req.params.symbolId, 10);
+      res.json({ symbols: this.state.fixtures.symbols.filter(symbol => symbol.symbolId === symbolId) });
+    });
+
+    router.get('/markets', (req, res) => {
+      res.json({ markets: this.state.fixtures.markets });
+    });
+
+    router.get(['/markets/quotes', '/markets/quotes/:symbolId'], (req, res) => {
+      const ids = req.params.symbolId ? parseIds(req.params.symbolId) : parseIds(req.query.ids);
+      if (ids.length === 0) {
+        return apiError(res, 400, 'Invalid or malformed argument: ids', 1002);
+      }
+      res.json({ quotes: ids.map(id => this.getQuote(id)).filter(Boolean) });
+    });
+
+    router.get('/markets/candles/:symbolId', (req, res) => {
+      const quote = this.getQuote(parseInt(req.params.symbolId, 10));
+      const start = new Date(req.query.startTime);
+      const end = new Date(req.query.endTime);
+      const intervalMs = CANDLE_INTERVALS[req.query.interval];
+
+      if (!quote) {
+        return apiError(res, 400, 'Invalid or malformed argument: symbolId', 1002);
+      }
+      if (isNaN(start) || isNaN(end) || !intervalMs) {
+        return apiError(res, 400, 'Invalid or malformed argument: startTime/endTime/interval', 1002);
+      }
+
+      const skipWeekends = req.query.interval === 'OneDay';
+      res.json({ candles: this.buildCandles(quote, start.getTime(), end.getTime(), intervalMs, skipWeekends) });
+    });
+
+    router.use((req, res) => apiError(res, 404, `Unknown endpoint ${req.path}`));
+
+    return router;
+  }
+
+  createApp() {
+    const app = express();
+
+    // tokenManager joins api_server and "/v1" with an extra slash
+    app.use((req, res, next) => {
+      req.url = req.url.replace(/^\/{2,}/, '/');
+      next();
+    });
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    app.use(this.createLoginRoutes());
+    app.use('/v1', this.createApiRoutes());
+
+    // Control endpoints for switching scenarios while the server runs
+    app.get('/mock', (req, res) => res.json(this.getStatus()));
+    app.post('/mock/scenario', (req, res) => {
+      try {
+        res.json(this.loadScenario(req.body.name || 'default'));
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    return app;
+  }
+
+  async start(port = this.port, scenario = config.QUESTRADE_MOCK.SCENARIO) {
+    if (this.server) {
+      return this.getUrl();
+    }
+
+    this.port = port;
+    this.loadScenario(scenario);
+
+    await new Promise((resolve, reject) => {
+      const server = this.createApp().listen(port, () => {
+        this.server = server;
+        resolve();
+      });
+      server.on('error', reject);
+    });
+
+    logger.info(`Questrade mock server listening on ${this.getUrl()} (scenario "${this.state.scenario}")`);
+    return this.getUrl();
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(resolve));
+    logger.info('Questrade mock server stopped');
+  }
+}
+
+module.exports = new QuestradeMockServer();
@@ -0,0 +1,76 @@
+// services/questradeMock/scenarios.js - Named data sets and behaviours for the mock Questrade server
+const defaultFixtures = require('./fixtures/default.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Questrade allows 30 account and 20 market data requests per second, capped per hour
+const DEFAULT_BEHAVIOUR = {
+  rejectRefreshTokens: false,
+  apiStatus: null,
+  rateLimit: { windowMs: HOUR_MS, account: 30000, market: 15000 }
+};
+
+const scenarios = {
+  default: {
+    description: 'Two accounts (TFSA and RRSP) with positions, balances, trades, fills, dividends and orders',
+    apply: () => {}
+  },
+
+  empty: {
+    description: 'A new login with no accounts yet',
+    apply: (state) => {
+      state.fixtures.accounts = [];
+      state.fixtures.positions = {};
+      state.fixtures.balances = {};
+      state.fixtures.activities = {};
+      state.fixtures.orders = {};
+      state.fixtures.executions = {};
+    }
+  },
+
+  'invalid-token': {
+    description: 'oauth2/token rejects every refresh token, as after a password change',
+    apply: (state) => {
+      state.behaviour.rejectRefreshTokens = true;
+    }
+  },
+
+  'rate-limited': {
+    description: 'Tiny rate limit budgets so requests are throttled and answered with 429',
+    apply: (state) => {
+      state.behaviour.rateLimit = { windowMs: 10 * 1000, account: 5, market: 5 };
+    }
+  },
+
+  outage: {
+    description: 'Tokens refresh but every API call answers 503',
+    apply: (state) => {
+      state.behaviour.apiStatus = 503;
+    }
+  }
+};
+
+// Fresh state for a scenario; fixtures are copied so the JSON file is never mutated
+function buildState(name) {
+  const scenario = scenarios[name];
+  if (!scenario) {
+    throw new Error(`Unknown mock scenario "${name}". Use one of: ${Object.keys(scenarios).join(', ')}`);
+  }
+
+  const state = {
+    scenario: name,
+    fixtures: JSON.parse(JSON.stringify(defaultFixtures)),
+    behaviour: JSON.parse(JSON.stringify(DEFAULT_BEHAVIOUR))
+  };
+  scenario.apply(state);
+  return state;
+}
+
+function listScenarios() {
+  return Object.entries(scenarios).map(([name, scenario]) => ({
+    name,
+    description: scenario.description
+  }));
+}
+
+module.exports = { buildState, listScenarios };
@@ -0,0 +1,329 @@
+// services/queueManager.js - Mongo-backed background job queue and worker
+const os = require('os');
+const Job = require('../models/Job');
+const Account = require('../models/Account');
+const Person = require('../models/Person');
+const dataSync = require('./dataSync');
+const PositionSync = require('./dataSync/positionSync');
+const notifications = require('./notifications');
+const config = require('./dataSync/config');
+const logger = require('../utils/logger');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keep only the counts from a sync so job results stay small
+function summarizeSync(syncResults) {
+  const summary = {
+    personName: syncResults.personName,
+    duration: syncResults.duration
+  };
+
+  for (const [step, value] of Object.entries(syncResults)) {
+    if (value && Array.isArray(value.errors)) {
+      summary[step] = { synced: value.synced || 0, errors: value.errors.length };
+      if (value.linked !== undefined) {
+        summary[step].linked = value.linked;
+      }
+    }
+  }
+  summary.snapshotCreated = Boolean(syncResults.snapshots?.created);
+
+  return summary;
+}
+
+// The job's person, or every active person for jobs queued without one
+async function personsForJob(job) {
+  if (job.personName) {
+    return [job.personName];
+  }
+  const persons = await Person.find({ isActive: true }).select('personName');
+  return persons.map(person => person.personName);
+}
+
+// Handlers receive the job payload and the job itself, and return the job result.
+// Shared by every QueueManager so the routes and the server worker see the same set.
+const handlers = {
+  'portfolio.sync': async ({ fullSync = false }, job) => {
+    if (job.personName) {
+      return summarizeSync(await dataSync.syncPersonData(job.personName, { fullSync }));
+    }
+
+    const results = await dataSync.syncAllPersons({ fullSync });
+    const failed = results.filter(result => result.success === false);
+
+    // Retry only when nothing got through
+    if (results.length > 0 && failed.length === results.length) {
+      throw new Error(`Sync failed for every person: ${failed.map(f => `${f.personName}: ${f.error}`).join('; ')}`);
+    }
+
+    return {
+      persons: results.length,
+      failed: failed.length,
+      results: results.map(result => result.success === false ? result : summarizeSync(result))
+    };
+  },
+
+  'portfolio.refresh': async ({ force = false }, job) => {
+    const results = [];
+    for (const personName of await personsForJob(job)) {
+      results.push(summarizeSync(await dataSync.syncPersonData(personName, { forceRefresh: force })));
+    }
+    return { persons: results.length, results };
+  },
+
+  'snapshot.create': async (payload, job) => {
+    const result = { created: 0, failed: [] };
+    for (const personName of await personsForJob(job)) {
+      try {
+        await dataSync.createPortfolioSnapshot(personName);
+        result.created++;
+      } catch (error) {
+        result.failed.push({ personName, error: error.message });
+      }
+    }
+
+    if (result.created === 0 && result.failed.length > 0) {
+      throw new Error(`Snapshot failed for every person: ${result.failed.map(f => `${f.personName}: ${f.error}`).join('; ')}`);
+    }
+    return result;
+  },
+
+  'dividends.recalculate': async (payload, job) => {
+    const positionSync = new PositionSync();
+    const result = { updated: 0, errors: 0 };
+    for (const personName of await personsForJob(job)) {
+      const personResult = await positionSync.recalculateDividendsFromActivities(personName);
+      result.updated += personResult.updated;
+      result.errors += personResult.errors;
+    }
+    return result;
+  },
+
+  'notification.deliver': ({ notificationId, channel }, job) => notifications.deliver(notificationId, channel, job)
+};
+
+class QueueManager {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = options.pollInterval || config.QUEUE.POLL_INTERVAL;
+    this.isRunning = false;
+    this.timer = null;
+    this.currentJob = null;
+    this.currentRun = null;
+  }
+
+  registerHandler(type, handler) {
+    handlers[type] = handler;
+  }
+
+  /**
+   * Queue a job. options.personName scopes it to one person; otherwise the person
+   * is taken from payload.personName or looked up from payload.accountId (not accepted
+   * for portfolio.sync).
+   * options.actor is the { actor, actorId, source } that queued it.
+   */
+  async addJob(type, payload = {}, options = {}) {
+    if (!Job.TYPES.includes(type)) {
+      throw createError(400, `Unknown job type ${type}. Use one of: ${Job.TYPES.join(', ')}`);
+    }
+    // A sync covers every account of the person, so one account cannot be asked for
+    if (type === 'portfolio.sync' && payload.accountId) {
+      throw createError(400, 'portfolio.sync syncs every account of a person: send personName instead of accountId');
+    }
+
+    let personName = options.personName || payload.personName;
+    if (!personName && payload.accountId) {
+      const account = await Account.findOne({ accountId: payload.accountId });
+      if (!account) {
+        throw createError(404, `Account ${payload.accountId} not found`);
+      }
+      personName = account.personName;
+    }
+
+    const { actor, actorId, source } = options.actor || {};
+    const job = await Job.create({
+      type,
+      payload,
+      personName: personName || undefined,
+      maxAttempts: options.maxAttempts || config.QUEUE.MAX_ATTEMPTS,
+      runAt: options.runAt || new Date(),
+      actor,
+      actorId,
+      source
+    });
+
+    logger.info(`Queued job ${job._id} (${type}) for ${personName || 'all persons'}`);
+    return job;
+  }
+
+  // Start polling for jobs. Jobs run one at a time per worker.
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+    logger.info(`Job worker ${this.workerId} started`);
+    this.schedulePoll(0);
+  }
+
+  // Stop polling and wait for the job in hand to finish
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  schedulePoll(delay) {
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    this.timer = null;
+    let ranJob = false;
+
+    try {
+      await this.requeueStaleJobs();
+
+      const job = await this.claimNextJob();
+      if (job) {
+        ranJob = true;
+        this.currentJob = job;
+        this.currentRun = this.runJob(job);
+        await this.currentRun;
+      }
+    } catch (error) {
+      logger.error(`Job worker poll failed: ${error.message}`);
+    } finally {
+      this.currentJob = null;
+      this.currentRun = null;
+    }
+
+    // Go straight to the next job while there is work, otherwise wait
+    if (this.isRunning) {
+      this.schedulePoll(ranJob ? 0 : this.pollInterval);
+    }
+  }
+
+  // Atomically take the oldest due job so several workers never run the same one
+  async claimNextJob() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now } },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedAt: now, startedAt: now, updatedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    const handler = handlers[job.type];
+    logger.info(`Running job ${job._id} (${job.type}), attempt ${job.attempts} of ${job.maxAttempts}`);
+
+    // Keep the lock fresh so a long job is not taken for a lost one and run twice
+    const lockRefresh = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: this.workerId },
+        { lockedAt: new Date() }
+      ).catch(error => logger.warn(`Could not refresh the lock of job ${job._id}: ${error.message}`));
+    }, config.QUEUE.LOCK_REFRESH_INTERVAL);
+    lockRefresh.unref();
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      const result = await handler(job.payload || {}, job);
+      const now = new Date();
+
+      // Only if this worker still holds the job; otherwise it was requeued and belongs to another run
+      const { modifiedCount } = await Job.updateOne({ _id: job._id, status: 'running', lockedBy: this.workerId }, {
+        status: 'completed',
+        result,
+        error: null,
+        completedAt: now,
+        updatedAt: now,
+        lockedBy: null,
+        lockedAt: null,
+        expiresAt: new Date(now.getTime() + config.QUEUE.RETENTION_DAYS * DAY_MS)
+      });
+
+      if (modifiedCount === 0) {
+        logger.warn(`Job ${job._id} (${job.type}) completed after its lock was lost; result not saved`);
+      } else {
+        logger.info(`Job ${job._id} (${job.type}) completed`);
+      }
+    } catch (error) {
+      await this.failJob(job, error);
+    } finally {
+      clearInterval(lockRefresh);
+    }
+  }
+
+  // Retry with exponential backoff, or dead-letter the job once it is out of attempts.
+  // lock is the lock the caller saw; a job since taken by another run is left alone
+  async failJob(job, error, lock = { lockedBy: job.lockedBy }) {
+    const now = new Date();
+    const isDead = job.attempts >= job.maxAttempts;
+    const update = {
+      $set: {
+        status: isDead ? 'dead' : 'queued',
+        error: error.message,
+        updatedAt: now,
+        lockedBy: null,
+        lockedAt: null
+      },
+      $push: { failures: { attempt: job.attempts, error: error.message, at: now } }
+    };
+
+    if (isDead) {
+      update.$set.completedAt = now;
+      update.$set.expiresAt = new Date(now.getTime() + config.QUEUE.RETENTION_DAYS * DAY_MS);
+      logger.error(`Job ${job._id} (${job.type}) is dead after ${job.attempts} attempts: ${error.message}`);
+    } else {
+      const delay = config.QUEUE.RETRY_DELAY * Math.pow(config.QUEUE.BACKOFF_MULTIPLIER, job.attempts - 1);
+      update.$set.runAt = new Date(now.getTime() + delay);
+      logger.warn(`Job ${job._id} (${job.type}) failed attempt ${job.attempts}, retrying in ${delay}ms: ${error.message}`);
+    }
+
+    // Another worker may already have requeued a stale copy of this job
+    await Job.updateOne({ _id: job._id, status: 'running', ...lock }, update);
+  }
+
+  // A worker that died mid-job leaves it running forever, so count that as a failed attempt
+  async requeueStaleJobs() {
+    const staleJobs = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - config.QUEUE.LOCK_TIMEOUT) }
+    });
+
+    for (const job of staleJobs) {
+      // Matching lockedAt too leaves the job alone if its worker refreshed the lock meanwhile
+      await this.failJob(job, new Error(`Worker ${job.lockedBy} stopped responding`), {
+        lockedBy: job.lockedBy,
+        lockedAt: job.lockedAt
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      isRunning: this.isRunning,
+      currentJob: this.currentJob
+        ? { id: this.currentJob._id, type: this.currentJob.type, personName: this.currentJob.personName }
+        : null
+    };
+  }
+}
+
+module.exports = QueueManager;
@@ -0,0 +1,185 @@
+// services/requestScheduler.js - Per-person request queue that respects Questrade rate limits
+const { RATE_LIMITS } = require('./dataSync/config');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Questrade sends X-RateLimit-Reset as a Unix timestamp in seconds
+function parseReset(value) {
+  const reset = parseInt(value, 10);
+  if (!Number.isFinite(reset)) {
+    return null;
+  }
+  return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+}
+
+class RequestScheduler {
+  constructor(limits = RATE_LIMITS) {
+    this.requestsPerMinute = limits.REQUESTS_PER_MINUTE;
+    this.concurrentRequests = limits.CONCURRENT_REQUESTS;
+    this.lowBudgetThreshold = limits.LOW_BUDGET_THRESHOLD;
+    this.max429Retries = limits.MAX_429_RETRIES;
+    this.persons = new Map();
+  }
+
+  getPerson(personName) {
+    if (!this.persons.has(personName)) {
+      this.persons.set(personName, {
+        active: 0,
+        queue: [],
+        recentStarts: [],
+        // Budgets reported by Questrade, separate for account and market data calls
+        budgets: {},
+        timer: null,
+        stats: { completed: 0, throttled: 0, rateLimited: 0 }
+      });
+    }
+    return this.persons.get(personName);
+  }
+
+  // Queue a request; task() must resolve to (or reject with) an axios response
+  schedule(personName, category, task) {
+    return new Promise((resolve, reject) => {
+      const state = this.getPerson(personName);
+      state.queue.push({ category, task, resolve, reject, attempts: 0 });
+      this.pump(personName);
+    });
+  }
+
+  // How long until a request in this category may start, 0 when it can go now
+  getWait(state, category, now = Date.now()) {
+    const budget = state.budgets[category];
+    if (budget && budget.remaining !== null && budget.remaining <= this.lowBudgetThreshold && budget.resetAt > now) {
+      return budget.resetAt - now;
+    }
+
+    state.recentStarts = state.recentStarts.filter(t => now - t < MINUTE_MS);
+    if (state.recentStarts.length >= this.requestsPerMinute) {
+      return state.recentStarts[0] + MINUTE_MS - now;
+    }
+
+    return 0;
+  }
+
+  pump(personName) {
+    const state = this.getPerson(personName);
+    let shortestWait = null;
+
+    while (state.active < this.concurrentRequests && state.queue.length > 0) {
+      const now = Date.now();
+      const index = state.queue.findIndex(item => this.getWait(state, item.category, now) === 0);
+
+      if (index === -1) {
+        shortestWait = Math.min(...state.queue.map(item => this.getWait(state, item.category, now)));
+        break;
+      }
+
+      const [item] = state.queue.splice(index, 1);
+      this.start(personName, state, item);
+    }
+
+    if (shortestWait !== null && !state.timer) {
+      state.stats.throttled++;
+      logger.debug(`Throttling Questrade requests for ${personName} for ${shortestWait}ms`);
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this.pump(personName);
+      }, shortestWait);
+    }
+  }
+
+  start(personName, state, item) {
+    state.active++;
+    state.recentStarts.push(Date.now());
+
+    const budget = state.budgets[item.category];
+    if (budget && budget.remaining !== null) {
+      budget.remaining--;
+    }
+
+    Promise.resolve()
+      .then(() => item.task())
+      .then(response => {
+        this.updateBudget(state, item.category, response && response.headers);
+        state.stats.completed++;
+        item.resolve(response);
+      }, error => {
+        const response = error.response;
+        this.updateBudget(state, item.category, response && response.headers);
+
+        // Too many requests: wait for the reset time, then try again from the front of the queue
+        if (response && response.status === 429 && item.attempts < this.max429Retries) {
+          item.attempts++;
+          state.stats.rateLimited++;
+
+          const budgetAfter = state.budgets[item.category];
+          if (!budgetAfter || !budgetAfter.resetAt || budgetAfter.resetAt <= Date.now()) {
+            // No usable reset header, back off for a second per attempt
+            state.budgets[item.category] = { ...budgetAfter, remaining: 0, resetAt: Date.now() + 1000 * item.attempts };
+          } else {
+            budgetAfter.remaining = 0;
+          }
+
+          logger.warn(`Questrade rate limit hit for ${personName}, retry ${item.attempts}/${this.max429Retries} after reset`);
+          state.queue.unshift(item);
+          return;
+        }
+
+        item.reject(error);
+      })
+      .finally(() => {
+        state.active--;
+        this.pump(personName);
+      });
+  }
+
+  updateBudget(state, category, headers) {
+    if (!headers) {
+      return;
+    }
+
+    const remaining = headers['x-ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'];
+    if (remaining === undefined && reset === undefined) {
+      return;
+    }
+
+    state.budgets[category] = {
+      remaining: remaining !== undefined ? parseInt(remaining, 10) : null,
+      resetAt: reset !== undefined ? parseReset(reset) : null,
+      updatedAt: Date.now()
+    };
+  }
+
+  // Current budget and queue for a person, for health reporting
+  getStatus(personName) {
+    const state = this.persons.get(personName);
+    if (!state) {
+      return null;
+    }
+
+    const now = Date.now();
+    const budgets = {};
+    for (const [category, budget] of Object.entries(state.budgets)) {
+      budgets[category] = {
+        remaining: budget.remaining,
+        resetAt: budget.resetAt ? new Date(budget.resetAt) : null,
+        updatedAt: budget.updatedAt ? new Date(budget.updatedAt) : null
+      };
+    }
+
+    return {
+      active: state.active,
+      queued: state.queue.length,
+      requestsLastMinute: state.recentStarts.filter(t => now - t < MINUTE_MS).length,
+      limits: {
+        requestsPerMinute: this.requestsPerMinute,
+        concurrentRequests: this.concurrentRequests
+      },
+      budgets,
+      stats: { ...state.stats }
+    };
+  }
+}
+
+module.exports = RequestScheduler;
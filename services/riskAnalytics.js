@@ -0,0 +1,168 @@
+// services/riskAnalytics.js - Volatility, drawdown, risk-adjusted return and beta from a growth series
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayNumber(day) {
+  return Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample covariance; the variance when both are the same series
+function covariance(a, b) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+function toPercent(value) {
+  return value == null ? null : value * 100;
+}
+
+class RiskAnalytics {
+  /**
+   * Risk figures for a cumulative growth series [{ day, growth }] such as
+   * portfolioCalculator.chainLinkReturns gives, so cash flows are not counted as returns.
+   * Each step between two values is one period; periods per year come from how often the
+   * values are (about 252 for daily snapshots). riskFreeRate is annual, in percent.
+   * Ratios and volatility need at least two periods and are null otherwise.
+   */
+  calculate(growthSeries, { riskFreeRate = 0, benchmarkLevels } = {}) {
+    const periods = this.periodReturns(growthSeries);
+    const first = growthSeries[0];
+    const last = growthSeries[growthSeries.length - 1];
+    const days = growthSeries.length > 0 ? dayNumber(last.day) - dayNumber(first.day) : 0;
+
+    const result = {
+      startDate: first ? first.day : null,
+      endDate: last ? last.day : null,
+      days,
+      observations: periods.length,
+      periodsPerYear: null,
+      riskFreeRate,
+      annualizedReturn: null,
+      volatility: null,
+      downsideDeviation: null,
+      sharpeRatio: null,
+      sortinoRatio: null,
+      drawdown: this.calculateDrawdown(growthSeries),
+      beta: null,
+      correlation: null
+    };
+
+    if (periods.length < 2 || days <= 0) {
+      result.insufficientData = true;
+      return result;
+    }
+
+    const periodsPerYear = periods.length * 365 / days;
+    const riskFreePerPeriod = Math.pow(1 + riskFreeRate / 100, 1 / periodsPerYear) - 1;
+    const returns = periods.map(p => p.return);
+    const excess = returns.map(r => r - riskFreePerPeriod);
+
+    const stdev = Math.sqrt(covariance(returns, returns));
+    // Downside deviation below the risk-free rate, over all periods
+    const downside = Math.sqrt(mean(excess.map(r => Math.pow(Math.min(r, 0), 2))));
+
+    result.periodsPerYear = periodsPerYear;
+    result.annualizedReturn = toPercent(Math.pow(last.growth / first.growth, 365 / days) - 1);
+    result.volatility = toPercent(stdev * Math.sqrt(periodsPerYear));
+    result.downsideDeviation = toPercent(downside * Math.sqrt(periodsPerYear));
+    result.sharpeRatio = stdev > 0 ? mean(excess) / stdev * Math.sqrt(periodsPerYear) : null;
+    result.sortinoRatio = downside > 0 ? mean(excess) / downside * Math.sqrt(periodsPerYear) : null;
+
+    if (benchmarkLevels) {
+      Object.assign(result, this.calculateBeta(periods, benchmarkLevels));
+    }
+    return result;
+  }
+
+  // Return of each step in the series, dated by its end
+  periodReturns(growthSeries) {
+    const periods = [];
+    for (let i = 1; i < growthSeries.length; i++) {
+      const start = growthSeries[i - 1];
+      const end = growthSeries[i];
+      if (start.growth > 0) {
+        periods.push({ startDay: start.day, day: end.day, return: end.growth / start.growth - 1 });
+      }
+    }
+    return periods;
+  }
+
+  /**
+   * Largest fall from a peak, in percent (negative), with the peak and trough days and the
+   * day the peak was regained (null if it has not been). current is the fall from the last peak.
+   */
+  calculateDrawdown(growthSeries) {
+    let peak = null;
+    let worst = { maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null };
+
+    for (const point of growthSeries) {
+      if (!peak || point.growth >= peak.growth) {
+        // The peak only moves once regained, so the worst drawdown from it has recovered
+        if (peak && worst.peakDate === peak.day && !worst.recoveryDate) {
+          worst.recoveryDate = point.day;
+        }
+        peak = point;
+        continue;
+      }
+
+      const drawdown = toPercent(point.growth / peak.growth - 1);
+      if (drawdown < worst.maxDrawdown) {
+        worst = { maxDrawdown: drawdown, peakDate: peak.day, troughDate: point.day, recoveryDate: null };
+      }
+    }
+
+    const last = growthSeries[growthSeries.length - 1];
+    return {
+      ...worst,
+      durationDays: worst.peakDate
+        ? dayNumber(worst.recoveryDate || last.day) - dayNumber(worst.peakDate)
+        : 0,
+      current: peak && last ? toPercent(last.growth / peak.growth - 1) : 0
+    };
+  }
+
+  /**
+   * Beta and correlation with benchmark levels [{ day, level }] over the same periods,
+   * using the benchmark's last level on or before each day. Periods the benchmark does
+   * not cover are left out.
+   */
+  calculateBeta(periods, benchmarkLevels) {
+    const levelOn = day => {
+      let found = null;
+      for (const level of benchmarkLevels) {
+        if (level.day > day) break;
+        found = level.level;
+      }
+      return found;
+    };
+
+    const portfolio = [];
+    const benchmark = [];
+    for (const period of periods) {
+      const startLevel = levelOn(period.startDay);
+      const endLevel = levelOn(period.day);
+      if (startLevel && endLevel) {
+        portfolio.push(period.return);
+        benchmark.push(endLevel / startLevel - 1);
+      }
+    }
+
+    const benchmarkVariance = benchmark.length >= 2 ? covariance(benchmark, benchmark) : 0;
+    if (benchmarkVariance === 0) {
+      return { beta: null, correlation: null };
+    }
+
+    const portfolioVariance = covariance(portfolio, portfolio);
+    const cov = covariance(portfolio, benchmark);
+    return {
+      beta: cov / benchmarkVariance,
+      correlation: portfolioVariance > 0 ? cov / Math.sqrt(portfolioVariance * benchmarkVariance) : null
+    };
+  }
+}
+
+module.exports = new RiskAnalytics();
@@ -0,0 +1,342 @@
+// services/tax/acbLedger.js - Adjusted cost base per person and symbol, pooled across non-registered accounts
+const Account = require('../../models/Account');
+const Activity = require('../../models/Activity');
+const fxRates = require('./fxRates');
+const config = require('../dataSync/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Acquisitions are replayed before dispositions on the same day
+const ACQUISITIONS = ['buy', 'reinvested_distribution', 'transfer_in'];
+// Ledger events that change the share count
+const SHARE_EVENTS = [...ACQUISITIONS, 'sell', 'transfer_out'];
+
+// Below this the position is treated as closed, so rounding does not leave a stray ACB
+const SHARE_EPSILON = 1e-9;
+
+function absolute(value) {
+  return Math.abs(Number(value) || 0);
+}
+
+// Trades are dated by Toronto trading day, for exchange rates and tax years
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+class AcbLedger {
+  isRegistered(account) {
+    return config.TAX.REGISTERED_ACCOUNT_TYPES.includes(String(account.type || '').toUpperCase());
+  }
+
+  // The person's accounts that are not tax-sheltered
+  async getTaxableAccounts(personName) {
+    const accounts = await Account.find({ personName }).select('accountId type').lean();
+    return accounts.filter(account => !this.isRegistered(account));
+  }
+
+  /**
+   * What an activity does to the ACB, or null when nothing. Cash dividends do not change it;
+   * return of capital lowers it, and reinvested or non-cash distributions raise it.
+   */
+  classify(activity) {
+    const action = String(activity.action || '').toUpperCase();
+    const description = String(activity.description || '').toUpperCase();
+    const quantity = Number(activity.quantity) || 0;
+
+    switch (activity.type) {
+      case 'Trade':
+        if (action === 'BUY') return 'buy';
+        if (action === 'SELL') return 'sell';
+        return null;
+      case 'Dividend':
+        if (action === 'ROC' || description.includes('RETURN OF CAPITAL')) return 'return_of_capital';
+        if (quantity > 0) return 'reinvested_distribution';
+        if (/NON-CASH|NOTIONAL|REINVESTED CAP/.test(description)) return 'notional_distribution';
+        return null;
+      case 'Transfer':
+        if (!activity.symbol || quantity === 0) return null;
+        return quantity > 0 ? 'transfer_in' : 'transfer_out';
+      default:
+        return null;
+    }
+  }
+
+  getDate(activity) {
+    return new Date(activity.tradeDate || activity.transactionDate);
+  }
+
+  /**
+   * Events for the activities, oldest first. A transfer out matched by a transfer in of the
+   * same shares to another of the accounts within a few days is a move inside the pool and
+   * is left out, since it does not change the ACB.
+   */
+  buildEvents(activities) {
+    const events = activities
+      .map(activity => ({ activity, type: this.classify(activity), date: this.getDate(activity) }))
+      .filter(event => event.type);
+
+    const windowMs = config.TAX.TRANSFER_MATCH_DAYS * DAY_MS;
+    const internal = new Set();
+    for (const out of events.filter(e => e.type === 'transfer_out')) {
+      const match = events.find(e =>
+        e.type === 'transfer_in' &&
+        !internal.has(e) &&
+        e.activity.symbol === out.activity.symbol &&
+        e.activity.accountId !== out.activity.accountId &&
+        absolute(e.activity.quantity) === absolute(out.activity.quantity) &&
+        Math.abs(e.date - out.date) <= windowMs);
+      if (match) {
+        internal.add(out);
+        internal.add(match);
+      }
+    }
+
+    const rank = event => (ACQUISITIONS.includes(event.type) ? 0 : 1);
+    return events
+      .filter(event => !internal.has(event))
+      .sort((a, b) => a.date - b.date || rank(a) - rank(b));
+  }
+
+  // Set each event's fxRate to CAD for its trade day
+  async convertToCad(events) {
+    const byCurrency = new Map();
+    for (const event of events) {
+      const currency = event.activity.currency || 'CAD';
+      if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+      byCurrency.get(currency).push(event);
+    }
+
+    for (const [currency, list] of byCurrency) {
+      const rates = await fxRates.getRates(currency, list.map(event => tradingDay(event.date)));
+      for (const event of list) {
+        event.fxRate = rates.get(tradingDay(event.date));
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Replay one symbol's events. Each transaction records the change and the running shares,
+   * total ACB and ACB per share, in CAD at the event's fxRate. Dispositions record proceeds,
+   * outlays (commissions), the ACB of the shares sold, the gain and the year the shares were
+   * acquired (the year the position was last opened); return of capital beyond the ACB is a
+   * gain as well.
+   *
+   * A loss on a sell marked superficial (see superficialLoss.annotate) is denied in part or in
+   * full. The person's share of the denied loss is added to the ACB of the shares still held,
+   * or of the next shares bought when none are left, as long as that is by the window's end.
+   */
+  replay(events) {
+    let shares = 0;
+    let totalAcb = 0;
+    let openedOn = null;
+    // Denied losses waiting for the substituted shares to be bought: { amount, windowEnd }
+    let pendingAdditions = [];
+    const transactions = [];
+    const warnings = [];
+
+    // A denied loss added now when shares are held, otherwise at the next acquisition in the window
+    const addDeniedLoss = (row, amount, windowEnd) => {
+      if (shares > SHARE_EPSILON) {
+        totalAcb += amount;
+        row.acbChange += amount;
+      } else if (amount > 0) {
+        pendingAdditions.push({ amount, windowEnd });
+      }
+    };
+
+    for (const event of events) {
+      const { activity, type, date, fxRate = 1 } = event;
+      const quantity = absolute(activity.quantity);
+      const price = absolute(activity.price) * fxRate;
+      const commission = absolute(activity.commission) * fxRate;
+      const value = (absolute(activity.grossAmount) || quantity * absolute(activity.price)) * fxRate;
+      const row = {
+        date: date.toISOString(),
+        settlementDate: activity.settlementDate ? new Date(activity.settlementDate).toISOString() : null,
+        accountId: activity.accountId,
+        activityId: activity._id,
+        symbol: activity.symbol,
+        type,
+        description: activity.description,
+        currency: activity.currency,
+        fxRate,
+        quantity: SHARE_EVENTS.includes(type) ? quantity : 0,
+        price: price || null,
+        amount: null,
+        commission,
+        acbChange: 0,
+        gain: null
+      };
+
+      if (ACQUISITIONS.includes(type)) {
+        // Reinvested distributions usually show a zero gross amount and the shares' price
+        const cost = type === 'buy' ? value + commission : value || absolute(activity.netAmount) * fxRate;
+        if (type === 'transfer_in' && !cost) {
+          warnings.push(`${row.date.slice(0, 10)}: ${quantity} shares transferred in without a cost; their ACB is taken as 0`);
+        }
+        if (shares === 0) {
+          openedOn = row.date;
+        }
+        row.amount = cost;
+        row.acbChange = cost;
+        shares += quantity;
+        totalAcb += cost;
+        // A denied loss whose window ended before these shares were bought stays denied
+        const day = tradingDay(date);
+        const added = pendingAdditions
+          .filter(pending => pending.windowEnd >= day)
+          .reduce((sum, pending) => sum + pending.amount, 0);
+        pendingAdditions = [];
+        if (added > 0) {
+          row.acbChange += added;
+          row.deniedLossAdded = added;
+          totalAcb += added;
+        }
+      } else if (type === 'sell' || type === 'transfer_out') {
+        let sold = quantity;
+        if (sold > shares + SHARE_EPSILON) {
+          warnings.push(`${row.date.slice(0, 10)}: ${quantity} shares disposed of with only ${shares} held; history may be incomplete`);
+          sold = shares;
+        }
+        const acbOfSold = shares > 0 ? totalAcb * sold / shares : 0;
+        const proceeds = value || null;
+
+        row.amount = proceeds;
+        row.acbChange = -acbOfSold;
+        row.acbOfSold = acbOfSold;
+        row.outlays = commission;
+        row.acquisitionYear = openedOn ? Number(tradingDay(openedOn).slice(0, 4)) : null;
+        // A transfer out without a price (to a registered account at market value) has no known gain
+        row.gain = proceeds == null ? null : proceeds - commission - acbOfSold;
+        shares -= sold;
+        totalAcb -= acbOfSold;
+
+        if (event.superficial && row.gain < 0) {
+          const deniedLoss = -row.gain * event.superficial.fraction;
+          row.gain += deniedLoss;
+          row.superficialLoss = {
+            ...event.superficial,
+            deniedLoss,
+            addedToAcb: deniedLoss * event.superficial.allocation.selfTaxable
+          };
+          addDeniedLoss(row, row.superficialLoss.addedToAcb, event.superficial.windowEnd);
+        }
+      } else if (type === 'return_of_capital') {
+        const amount = (absolute(activity.netAmount) || absolute(activity.grossAmount)) * fxRate;
+        row.amount = amount;
+        row.acbChange = -Math.min(amount, totalAcb);
+        if (amount > totalAcb) {
+          row.gain = amount - totalAcb;
+        }
+        totalAcb = Math.max(totalAcb - amount, 0);
+      } else if (type === 'superficial_loss_adjustment') {
+        row.amount = event.amount;
+        addDeniedLoss(row, event.amount, event.windowEnd);
+      } else if (type === 'notional_distribution') {
+        const amount = (absolute(activity.grossAmount) || absolute(activity.netAmount)) * fxRate;
+        row.amount = amount;
+        row.acbChange = amount;
+        totalAcb += amount;
+      }
+
+      if (shares < SHARE_EPSILON) {
+        shares = 0;
+        totalAcb = 0;
+      }
+      transactions.push({
+        ...row,
+        shares,
+        totalAcb,
+        acbPerShare: shares > 0 ? totalAcb / shares : 0
+      });
+    }
+
+    return {
+      shares,
+      totalAcb,
+      acbPerShare: shares > 0 ? totalAcb / shares : 0,
+      realizedGain: transactions.reduce((sum, t) => sum + (t.gain || 0), 0),
+      transactions,
+      warnings
+    };
+  }
+
+  /**
+   * Trade, Dividend and Transfer activities in the person's non-registered accounts, by symbol,
+   * marked for superficial losses. crossAdjustments adds losses denied to a linked spouse
+   * whose replacement shares the person bought.
+   */
+  async loadEvents(personName, symbol, { crossAdjustments = true } = {}) {
+    const accounts = await this.getTaxableAccounts(personName);
+    const query = {
+      personName,
+      accountId: { $in: accounts.map(account => account.accountId) },
+      type: { $in: ['Trade', 'Dividend', 'Transfer'] },
+      symbol: symbol || { $nin: [null, ''] }
+    };
+
+    const activities = await Activity.find(query).lean();
+    const bySymbol = new Map();
+    for (const activity of activities) {
+      if (!bySymbol.has(activity.symbol)) bySymbol.set(activity.symbol, []);
+      bySymbol.get(activity.symbol).push(activity);
+    }
+
+    const eventsBySymbol = new Map();
+    for (const [key, list] of bySymbol) {
+      eventsBySymbol.set(key, await this.convertToCad(this.buildEvents(list)));
+    }
+
+    // Required here rather than at the top: the detector uses this ledger
+    const superficialLoss = require('./superficialLoss');
+    await superficialLoss.annotate(personName, eventsBySymbol, { crossAdjustments });
+    if (symbol) {
+      // A spouse's denied losses can add other symbols
+      for (const key of Array.from(eventsBySymbol.keys())) {
+        if (key !== symbol) eventsBySymbol.delete(key);
+      }
+    }
+    return eventsBySymbol;
+  }
+
+  /**
+   * The ledger for one symbol, in CAD. tradeCurrency is the currency the symbol trades in.
+   * Without showSpouse, superficial losses do not list the spouse's purchases.
+   */
+  async getLedger(personName, symbol, { showSpouse = true } = {}) {
+    const events = (await this.loadEvents(personName, symbol)).get(symbol) || [];
+    const ledger = this.replay(events);
+
+    if (!showSpouse) {
+      const superficialLoss = require('./superficialLoss');
+      for (const t of ledger.transactions.filter(row => row.superficialLoss)) {
+        t.superficialLoss.acquisitions = superficialLoss.ownAcquisitions(personName, t.superficialLoss.acquisitions);
+      }
+    }
+
+    return {
+      personName,
+      symbol,
+      currency: 'CAD',
+      tradeCurrency: events.length > 0 ? events[0].activity.currency : null,
+      ...ledger
+    };
+  }
+
+  // Current shares and ACB of every symbol the person has traded in non-registered accounts
+  async getSummary(personName) {
+    const eventsBySymbol = await this.loadEvents(personName);
+
+    const holdings = [];
+    for (const [symbol, events] of eventsBySymbol) {
+      const { transactions, ...ledger } = this.replay(events);
+      if (transactions.length > 0) {
+        holdings.push({ symbol, tradeCurrency: events[0].activity.currency, ...ledger, transactions: transactions.length });
+      }
+    }
+    return holdings.sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+}
+
+module.exports = new AcbLedger();
@@ -0,0 +1,128 @@
+// services/tax/capitalGains.js - Realized capital gains per tax year, as JSON or in the Schedule 3 layout
+const acbLedger = require('./acbLedger');
+const config = require('../dataSync/config');
+const { toCsv } = require('../../utils/csv');
+
+// Schedule 3, section 3: publicly traded shares, mutual fund units and other shares
+const SCHEDULE_3_HEADERS = [
+  'Number of shares or units',
+  'Name of fund/corporation and class of shares',
+  'Year of acquisition',
+  'Proceeds of disposition',
+  'Adjusted cost base',
+  'Outlays and expenses',
+  'Gain (or loss)'
+];
+
+function taxYear(date) {
+  return Number(new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' }).slice(0, 4));
+}
+
+function cents(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+class CapitalGainsReport {
+  /**
+   * Every disposition in the person's non-registered accounts in the tax year, in CAD.
+   * A trade counts in the year it settles. Return of capital beyond the ACB is listed as a
+   * gain with no shares. Transfers out without a price (e.g. to a TFSA) are listed without
+   * proceeds and need the fair market value added by hand. Superficial losses are denied.
+   */
+  async build({ personName, year }) {
+    const eventsBySymbol = await acbLedger.loadEvents(personName);
+
+    const dispositions = [];
+    const warnings = [];
+    for (const [symbol, events] of eventsBySymbol) {
+      const ledger = acbLedger.replay(events);
+      const inYear = ledger.transactions.filter(t =>
+        taxYear(t.settlementDate || t.date) === year &&
+        (t.type === 'sell' || t.type === 'transfer_out' || (t.type === 'return_of_capital' && t.gain)));
+
+      for (const t of inYear) {
+        if (t.type === 'transfer_out' && t.gain == null) {
+          warnings.push(`${symbol} ${t.date.slice(0, 10)}: ${t.quantity} shares transferred out; add the fair market value as proceeds`);
+        }
+        dispositions.push(this.toDisposition(symbol, t));
+      }
+      // Gaps in the history up to the end of the year can make the ACB of these dispositions wrong
+      if (inYear.length > 0) {
+        warnings.push(...ledger.warnings
+          .filter(warning => Number(warning.slice(0, 4)) <= year)
+          .map(warning => `${symbol} ${warning}`));
+      }
+    }
+    dispositions.sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+
+    return {
+      personName,
+      year,
+      currency: 'CAD',
+      dispositions,
+      totals: this.getTotals(dispositions),
+      warnings
+    };
+  }
+
+  toDisposition(symbol, transaction) {
+    const isRoc = transaction.type === 'return_of_capital';
+    return {
+      date: transaction.date,
+      settlementDate: transaction.settlementDate,
+      symbol,
+      description: transaction.description,
+      accountId: transaction.accountId,
+      type: transaction.type,
+      quantity: transaction.quantity,
+      acquisitionYear: isRoc ? null : transaction.acquisitionYear,
+      proceeds: isRoc ? transaction.gain : transaction.amount,
+      acb: isRoc ? 0 : transaction.acbOfSold,
+      outlays: isRoc ? 0 : transaction.outlays,
+      gain: transaction.gain,
+      // The part of the loss denied as superficial; gain is what is left of the loss
+      superficialLoss: transaction.superficialLoss ? transaction.superficialLoss.deniedLoss : 0,
+      tradeCurrency: transaction.currency,
+      fxRate: transaction.fxRate
+    };
+  }
+
+  getTotals(dispositions) {
+    const sum = field => dispositions.reduce((total, d) => total + (d[field] || 0), 0);
+    const netGain = sum('gain');
+
+    return {
+      proceeds: sum('proceeds'),
+      acb: sum('acb'),
+      outlays: sum('outlays'),
+      superficialLosses: sum('superficialLoss'),
+      gains: dispositions.reduce((total, d) => total + Math.max(d.gain || 0, 0), 0),
+      losses: dispositions.reduce((total, d) => total + Math.min(d.gain || 0, 0), 0),
+      netGain,
+      inclusionRate: config.TAX.CAPITAL_GAINS_INCLUSION_RATE,
+      // Taxable capital gain, or the allowable capital loss when negative
+      taxableGain: netGain * config.TAX.CAPITAL_GAINS_INCLUSION_RATE
+    };
+  }
+
+  // The report as Schedule 3 rows, amounts rounded to cents, with a total row
+  renderCsv(report) {
+    const rows = report.dispositions.map(d => [
+      d.quantity || '',
+      d.type === 'return_of_capital'
+        ? `${d.description || d.symbol} (${d.symbol}) - return of capital in excess of ACB`
+        : `${d.description || d.symbol} (${d.symbol})`,
+      d.acquisitionYear,
+      cents(d.proceeds),
+      cents(d.acb),
+      cents(d.outlays),
+      cents(d.gain)
+    ]);
+
+    const { totals } = report;
+    rows.push(['', 'Total', '', cents(totals.proceeds), cents(totals.acb), cents(totals.outlays), cents(totals.netGain)]);
+    return toCsv(SCHEDULE_3_HEADERS, rows);
+  }
+}
+
+module.exports = new CapitalGainsReport();
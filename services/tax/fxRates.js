@@ -0,0 +1,116 @@
+// services/tax/fxRates.js - Daily Bank of Canada exchange rates to CAD, stored locally
+const axios = require('axios');
+const FxRate = require('../../models/FxRate');
+const config = require('../dataSync/config');
+const logger = require('../../utils/logger');
+const { createError } = require('../../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rates are only published on business days; a day uses the last rate within this many days before it
+const MAX_LOOKBACK_DAYS = 7;
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+class FxRates {
+  constructor() {
+    // currency -> { at, from, to } of the last fetch
+    this.lastFetched = new Map();
+  }
+
+  /**
+   * CAD per unit of currency for each day (YYYY-MM-DD), as a Map. CAD is always 1. A day
+   * without a published rate (weekends, holidays) uses the last rate before it.
+   */
+  async getRates(currency, days) {
+    const code = String(currency || 'CAD').toUpperCase();
+    const sorted = Array.from(new Set(days)).sort();
+    if (code === 'CAD' || sorted.length === 0) {
+      return new Map(sorted.map(day => [day, 1]));
+    }
+
+    const startDay = addDays(sorted[0], -MAX_LOOKBACK_DAYS);
+    const endDay = sorted[sorted.length - 1];
+    let rates = await this.loadRates(code, startDay, endDay);
+
+    if (this.isMissing(code, rates, sorted, startDay, endDay)) {
+      await this.fetchRates(code, startDay, endDay);
+      rates = await this.loadRates(code, startDay, endDay);
+    }
+
+    const result = new Map();
+    let index = -1;
+    for (const day of sorted) {
+      while (index + 1 < rates.length && rates[index + 1].day <= day) index++;
+      const rate = index >= 0 ? rates[index] : null;
+      if (!rate || rate.day < addDays(day, -MAX_LOOKBACK_DAYS)) {
+        throw createError(503, `No ${code}/CAD exchange rate available for ${day}`);
+      }
+      result.set(day, rate.rate);
+    }
+    return result;
+  }
+
+  async getRate(currency, day) {
+    return (await this.getRates(currency, [day])).get(day);
+  }
+
+  async loadRates(currency, startDay, endDay) {
+    return FxRate.find({ currency, day: { $gte: startDay, $lte: endDay } }).sort({ day: 1 }).lean();
+  }
+
+  // Whether the stored rates leave a day uncovered; rates are refetched at most every REFRESH_INTERVAL
+  isMissing(currency, rates, days, startDay, endDay) {
+    const fetched = this.lastFetched.get(currency);
+    if (fetched && Date.now() - fetched.at < config.TAX.FX.REFRESH_INTERVAL &&
+        fetched.from <= startDay && fetched.to >= endDay) {
+      return false;
+    }
+
+    if (rates.length === 0 || rates[0].day > days[0]) {
+      return true;
+    }
+    // Today's rate is published in the afternoon, so until then yesterday's will do
+    const lastDay = rates[rates.length - 1].day;
+    return lastDay < endDay && lastDay < addDays(today(), -1);
+  }
+
+  async fetchRates(currency, startDay, endDay) {
+    const series = `FX${currency}CAD`;
+    let observations;
+    try {
+      const response = await axios.get(`${config.TAX.FX.URL}/${series}/json`, {
+        params: { start_date: startDay, end_date: endDay },
+        timeout: config.TAX.FX.TIMEOUT
+      });
+      observations = response.data?.observations || [];
+    } catch (error) {
+      logger.error(`Failed to fetch ${series} rates: ${error.message}`);
+      throw createError(503, `Could not get ${currency}/CAD exchange rates: ${error.message}`);
+    }
+
+    const rates = observations
+      .map(observation => ({ day: observation.d, rate: parseFloat(observation[series]?.v) }))
+      .filter(rate => rate.day && Number.isFinite(rate.rate));
+
+    if (rates.length > 0) {
+      await FxRate.bulkWrite(rates.map(({ day, rate }) => ({
+        updateOne: {
+          filter: { currency, day },
+          update: { currency, day, rate, source: 'BankOfCanada', updatedAt: new Date() },
+          upsert: true
+        }
+      })));
+    }
+
+    this.lastFetched.set(currency, { at: Date.now(), from: startDay, to: endDay });
+    logger.info(`Stored ${rates.length} ${currency}/CAD rates from ${startDay} to ${endDay}`);
+  }
+}
+
+module.exports = new FxRates();
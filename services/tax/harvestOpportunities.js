@@ -0,0 +1,153 @@
+// services/tax/harvestOpportunities.js - Non-registered positions worth selling to realize a capital loss
+const Position = require('../../models/Position');
+const acbLedger = require('./acbLedger');
+const superficialLoss = require('./superficialLoss');
+const fxRates = require('./fxRates');
+const config = require('../dataSync/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+class TaxLossHarvester {
+  // The other symbols in every replacement group that has symbol
+  getReplacements(symbol) {
+    const replacements = new Set();
+    for (const group of config.TAX.HARVEST.REPLACEMENTS) {
+      if (group.includes(symbol)) {
+        group.filter(other => other !== symbol).forEach(other => replacements.add(other));
+      }
+    }
+    return Array.from(replacements);
+  }
+
+  /**
+   * The person's symbols in non-registered accounts whose unrealized loss (market value less
+   * the broker's cost, pooled across accounts) is at least minLoss in CAD and minLossPercent of
+   * the cost, largest loss first. Each shows replacements to buy instead and the superficial
+   * loss window of a sale today: the symbol cannot be bought back, in any household or
+   * registered account, before repurchaseAllowedFrom. Without showSpouse the spouse's purchases
+   * are left out of recentAcquisitions.
+   */
+  async build({
+    personName,
+    minLoss = config.TAX.HARVEST.MIN_LOSS,
+    minLossPercent = config.TAX.HARVEST.MIN_LOSS_PERCENT,
+    showSpouse = true
+  }) {
+    const day = today();
+    const accounts = await acbLedger.getTaxableAccounts(personName);
+    const positions = await Position.find({
+      personName,
+      accountId: { $in: accounts.map(account => account.accountId) },
+      openQuantity: { $gt: 0 }
+    }).lean();
+
+    const bySymbol = new Map();
+    for (const position of positions) {
+      if (!bySymbol.has(position.symbol)) bySymbol.set(position.symbol, []);
+      bySymbol.get(position.symbol).push(position);
+    }
+
+    const candidates = [];
+    for (const [symbol, list] of bySymbol) {
+      const quantity = list.reduce((sum, p) => sum + (p.openQuantity || 0), 0);
+      const marketValue = list.reduce((sum, p) => sum + (p.currentMarketValue || 0), 0);
+      const totalCost = list.reduce((sum, p) => sum + (p.totalCost || 0), 0);
+      const unrealizedLoss = marketValue - totalCost;
+      if (!(totalCost > 0) || unrealizedLoss >= 0) {
+        continue;
+      }
+
+      const currency = list[0].currency || 'CAD';
+      const fxRate = await fxRates.getRate(currency, day);
+      const unrealizedLossPercent = (unrealizedLoss / totalCost) * 100;
+      if (-unrealizedLoss * fxRate < minLoss || -unrealizedLossPercent < minLossPercent) {
+        continue;
+      }
+
+      candidates.push({
+        symbol,
+        currency,
+        quantity,
+        price: list[0].currentPrice,
+        averageCost: totalCost / quantity,
+        marketValue,
+        totalCost,
+        unrealizedLoss,
+        unrealizedLossPercent,
+        fxRate,
+        unrealizedLossCad: unrealizedLoss * fxRate,
+        accounts: list.map(p => ({
+          accountId: p.accountId,
+          quantity: p.openQuantity,
+          marketValue: p.currentMarketValue,
+          totalCost: p.totalCost
+        }))
+      });
+    }
+
+    const { bySymbol: movements } = candidates.length > 0
+      ? await superficialLoss.loadMovements(personName)
+      : { bySymbol: new Map() };
+
+    const opportunities = candidates.map(candidate => {
+      const history = movements.get(candidate.symbol) || [];
+      const analysis = superficialLoss.analyzeSale(history, day, candidate.quantity, day);
+      // Selling every non-registered share leaves only those in the spouse's and registered accounts,
+      // counted from the activities since the synced positions cover the person's own accounts
+      const heldElsewhere = Math.max(history
+        .filter(m => m.holder !== 'self' || m.registered)
+        .reduce((sum, m) => sum + m.delta, 0), 0);
+      const substituted = analysis.substituted - analysis.substitutedBy.selfTaxable;
+      const deniedFraction = Math.min(candidate.quantity, substituted) / candidate.quantity;
+      const harvestableLossCad = candidate.unrealizedLossCad * (1 - deniedFraction);
+
+      const warnings = [];
+      if (deniedFraction > 0) {
+        warnings.push(`${substituted} shares bought since ${analysis.windowStart} are held in other accounts: ` +
+          `${Math.round(deniedFraction * 100)}% of the loss would be denied unless those are sold by ${analysis.windowEnd}`);
+      }
+
+      return {
+        ...candidate,
+        harvestableLossCad,
+        replacements: this.getReplacements(candidate.symbol),
+        superficialLoss: {
+          saleDate: day,
+          windowStart: analysis.windowStart,
+          windowEnd: analysis.windowEnd,
+          repurchaseAllowedFrom: addDays(analysis.windowEnd, 1),
+          recentAcquisitions: showSpouse
+            ? analysis.acquisitions
+            : superficialLoss.ownAcquisitions(personName, analysis.acquisitions),
+          heldElsewhere,
+          deniedFraction
+        },
+        warnings
+      };
+    });
+    opportunities.sort((a, b) => a.unrealizedLossCad - b.unrealizedLossCad);
+
+    return {
+      personName,
+      date: day,
+      currency: 'CAD',
+      minLoss,
+      minLossPercent,
+      opportunities,
+      totals: {
+        unrealizedLoss: opportunities.reduce((sum, o) => sum + o.unrealizedLossCad, 0),
+        harvestableLoss: opportunities.reduce((sum, o) => sum + o.harvestableLossCad, 0)
+      }
+    };
+  }
+}
+
+module.exports = new TaxLossHarvester();
@@ -0,0 +1,202 @@
+// services/tax/investmentIncome.js - Dividends, interest and tax withheld per tax year, to check against T5, T3 and NR4 slips
+const Activity = require('../../models/Activity');
+const acbLedger = require('./acbLedger');
+const fxRates = require('./fxRates');
+const { toCsv } = require('../../utils/csv');
+
+// The amounts summed for each account and symbol, in CAD
+const CATEGORIES = [
+  'eligibleDividends',      // T5: Canadian corporations' dividends
+  'foreignDividends',       // T5 or NR4: gross dividends from foreign corporations
+  'trustDistributions',     // T3: Canadian ETF, REIT and fund distributions, broken down on the slip
+  'interest',
+  'foreignTaxWithheld',
+  'returnOfCapital',        // T3: not income; lowers the ACB
+  'nonCashDistributions',   // T3: reinvested capital gains and other distributions paid in units
+  'carryingCharges'         // margin interest paid
+];
+
+const CSV_HEADERS = [
+  'Account',
+  'Account type',
+  'Symbol',
+  'Paid in',
+  'Eligible dividends',
+  'Foreign dividends',
+  'Trust distributions',
+  'Interest',
+  'Foreign tax withheld',
+  'Return of capital',
+  'Non-cash distributions',
+  'Carrying charges'
+];
+
+// Questrade lists Canadian securities with an exchange suffix
+const CANADIAN_SYMBOL = /\.(TO|V|VN|CN|NE)$/i;
+
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+function cents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function emptyAmounts() {
+  return Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+}
+
+class InvestmentIncomeSummary {
+  /**
+   * The category of a Dividend, Interest or Tax activity and the amount in its currency, or
+   * null when it is not income (reinvested units, which are bought with a cash dividend).
+   * A foreign dividend paid net of tax withheld has its gross amount and the tax split out.
+   */
+  classify(activity) {
+    const net = Number(activity.netAmount) || 0;
+    const gross = Math.abs(Number(activity.grossAmount) || 0);
+    const description = String(activity.description || '').toUpperCase();
+
+    switch (activity.type) {
+      case 'Interest':
+        return net >= 0
+          ? [{ category: 'interest', amount: net }]
+          : [{ category: 'carryingCharges', amount: -net }];
+      case 'Tax':
+        // Withholding is a debit; a refund of it is a credit
+        return [{ category: 'foreignTaxWithheld', amount: -net }];
+      case 'Dividend':
+        break;
+      default:
+        return null;
+    }
+
+    switch (acbLedger.classify(activity)) {
+      case 'return_of_capital':
+        return [{ category: 'returnOfCapital', amount: Math.abs(net) || gross }];
+      case 'reinvested_distribution':
+        return null;
+      case 'notional_distribution':
+        return [{ category: 'nonCashDistributions', amount: gross || Math.abs(net) }];
+      default:
+        break;
+    }
+
+    // A Canadian-listed security paying in USD is still Canadian
+    const foreign = activity.symbol
+      ? !CANADIAN_SYMBOL.test(activity.symbol)
+      : (activity.currency || 'CAD') !== 'CAD';
+    if (!foreign) {
+      const isDistribution = String(activity.action || '').toUpperCase() === 'DIS' || /\bDIST\b|DISTRIBUTION/.test(description);
+      return [{ category: isDistribution ? 'trustDistributions' : 'eligibleDividends', amount: net }];
+    }
+
+    // A reversal (negative net) keeps its sign and has no withholding to split out
+    if (net >= 0 && net < gross) {
+      return [
+        { category: 'foreignDividends', amount: gross },
+        { category: 'foreignTaxWithheld', amount: gross - net }
+      ];
+    }
+    return [{ category: 'foreignDividends', amount: net }];
+  }
+
+  /**
+   * Income from the person's non-registered accounts in the tax year, by the day it was paid,
+   * in CAD at the Bank of Canada rate for that day. Grouped by account, by symbol, and by both.
+   */
+  async build({ personName, year }) {
+    const accounts = await acbLedger.getTaxableAccounts(personName);
+    const typesById = new Map(accounts.map(account => [account.accountId, account.type]));
+
+    // A day either side, since the tax year is by Toronto day
+    const range = { $gte: new Date(Date.UTC(year, 0, 0)), $lt: new Date(Date.UTC(year + 1, 0, 2)) };
+    const activities = (await Activity.find({
+      personName,
+      accountId: { $in: accounts.map(account => account.accountId) },
+      type: { $in: ['Dividend', 'Interest', 'Tax'] },
+      $or: [{ tradeDate: range }, { tradeDate: null, transactionDate: range }]
+    }).lean()).filter(activity => Number(tradingDay(acbLedger.getDate(activity)).slice(0, 4)) === year);
+
+    const ratesByCurrency = new Map();
+    for (const currency of new Set(activities.map(activity => activity.currency || 'CAD'))) {
+      const days = activities
+        .filter(activity => (activity.currency || 'CAD') === currency)
+        .map(activity => tradingDay(acbLedger.getDate(activity)));
+      ratesByCurrency.set(currency, await fxRates.getRates(currency, days));
+    }
+
+    const lines = new Map();
+    const warnings = [];
+    for (const activity of activities) {
+      const items = this.classify(activity);
+      if (!items) {
+        continue;
+      }
+
+      const day = tradingDay(acbLedger.getDate(activity));
+      const currency = activity.currency || 'CAD';
+      const fxRate = ratesByCurrency.get(currency).get(day);
+      const symbol = activity.symbol || '';
+      if (activity.type === 'Tax' && !symbol) {
+        warnings.push(`${day}: ${currency} ${-(Number(activity.netAmount) || 0)} of tax in account ${activity.accountId} without a symbol`);
+      }
+
+      const key = `${activity.accountId}|${symbol}`;
+      if (!lines.has(key)) {
+        lines.set(key, { accountId: activity.accountId, accountType: typesById.get(activity.accountId), symbol, currency, ...emptyAmounts() });
+      }
+      const line = lines.get(key);
+      for (const { category, amount } of items) {
+        line[category] += amount * fxRate;
+      }
+    }
+
+    const details = Array.from(lines.values())
+      .sort((a, b) => a.accountId.localeCompare(b.accountId) || a.symbol.localeCompare(b.symbol));
+
+    return {
+      personName,
+      year,
+      currency: 'CAD',
+      totals: this.sum(details),
+      byAccount: this.group(details, line => line.accountId, ['accountId', 'accountType']),
+      bySymbol: this.group(details, line => line.symbol, ['symbol', 'currency'])
+        .sort((a, b) => a.symbol.localeCompare(b.symbol)),
+      details,
+      warnings
+    };
+  }
+
+  sum(lines) {
+    const totals = emptyAmounts();
+    for (const line of lines) {
+      CATEGORIES.forEach(category => { totals[category] += line[category]; });
+    }
+    return totals;
+  }
+
+  // Lines summed by key, keeping the fields that identify the group
+  group(lines, keyOf, fields) {
+    const groups = new Map();
+    for (const line of lines) {
+      const key = keyOf(line);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(line);
+    }
+    return Array.from(groups.values()).map(list => ({
+      ...Object.fromEntries(fields.map(field => [field, list[0][field]])),
+      ...this.sum(list)
+    }));
+  }
+
+  // One row per account and symbol, amounts rounded to cents, with a total row
+  renderCsv(summary) {
+    const amounts = line => CATEGORIES.map(category => cents(line[category]));
+    const rows = summary.details.map(line => [line.accountId, line.accountType, line.symbol, line.currency, ...amounts(line)]);
+    rows.push(['Total', '', '', 'CAD', ...amounts(summary.totals)]);
+    return toCsv(CSV_HEADERS, rows);
+  }
+}
+
+module.exports = new InvestmentIncomeSummary();
@@ -0,0 +1,284 @@
+// services/tax/superficialLoss.js - Superficial loss detection across a person's, their spouse's and registered accounts
+const Account = require('../../models/Account');
+const Activity = require('../../models/Activity');
+const Person = require('../../models/Person');
+const Position = require('../../models/Position');
+const acbLedger = require('./acbLedger');
+const fxRates = require('./fxRates');
+const config = require('../dataSync/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger events that change how many shares someone holds
+const MOVEMENTS = { buy: 1, reinvested_distribution: 1, transfer_in: 1, sell: -1, transfer_out: -1 };
+const ACQUISITIONS = ['buy', 'reinvested_distribution'];
+
+function tradingDay(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Which share of the denied loss goes where: only the person's own non-registered shares get it added to their ACB
+function holderKey(owner, registered) {
+  return `${owner}${registered ? 'Registered' : 'Taxable'}`;
+}
+
+class SuperficialLossDetector {
+  async getSpouseName(personName) {
+    const person = await Person.findOne({ personName }).select('spouseName').lean();
+    return person?.spouseName || null;
+  }
+
+  // The acquisitions in the person's own accounts, for users not granted their spouse
+  ownAcquisitions(personName, acquisitions) {
+    return acquisitions.filter(acquisition => acquisition.personName === personName);
+  }
+
+  /**
+   * Share movements by symbol in every account of the person and their linked spouse,
+   * registered ones included, oldest first. holder is self or spouse.
+   */
+  async loadMovements(personName, symbol) {
+    const spouseName = await this.getSpouseName(personName);
+
+    const accounts = await Account.find({ personName: { $in: [personName, spouseName].filter(Boolean) } })
+      .select('accountId personName type')
+      .lean();
+    const accountsById = new Map(accounts.map(account => [account.accountId, account]));
+
+    const activities = await Activity.find({
+      accountId: { $in: accounts.map(account => account.accountId) },
+      type: { $in: ['Trade', 'Dividend', 'Transfer'] },
+      symbol: symbol || { $nin: [null, ''] }
+    }).lean();
+
+    const bySymbol = new Map();
+    for (const activity of activities) {
+      const type = acbLedger.classify(activity);
+      if (!MOVEMENTS[type]) {
+        continue;
+      }
+
+      const account = accountsById.get(activity.accountId);
+      const quantity = Math.abs(Number(activity.quantity) || 0);
+      const movement = {
+        day: tradingDay(activity.tradeDate || activity.transactionDate),
+        accountId: activity.accountId,
+        personName: account.personName,
+        holder: account.personName === personName ? 'self' : 'spouse',
+        registered: acbLedger.isRegistered(account),
+        type,
+        quantity,
+        delta: MOVEMENTS[type] * quantity
+      };
+
+      if (!bySymbol.has(activity.symbol)) bySymbol.set(activity.symbol, []);
+      bySymbol.get(activity.symbol).push(movement);
+    }
+
+    for (const movements of bySymbol.values()) {
+      movements.sort((a, b) => a.day.localeCompare(b.day));
+    }
+    return { spouseName, bySymbol };
+  }
+
+  /**
+   * How much of a loss on selling `sold` shares on saleDay is denied. Substituted shares are those
+   * bought in the 30 days before or after and still held at the end of that window, counted per
+   * holder (self or spouse, taxable or registered) so the lot being sold is not one of them; the
+   * denied fraction is the least of those and the shares sold, over the shares sold. While the
+   * window is still open the holdings today are used. allocation splits the denied loss by who
+   * holds the substituted shares.
+   */
+  analyzeSale(movements, saleDay, sold, today = tradingDay(new Date())) {
+    const windowDays = config.TAX.SUPERFICIAL_LOSS_DAYS;
+    const windowStart = addDays(saleDay, -windowDays);
+    const windowEnd = addDays(saleDay, windowDays);
+    const endDay = windowEnd < today ? windowEnd : today;
+
+    const acquisitions = movements.filter(m =>
+      ACQUISITIONS.includes(m.type) && m.day >= windowStart && m.day <= windowEnd);
+    const acquired = acquisitions.reduce((sum, m) => sum + m.quantity, 0);
+    const heldAtEnd = Math.max(movements.filter(m => m.day <= endDay).reduce((sum, m) => sum + m.delta, 0), 0);
+
+    const allocation = { selfTaxable: 0, selfRegistered: 0, spouseTaxable: 0, spouseRegistered: 0 };
+    const substitutedBy = {};
+    for (const key of Object.keys(allocation)) {
+      const inBucket = m => holderKey(m.holder, m.registered) === key;
+      const bought = acquisitions.filter(inBucket).reduce((sum, m) => sum + m.quantity, 0);
+      const held = movements.filter(m => inBucket(m) && m.day <= endDay).reduce((sum, m) => sum + m.delta, 0);
+      substitutedBy[key] = Math.max(Math.min(bought, held), 0);
+    }
+    const substituted = Object.values(substitutedBy).reduce((sum, quantity) => sum + quantity, 0);
+    for (const key of Object.keys(allocation)) {
+      allocation[key] = substituted > 0 ? substitutedBy[key] / substituted : 0;
+    }
+
+    return {
+      windowStart,
+      windowEnd,
+      windowOpen: windowEnd > today,
+      sold,
+      acquired,
+      heldAtEnd,
+      substituted,
+      substitutedBy,
+      fraction: sold > 0 ? Math.min(sold, substituted) / sold : 0,
+      allocation,
+      acquisitions: acquisitions.map(({ day, accountId, personName, registered, quantity }) =>
+        ({ date: day, accountId, personName, registered, quantity }))
+    };
+  }
+
+  /**
+   * Mark the sells in the person's ledger events that would be superficial if at a loss
+   * (event.superficial), and add events for losses denied to the spouse whose replacement
+   * shares are in this person's non-registered accounts. The ledger replay applies both.
+   */
+  async annotate(personName, eventsBySymbol, { crossAdjustments = true } = {}) {
+    const { spouseName, bySymbol } = await this.loadMovements(personName);
+
+    for (const [symbol, events] of eventsBySymbol) {
+      const movements = bySymbol.get(symbol) || [];
+      for (const event of events.filter(e => e.type === 'sell')) {
+        const analysis = this.analyzeSale(movements, tradingDay(event.date), Math.abs(Number(event.activity.quantity) || 0));
+        if (analysis.fraction > 0) {
+          event.superficial = analysis;
+        }
+      }
+    }
+
+    if (crossAdjustments && spouseName) {
+      const spouseEvents = await acbLedger.loadEvents(spouseName, null, { crossAdjustments: false });
+      for (const [symbol, events] of spouseEvents) {
+        const denied = acbLedger.replay(events).transactions.filter(t => t.superficialLoss);
+        for (const t of denied) {
+          const amount = t.superficialLoss.deniedLoss * t.superficialLoss.allocation.spouseTaxable;
+          if (amount <= 0) {
+            continue;
+          }
+          if (!eventsBySymbol.has(symbol)) eventsBySymbol.set(symbol, []);
+          eventsBySymbol.get(symbol).push({
+            type: 'superficial_loss_adjustment',
+            date: new Date(t.date),
+            fxRate: 1,
+            amount,
+            windowEnd: t.superficialLoss.windowEnd,
+            activity: {
+              symbol,
+              currency: 'CAD',
+              description: `Loss denied on the spouse's sale of ${t.date.slice(0, 10)}`
+            }
+          });
+        }
+      }
+      for (const events of eventsBySymbol.values()) {
+        events.sort((a, b) => a.date - b.date);
+      }
+    }
+    return eventsBySymbol;
+  }
+
+  /**
+   * Before trading symbol: whether selling now at a loss would be superficial because of
+   * shares bought in the last 30 days, and whether buying now would make a recent loss
+   * superficial. price (in the symbol's currency) defaults to the synced position price.
+   * Without showSpouse the spouse's name, accounts and sales are left out; their effect on the
+   * fractions and dates is not.
+   */
+  async check({ personName, symbol, quantity, price, showSpouse = true }) {
+    const today = tradingDay(new Date());
+    const windowDays = config.TAX.SUPERFICIAL_LOSS_DAYS;
+    const { spouseName, bySymbol } = await this.loadMovements(personName, symbol);
+    const movements = bySymbol.get(symbol) || [];
+    const ledger = await acbLedger.getLedger(personName, symbol, { showSpouse });
+
+    const warnings = [];
+    const sell = await this.checkSell({ personName, symbol, quantity, price, today, movements, ledger });
+    if (sell.superficial) {
+      warnings.push(`Selling ${sell.quantity} shares now at a loss would have ${Math.round(sell.deniedFraction * 100)}% ` +
+        `of the loss denied: ${sell.recentAcquisitions.length} purchase(s) since ${addDays(today, -windowDays)}`);
+    }
+    if (sell.quantity > 0 && !(sell.unrealizedGain >= 0)) {
+      warnings.push(`After selling at a loss, do not buy ${symbol} in any household or registered account before ${sell.repurchaseAllowedFrom}`);
+    }
+
+    const recentLossSales = [];
+    for (const name of [personName, spouseName].filter(Boolean)) {
+      const { transactions } = name === personName ? ledger : await acbLedger.getLedger(name, symbol);
+      for (const t of transactions) {
+        const day = tradingDay(t.date);
+        // Only the part of the loss not already denied can still be lost
+        const loss = t.type === 'sell' && t.gain != null ? t.gain : 0;
+        if (loss < 0 && day >= addDays(today, -windowDays)) {
+          recentLossSales.push({ date: day, personName: name, quantity: t.quantity, loss, windowEnd: addDays(day, windowDays) });
+        }
+      }
+    }
+
+    const buyAllowedFrom = recentLossSales.length > 0
+      ? addDays(recentLossSales.map(s => s.windowEnd).sort().pop(), 1)
+      : today;
+    if (recentLossSales.length > 0) {
+      warnings.push(`Buying ${symbol} before ${buyAllowedFrom} would make ${recentLossSales.length} recent loss sale(s) superficial`);
+    }
+
+    if (!showSpouse) {
+      sell.recentAcquisitions = this.ownAcquisitions(personName, sell.recentAcquisitions);
+    }
+
+    return {
+      personName,
+      symbol,
+      spouseName: showSpouse ? spouseName : null,
+      date: today,
+      sell,
+      buy: {
+        wouldMakeLossSuperficial: recentLossSales.length > 0,
+        recentLossSales: showSpouse ? recentLossSales : recentLossSales.filter(sale => sale.personName === personName),
+        buyAllowedFrom
+      },
+      warnings
+    };
+  }
+
+  // A sale today of quantity shares (default all the person's non-registered shares), assuming no other trades
+  async checkSell({ personName, symbol, quantity, price, today, movements, ledger }) {
+    const sold = quantity ? Math.min(quantity, ledger.shares) : ledger.shares;
+    const acbOfSold = ledger.shares > 0 ? ledger.totalAcb * sold / ledger.shares : 0;
+
+    let marketPrice = price;
+    let currency = ledger.tradeCurrency;
+    if (marketPrice == null) {
+      const position = await Position.findOne({ personName, symbol, currentPrice: { $gt: 0 } })
+        .select('currentPrice currency')
+        .lean();
+      marketPrice = position?.currentPrice ?? null;
+      currency = position?.currency || currency;
+    }
+    const priceInCad = marketPrice == null ? null : marketPrice * await fxRates.getRate(currency || 'CAD', today);
+    const gain = priceInCad == null || sold === 0 ? null : priceInCad * sold - acbOfSold;
+
+    const hypothetical = [...movements, { day: today, holder: 'self', registered: false, type: 'sell', quantity: sold, delta: -sold }];
+    const analysis = this.analyzeSale(hypothetical, today, sold, today);
+    const atLoss = gain == null || gain < 0;
+
+    return {
+      quantity: sold,
+      acbPerShare: ledger.acbPerShare,
+      price: marketPrice,
+      priceInCad,
+      unrealizedGain: gain,
+      superficial: sold > 0 && atLoss && analysis.fraction > 0,
+      deniedFraction: atLoss ? analysis.fraction : 0,
+      estimatedDeniedLoss: gain != null && gain < 0 ? -gain * analysis.fraction : null,
+      recentAcquisitions: analysis.acquisitions,
+      repurchaseAllowedFrom: addDays(analysis.windowEnd, 1)
+    };
+  }
+}
+
+module.exports = new SuperficialLossDetector();
@@ -0,0 +1,110 @@
+// services/tokenKeeper.js - Keeps every active person's Questrade tokens alive
+const Person = require('../models/Person');
+const Token = require('../models/Token');
+const tokenManager = require('./tokenManager');
+const notifications = require('./notifications');
+const logger = require('../utils/logger');
+
+class TokenKeeper {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  // Refresh each active person in turn so one bad token does not stop the others
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Token keeper is already running, skipping this run');
+      return this.lastRun;
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+    const results = [];
+
+    try {
+      const persons = await Person.find({ isActive: true });
+      logger.info(`Token keeper refreshing ${persons.length} persons...`);
+
+      for (const person of persons) {
+        results.push(await this.refreshPerson(person));
+      }
+
+      const failed = results.filter(r => !r.success);
+      const expiring = results.filter(r => r.expiry && r.expiry.status === 'expiring');
+
+      this.lastRun = {
+        startedAt,
+        completedAt: new Date(),
+        total: results.length,
+        refreshed: results.length - failed.length,
+        failed: failed.length,
+        expiring: expiring.length,
+        results
+      };
+
+      logger.info(`Token keeper completed: ${this.lastRun.refreshed} refreshed, ${failed.length} failed`);
+      return this.lastRun;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Refresh one person and check how long their refresh token has left
+  async refreshPerson(person) {
+    const { personName } = person;
+    const result = { personName, success: true };
+
+    try {
+      await tokenManager.refreshAccessToken(personName);
+    } catch (error) {
+      // refreshAccessToken already counts the error, keep the readable reason on the person
+      await Person.updateOne(
+        { personName },
+        { hasValidToken: false, tokenError: error.message, tokenErrorAt: new Date() }
+      );
+      logger.error(`Token keeper could not refresh ${personName}: ${error.message}`);
+
+      result.success = false;
+      result.error = error.message;
+    }
+
+    try {
+      result.expiry = await this.checkExpiry(await Person.findOne({ personName }) || person);
+    } catch (error) {
+      logger.error(`Token keeper could not check expiry for ${personName}: ${error.message}`);
+      result.expiryError = error.message;
+    }
+    return result;
+  }
+
+  // Look up the refresh token expiry and warn when the person wants to be told
+  async checkExpiry(person) {
+    const refreshToken = await Token.findOne({
+      personName: person.personName,
+      type: 'refresh',
+      isActive: true
+    }).sort({ createdAt: -1 });
+
+    const expiry = tokenManager.getExpiryStatus(refreshToken, person);
+    const preferences = person.preferences?.notifications || {};
+
+    if (expiry.status !== 'ok' && preferences.enabled !== false && preferences.tokenExpiry !== false) {
+      logger.warn(`Token warning for ${person.personName}: ${expiry.message}`);
+      await notifications.notifyTokenExpiry(person.personName, expiry);
+    }
+
+    return expiry;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun
+        ? { ...this.lastRun, results: undefined }
+        : null
+    };
+  }
+}
+
+module.exports = new TokenKeeper();
@@ -1,12 +1,23 @@
 // services/tokenManager.js - FIXED VERSION - Uses new Token model
 const Token = require('../models/Token');
 const Person = require('../models/Person');
+const OAuthState = require('../models/OAuthState');
 const logger = require('../utils/logger');
+const auditLog = require('./auditLog');
+const questradeMock = require('./questradeMock');
 const axios = require('axios');
+const crypto = require('crypto');
+
+const DEFAULT_REFRESH_TOKEN_LIFETIME = 7 * 24 * 60 * 60; // seconds, Questrade expires unused refresh tokens after 7 days
+const DEFAULT_EXPIRY_WARNING_HOURS = 48;
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
 
 class TokenManager {
-  constructor() {
-    this.authUrl = process.env.QUESTRADE_AUTH_URL || 'https://login.questrade.com';
+  // The mock server stands in for the Questrade login server when MOCK_API_CALLS is on
+  get authUrl() {
+    return questradeMock.isEnabled()
+      ? questradeMock.getUrl()
+      : process.env.QUESTRADE_AUTH_URL || 'https://login.questrade.com';
   }
 
   // Get valid access token for a specific person
@@ -74,7 +85,7 @@ class TokenManager {
         }
       );
 
-      const { access_token, refresh_token: newRefreshToken, api_server, expires_in } = response.data;
+      const { access_token, refresh_token: newRefreshToken, api_server, expires_in, refresh_token_expires_in } = response.data;
 
       if (!access_token || !newRefreshToken) {
         throw new Error('Invalid response from Questrade API - missing tokens');
@@ -99,7 +110,7 @@ class TokenManager {
         type: 'refresh',
         personName,
         token: newRefreshToken,
-        expiresAt: new Date(Date.now() + (7 * 24 * 60 * 60 * 1000)), // 7 days
+        expiresAt: new Date(Date.now() + ((refresh_token_expires_in || DEFAULT_REFRESH_TOKEN_LIFETIME) * 1000)),
         isActive: true
       });
       await refreshTokenNewDoc.save();
@@ -110,7 +121,9 @@ class TokenManager {
         { 
           hasValidToken: true,
           lastTokenRefresh: new Date(),
-          lastSyncError: null
+          lastSyncError: null,
+          tokenError: null,
+          tokenErrorAt: null
         }
       );
 
@@ -150,8 +163,60 @@ class TokenManager {
     }
   }
 
+  // Save the tokens from a Questrade /oauth2/token response, replacing the person's old tokens
+  async storePersonTokens(personName, tokenData, actor = null, details = {}) {
+    const { access_token, refresh_token, api_server, expires_in, refresh_token_expires_in } = tokenData;
+
+    // Delete all old tokens for this person (to avoid duplicate key errors)
+    await Token.deleteMany({ personName });
+
+    // Save the new refresh token returned by Questrade
+    const refreshTokenDoc = Token.createWithToken({
+      type: 'refresh',
+      personName,
+      token: refresh_token,
+      expiresAt: new Date(Date.now() + ((refresh_token_expires_in || DEFAULT_REFRESH_TOKEN_LIFETIME) * 1000)),
+      isActive: true
+    });
+    await refreshTokenDoc.save();
+
+    // Also save the access token we just received
+    const accessTokenDoc = Token.createWithToken({
+      type: 'access',
+      personName,
+      token: access_token,
+      apiServer: api_server,
+      expiresAt: new Date(Date.now() + (expires_in * 1000)),
+      isActive: true
+    });
+    await accessTokenDoc.save();
+
+    // Create or update person record
+    await Person.findOneAndUpdate(
+      { personName },
+      { 
+        personName,
+        hasValidToken: true,
+        lastTokenRefresh: new Date(),
+        lastSyncError: null,
+        tokenError: null,
+        tokenErrorAt: null,
+        isActive: true
+      },
+      { upsert: true }
+    );
+
+    logger.info(`Refresh token setup successfully for ${personName}`);
+    await auditLog.record('token.update', {
+      personName,
+      actor,
+      details: { ...details, apiServer: api_server }
+    });
+  }
+
   // Add or update refresh token for a person - FIXED
-  async setupPersonToken(personName, refreshToken) {
+  // actor: who made the change, as built by auditLog.fromRequest()
+  async setupPersonToken(personName, refreshToken, actor = null) {
     try {
       // Validate refresh token format
       if (!refreshToken || typeof refreshToken !== 'string' || refreshToken.length < 20) {
@@ -177,50 +242,12 @@ class TokenManager {
         }
       );
 
-      const { access_token, refresh_token: newRefreshToken, api_server, expires_in, refresh_token_expires_in } = testResponse.data;
-
-      if (!access_token || !newRefreshToken) {
+      if (!testResponse.data.access_token || !testResponse.data.refresh_token) {
         throw new Error('Invalid refresh token - could not obtain new tokens');
       }
 
-      // Delete all old tokens for this person (to avoid duplicate key errors)
-      await Token.deleteMany({ personName });
-
-      // Save the new refresh token returned by Questrade
-      const refreshTokenDoc = Token.createWithToken({
-        type: 'refresh',
-        personName,
-        token: newRefreshToken,
-        expiresAt: new Date(Date.now() + ((refresh_token_expires_in || (7 * 24 * 60 * 60)) * 1000)),
-        isActive: true
-      });
-      await refreshTokenDoc.save();
-
-      // Also save the access token we just received using createWithToken method
-      const accessTokenDoc = Token.createWithToken({
-        type: 'access',
-        personName,
-        token: access_token,
-        apiServer: api_server,
-        expiresAt: new Date(Date.now() + (expires_in * 1000)),
-        isActive: true
-      });
-      await accessTokenDoc.save();
-
-      // Create or update person record
-      await Person.findOneAndUpdate(
-        { personName },
-        { 
-          personName,
-          hasValidToken: true,
-          lastTokenRefresh: new Date(),
-          lastSyncError: null,
-          isActive: true
-        },
-        { upsert: true }
-      );
+      await this.storePersonTokens(personName, testResponse.data, actor, { method: 'refresh_token' });
 
-      logger.info(`Refresh token setup successfully for ${personName}`);
       return { 
         success: true, 
         personName,
@@ -230,29 +257,199 @@ class TokenManager {
       logger.error(`Error setting up token for ${personName}:`, error);
       
       // Provide more specific error messages
+      let message;
       if (error.response) {
         const { status, data } = error.response;
         if (status === 400) {
-          throw new Error(`Invalid refresh token for ${personName}. Please verify the token is correct and not expired.`);
+          message = `Invalid refresh token for ${personName}. Please verify the token is correct and not expired.`;
         } else if (status === 401) {
-          throw new Error(`Unauthorized. The refresh token for ${personName} may be invalid or expired.`);
+          message = `Unauthorized. The refresh token for ${personName} may be invalid or expired.`;
         } else if (status >= 500) {
-          throw new Error(`Questrade server error (${status}). Please try again later.`);
+          message = `Questrade server error (${status}). Please try again later.`;
         } else {
-          throw new Error(`Questrade API error (${status}): ${data?.error_description || data?.message || 'Unknown error'}`);
+          message = `Questrade API error (${status}): ${data?.error_description || data?.message || 'Unknown error'}`;
         }
       } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        throw new Error(`Unable to connect to Questrade API. Please check your internet connection and try again.`);
+        message = `Unable to connect to Questrade API. Please check your internet connection and try again.`;
       } else if (error.code === 'ECONNABORTED') {
-        throw new Error(`Connection to Questrade API timed out. Please try again.`);
+        message = `Connection to Questrade API timed out. Please try again.`;
+      } else {
+        message = `Failed to setup token for ${personName}: ${error.message}`;
       }
-      
-      throw new Error(`Failed to setup token for ${personName}: ${error.message}`);
+
+      await auditLog.record('token.update', { personName, actor, success: false, error: message });
+      throw new Error(message);
+    }
+  }
+
+  // Questrade app settings needed for the authorization-code flow
+  getOAuthConfig() {
+    // The mock accepts any client, so mock mode works without a registered Questrade app
+    if (questradeMock.isEnabled()) {
+      return {
+        clientId: process.env.QUESTRADE_CLIENT_ID || 'mock-client',
+        redirectUri: process.env.QUESTRADE_REDIRECT_URI || `http://localhost:${process.env.PORT || 4000}/api/auth/questrade/callback`
+      };
+    }
+
+    return {
+      clientId: process.env.QUESTRADE_CLIENT_ID,
+      redirectUri: process.env.QUESTRADE_REDIRECT_URI
+    };
+  }
+
+  isOAuthConfigured() {
+    const { clientId, redirectUri } = this.getOAuthConfig();
+    return !!clientId && !!redirectUri;
+  }
+
+  // Start an OAuth authorization for a person, returns the Questrade authorize URL
+  async createAuthorization(personName, user = null) {
+    const { clientId, redirectUri } = this.getOAuthConfig();
+    if (!clientId || !redirectUri) {
+      throw new Error('QUESTRADE_CLIENT_ID and QUESTRADE_REDIRECT_URI must be set to use OAuth login');
+    }
+
+    const state = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + OAUTH_STATE_TTL_MS);
+
+    await OAuthState.create({
+      state,
+      personName,
+      userId: user ? user._id : undefined,
+      username: user ? user.username : undefined,
+      redirectUri,
+      expiresAt
+    });
+
+    const authorizeUrl = new URL(`${this.authUrl}/oauth2/authorize`);
+    authorizeUrl.searchParams.set('client_id', clientId);
+    authorizeUrl.searchParams.set('response_type', 'code');
+    authorizeUrl.searchParams.set('redirect_uri', redirectUri);
+    authorizeUrl.searchParams.set('state', state);
+
+    logger.info(`OAuth authorization started for ${personName}`);
+
+    return {
+      personName,
+      authorizeUrl: authorizeUrl.toString(),
+      expiresAt
+    };
+  }
+
+  // Finish an OAuth authorization: check the state, exchange the code and store the tokens
+  async completeAuthorization(state, code, ip = undefined) {
+    // Each state can be used once
+    const pending = state
+      ? await OAuthState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } })
+      : null;
+
+    if (!pending) {
+      throw new Error('Authorization request is invalid or has expired. Please start again.');
+    }
+
+    const { personName } = pending;
+    const actor = {
+      actor: pending.username || 'system',
+      actorId: pending.userId,
+      source: 'api',
+      ip
+    };
+
+    try {
+      if (!code) {
+        throw new Error('Authorization code is missing');
+      }
+
+      const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        client_id: this.getOAuthConfig().clientId,
+        redirect_uri: pending.redirectUri
+      });
+      const response = await axios.post(
+        `${this.authUrl}/oauth2/token`,
+        params.toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000
+        }
+      );
+
+      if (!response.data.access_token || !response.data.refresh_token) {
+        throw new Error('Questrade did not return tokens for the authorization code');
+      }
+
+      await this.storePersonTokens(personName, response.data, actor, { method: 'oauth' });
+
+      return {
+        success: true,
+        personName,
+        apiServer: response.data.api_server
+      };
+    } catch (error) {
+      // Only the message: the axios error carries the authorization code in its request body
+      logger.error(`Error completing OAuth authorization for ${personName}: ${error.message}`);
+
+      let message;
+      if (error.response) {
+        const { status, data } = error.response;
+        if (status === 400 || status === 401) {
+          message = `Questrade rejected the authorization code for ${personName}. Please start the authorization again.`;
+        } else if (status >= 500) {
+          message = `Questrade server error (${status}). Please try again later.`;
+        } else {
+          message = `Questrade API error (${status}): ${data?.error_description || data?.message || 'Unknown error'}`;
+        }
+      } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        message = `Unable to connect to Questrade API. Please check your internet connection and try again.`;
+      } else if (error.code === 'ECONNABORTED') {
+        message = `Connection to Questrade API timed out. Please try again.`;
+      } else {
+        message = `Failed to complete authorization for ${personName}: ${error.message}`;
+      }
+
+      await auditLog.record('token.update', {
+        personName,
+        actor,
+        success: false,
+        error: message,
+        details: { method: 'oauth' }
+      });
+      throw new Error(message);
+    }
+  }
+
+  // Classify how close a refresh token is to expiring
+  getExpiryStatus(refreshToken, person = null, now = new Date()) {
+    const notifications = person?.preferences?.notifications || {};
+    const warningHours = notifications.tokenExpiryWarningHours || DEFAULT_EXPIRY_WARNING_HOURS;
+
+    if (!refreshToken) {
+      return { status: 'missing', hoursRemaining: null, warningHours, message: 'No active refresh token' };
+    }
+    if (person && person.hasValidToken === false && person.tokenError) {
+      return { status: 'invalid', hoursRemaining: null, warningHours, message: person.tokenError };
+    }
+
+    const hoursRemaining = Math.floor((refreshToken.expiresAt - now) / (60 * 60 * 1000));
+
+    if (refreshToken.expiresAt <= now) {
+      return { status: 'expired', hoursRemaining: 0, warningHours, message: 'Refresh token has expired' };
+    }
+    if (hoursRemaining < warningHours) {
+      return {
+        status: 'expiring',
+        hoursRemaining,
+        warningHours,
+        message: `Refresh token expiring in ${hoursRemaining} hour${hoursRemaining === 1 ? '' : 's'}`
+      };
     }
+    return { status: 'ok', hoursRemaining, warningHours, message: null };
   }
 
   // Get token status for a person
-  async getTokenStatus(personName) {
+  async getTokenStatus(personName, person = null) {
     try {
       const refreshToken = await Token.findOne({
         personName,
@@ -282,6 +479,7 @@ class TokenManager {
           lastUsed: accessToken ? accessToken.lastUsed : null,
           apiServer: accessToken ? accessToken.apiServer : null
         },
+        expiry: this.getExpiryStatus(refreshToken, person),
         isHealthy: !!refreshToken && (!!accessToken || !refreshToken.lastError)
       };
     } catch (error) {
@@ -294,7 +492,7 @@ class TokenManager {
   async getAllTokenStatus() {
     try {
       const persons = await Person.find({ isActive: true });
-      const statusPromises = persons.map(p => this.getTokenStatus(p.personName));
+      const statusPromises = persons.map(p => this.getTokenStatus(p.personName, p));
       return await Promise.all(statusPromises);
     } catch (error) {
       logger.error('Error getting all token status:', error);
@@ -306,6 +504,7 @@ class TokenManager {
   async testConnection(personName) {
     try {
       const { accessToken, apiServer } = await this.getValidAccessToken(personName);
+      questradeMock.assertUrlAllowed(apiServer);
       
       const response = await axios.get(`${apiServer}/v1/time`, {
         headers: {
@@ -365,7 +564,9 @@ class TokenManager {
         { personName },
         { 
           hasValidToken: false,
-          lastSyncError: errorMessage
+          lastSyncError: errorMessage,
+          tokenError: errorMessage,
+          tokenErrorAt: new Date()
         }
       );
     } catch (error) {
@@ -374,7 +575,7 @@ class TokenManager {
   }
 
   // Remove person and all their tokens
-  async removePerson(personName) {
+  async removePerson(personName, actor = null) {
     try {
       // Deactivate all tokens
       await Token.updateMany(
@@ -392,6 +593,7 @@ class TokenManager {
       );
 
       logger.info(`Person ${personName} and their tokens have been deactivated`);
+      await auditLog.record('person.deactivate', { personName, actor });
       return { success: true };
     } catch (error) {
       logger.error(`Error removing person ${personName}:`, error);
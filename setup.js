@@ -31,6 +31,9 @@ try {
   console.warn('Services not found, some features will be limited');
 }
 
+// Audit actor for changes made from this tool
+const SETUP_ACTOR = { actor: 'setup', source: 'script' };
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -174,7 +177,7 @@ class PortfolioSetup {
 
       // Set up token
       if (tokenManager && tokenManager.setupPersonToken) {
-        await tokenManager.setupPersonToken(personName.trim(), refreshToken.trim());
+        await tokenManager.setupPersonToken(personName.trim(), refreshToken.trim(), SETUP_ACTOR);
         console.log('✓ Token validated and saved');
       } else {
         // Fallback token creation with upsert to handle duplicates
@@ -275,7 +278,7 @@ class PortfolioSetup {
       console.log('\n⏳ Validating and updating token...');
 
       if (tokenManager && tokenManager.setupPersonToken) {
-        await tokenManager.setupPersonToken(personName, refreshToken.trim());
+        await tokenManager.setupPersonToken(personName, refreshToken.trim(), SETUP_ACTOR);
         console.log('✓ Token updated successfully');
       } else {
         // Fallback token update
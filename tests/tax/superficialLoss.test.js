@@ -0,0 +1,116 @@
+const superficialLoss = require('../../services/tax/superficialLoss');
+const acbLedger = require('../../services/tax/acbLedger');
+
+const TODAY = '2026-01-01';
+
+function movement(day, holder, registered, type, quantity) {
+  const sign = type === 'sell' ? -1 : 1;
+  return { day, accountId: `${holder}-${registered ? 'tfsa' : 'margin'}`, holder, registered, type, quantity, delta: sign * quantity };
+}
+
+function trade(day, action, quantity, price) {
+  return {
+    type: action === 'Buy' ? 'buy' : 'sell',
+    date: new Date(`${day}T05:00:00Z`),
+    fxRate: 1,
+    activity: {
+      type: 'Trade',
+      action,
+      symbol: 'XIC.TO',
+      currency: 'CAD',
+      quantity: action === 'Buy' ? quantity : -quantity,
+      price,
+      grossAmount: quantity * price,
+      commission: 0
+    }
+  };
+}
+
+describe('superficialLoss.analyzeSale', () => {
+  test('leaves out the lot being sold when a spouse rebuys in a TFSA', () => {
+    const movements = [
+      movement('2025-03-01', 'self', false, 'buy', 100),
+      movement('2025-03-10', 'self', false, 'sell', 100),
+      movement('2025-03-20', 'spouse', true, 'buy', 100)
+    ];
+
+    const analysis = superficialLoss.analyzeSale(movements, '2025-03-10', 100, TODAY);
+
+    expect(analysis.fraction).toBe(1);
+    expect(analysis.allocation).toEqual({ selfTaxable: 0, selfRegistered: 0, spouseTaxable: 0, spouseRegistered: 1 });
+  });
+
+  test('counts shares bought before the sale and still held', () => {
+    const movements = [
+      movement('2024-01-02', 'self', false, 'buy', 100),
+      movement('2025-03-01', 'self', false, 'buy', 100),
+      movement('2025-03-10', 'self', false, 'sell', 100)
+    ];
+
+    const analysis = superficialLoss.analyzeSale(movements, '2025-03-10', 100, TODAY);
+
+    expect(analysis.fraction).toBe(1);
+    expect(analysis.allocation.selfTaxable).toBe(1);
+  });
+
+  test('is not superficial when the replacement shares are sold before the window ends', () => {
+    const movements = [
+      movement('2025-03-01', 'self', false, 'buy', 100),
+      movement('2025-03-10', 'self', false, 'sell', 100),
+      movement('2025-03-20', 'spouse', false, 'buy', 50),
+      movement('2025-03-25', 'spouse', false, 'sell', 50)
+    ];
+
+    expect(superficialLoss.analyzeSale(movements, '2025-03-10', 100, TODAY).fraction).toBe(0);
+  });
+});
+
+describe('acbLedger.replay with superficial losses', () => {
+  test('a loss denied to the spouse\'s TFSA is not added to a later purchase', () => {
+    const movements = [
+      movement('2025-03-01', 'self', false, 'buy', 100),
+      movement('2025-03-10', 'self', false, 'sell', 100),
+      movement('2025-03-20', 'spouse', true, 'buy', 100)
+    ];
+    const sale = trade('2025-03-10', 'Sell', 100, 25);
+    sale.superficial = superficialLoss.analyzeSale(movements, '2025-03-10', 100, TODAY);
+
+    const ledger = acbLedger.replay([trade('2025-03-01', 'Buy', 100, 30), sale, trade('2025-09-01', 'Buy', 10, 9)]);
+    const [, sell, buy] = ledger.transactions;
+
+    expect(sell.gain).toBe(0);
+    expect(sell.superficialLoss.deniedLoss).toBe(500);
+    expect(sell.superficialLoss.addedToAcb).toBe(0);
+    expect(buy.deniedLossAdded).toBeUndefined();
+    expect(ledger.totalAcb).toBe(90);
+  });
+
+  test('adds the denied loss to shares bought back within the window', () => {
+    const movements = [
+      movement('2025-03-01', 'self', false, 'buy', 100),
+      movement('2025-03-10', 'self', false, 'sell', 100),
+      movement('2025-03-20', 'self', false, 'buy', 100)
+    ];
+    const sale = trade('2025-03-10', 'Sell', 100, 25);
+    sale.superficial = superficialLoss.analyzeSale(movements, '2025-03-10', 100, TODAY);
+
+    const ledger = acbLedger.replay([trade('2025-03-01', 'Buy', 100, 30), sale, trade('2025-03-20', 'Buy', 100, 26)]);
+
+    expect(ledger.transactions[2].deniedLossAdded).toBe(500);
+    expect(ledger.totalAcb).toBe(3100);
+  });
+
+  test('does not carry a denied loss past the end of its window', () => {
+    const sale = trade('2025-03-10', 'Sell', 100, 25);
+    sale.superficial = {
+      windowEnd: '2025-04-09',
+      fraction: 1,
+      allocation: { selfTaxable: 1, selfRegistered: 0, spouseTaxable: 0, spouseRegistered: 0 }
+    };
+
+    const ledger = acbLedger.replay([trade('2025-03-01', 'Buy', 100, 30), sale, trade('2025-06-01', 'Buy', 10, 9)]);
+
+    expect(ledger.transactions[2].deniedLossAdded).toBeUndefined();
+    expect(ledger.totalAcb).toBe(90);
+  });
+});
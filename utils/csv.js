@@ -0,0 +1,19 @@
+// utils/csv.js - Build CSV text from rows of values
+
+// Quote values containing a comma, quote or line break, doubling any quotes
+function escapeValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// headers is a list of column names; rows are arrays of values in the same order
+function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeValue).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };